@@ -0,0 +1,1905 @@
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
+const { z } = require('zod');
+const { validate } = require('@tma.js/init-data-node');
+const { createStore } = require('./lib/storage');
+const { createPromoCodeFormat } = require('./lib/promo-code');
+const { createCampaignBook, getDayKey, loadCampaigns } = require('./lib/campaigns');
+const { createTelegramClient } = require('./lib/telegram');
+const { createBotHandler, startPolling } = require('./lib/telegram-bot');
+const { createTelegramQueue } = require('./lib/telegram-queue');
+const { resolveLocale, translate } = require('./lib/i18n');
+const { createSkillRatings } = require('./lib/skill');
+const { createRoomHub } = require('./lib/rooms');
+const { createSeriesBook } = require('./lib/series');
+const { createPlayerStats } = require('./lib/player-stats');
+const { PERIODS, createLeaderboard } = require('./lib/leaderboard');
+const { createDailyPuzzles } = require('./lib/puzzles');
+const { EVENT_BATCH_SCHEMA, createAnalytics } = require('./lib/analytics');
+const { createLogger } = require('./lib/logger');
+const { CONTENT_TYPE, createMetrics } = require('./lib/metrics');
+const { loadConfig } = require('./lib/config');
+
+const PROMO_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Code records outlive the codes by far, so a lookup can still tell an expired code from an
+// unknown one and a retried redemption still finds its order.
+const PROMO_RECORD_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+const SESSION_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+const EVENT_TTL_MS = 24 * 60 * 60 * 1000;
+const GAME_TTL_MS = 60 * 60 * 1000;
+const ROOM_KEEP_ALIVE_MS = 25 * 1000;
+const STATS_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+const ANALYTICS_EVENTS_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const OUTBOX_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Statistics and skill levels of players who haven't played for a year are dropped.
+const PLAYER_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+const PROMO_CODE_MAX_ATTEMPTS = 1000;
+const INIT_DATA_TTL_MS = 24 * 60 * 60 * 1000;
+const RATE_LIMIT_WINDOW_MS = 10 * 60 * 1000;
+const API_REQUEST_LIMIT = 120;
+// Playing takes a request per move, hint and undo (up to 25 moves on 7×7), plus analytics beacons
+// and room stream reconnects, so game traffic gets a budget of its own, counted in games.
+const PLAY_PATHS = ['/game', '/series', '/rooms', '/events'];
+const PLAY_REQUESTS_PER_GAME = 60;
+const PLAY_GAMES_PER_WINDOW = 30;
+
+const DIFFICULTY_SCHEMA = z.enum(['easy', 'normal', 'hard', 'auto']).default('normal');
+
+const MODE_SCHEMA = z.enum(['classic', 'ultimate']).default('classic');
+
+const VARIANT_SCHEMA = z.enum(['standard', 'misere', 'wild', 'notakto']).default('standard');
+
+// How many hints and undos the player used; the campaign's assist rules decide what they cost.
+const ASSISTS_SCHEMA = z
+  .object({
+    hint: z.number().int().min(0).max(100).default(0),
+    undo: z.number().int().min(0).max(100).default(0),
+  })
+  .default({});
+
+const RESULT_SCHEMA = z.object({
+  result: z.enum(['win', 'loss', 'draw']),
+  eventId: z.string().min(6).max(64).optional(),
+  moves: z.array(z.number().int().min(0).max(80)).max(81).optional(),
+  starter: z.enum(['player', 'computer']).default('player'),
+  difficulty: DIFFICULTY_SCHEMA,
+  mode: MODE_SCHEMA,
+  variant: VARIANT_SCHEMA,
+  // Wild only: the mark placed by each move.
+  marks: z
+    .array(z.enum(['X', 'O']))
+    .max(81)
+    .optional(),
+  assists: ASSISTS_SCHEMA,
+  boardSize: z.number().int().default(3),
+  seriesId: z.string().uuid().optional(),
+  // How long the game took on the player's device; games played via /api/game are timed here.
+  durationMs: z.number().int().min(0).optional(),
+});
+
+const GAME_SCHEMA = z.object({
+  difficulty: DIFFICULTY_SCHEMA,
+  starter: z.enum(['player', 'computer']).default('player'),
+  mode: MODE_SCHEMA,
+  variant: VARIANT_SCHEMA,
+  boardSize: z.number().int().default(3),
+  // A game of a series takes its settings and starter from the series.
+  seriesId: z.string().uuid().optional(),
+});
+
+const SERIES_SCHEMA = GAME_SCHEMA.omit({ seriesId: true }).extend({
+  length: z.number().int().default(3),
+});
+
+const MOVE_SCHEMA = z.object({
+  index: z.number().int().min(0),
+  mark: z.enum(['X', 'O']).optional(),
+});
+
+const ROOM_SCHEMA = z.object({
+  boardSize: z.number().int().default(3),
+});
+
+const ROOM_TOKEN_SCHEMA = z.object({
+  token: z.string().min(1).max(64),
+});
+
+const ROOM_MOVE_SCHEMA = ROOM_TOKEN_SCHEMA.extend({
+  index: z.number().int().min(0),
+});
+
+const REDEEM_SCHEMA = z.object({
+  orderId: z.string().min(1).max(128),
+});
+
+const LEADERBOARD_QUERY_SCHEMA = z.object({
+  period: z.enum(PERIODS).default('week'),
+  limit: z.coerce.number().int().min(1).max(100).default(10),
+});
+
+const PUZZLE_SOLUTION_SCHEMA = z.object({
+  day: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+  moves: z.array(z.number().int().min(0).max(8)).max(9),
+});
+
+const ADMIN_CODES_QUERY_SCHEMA = z.object({
+  q: z.string().max(64).default(''),
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+});
+
+const ADMIN_STATS_QUERY_SCHEMA = z.object({
+  days: z.coerce.number().int().min(1).max(90).default(14),
+});
+
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// `envName` names the setting in the 503 answer given while `secret` is empty.
+function createSecretGuard(envName, secret, readCredential) {
+  return (req, res, next) => {
+    if (!secret) {
+      return res.status(503).json({ status: 'error', message: `${envName} is not configured` });
+    }
+
+    if (!safeEqual(readCredential(req), secret)) {
+      return res.status(401).json({ status: 'error', message: 'Invalid credentials' });
+    }
+
+    return next();
+  };
+}
+
+function readBearerToken(req) {
+  return (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+}
+
+function parseTelegramUser(initData) {
+  if (!initData) return null;
+
+  const params = new URLSearchParams(initData);
+  const userJson = params.get('user');
+  if (!userJson) return null;
+
+  try {
+    return JSON.parse(userJson);
+  } catch (error) {
+    return null;
+  }
+}
+
+function getOutcomeResult(outcome) {
+  if (outcome.isDraw) return 'draw';
+  return outcome.winner === 'X' ? 'win' : 'loss';
+}
+
+function serializeGame(game) {
+  const payload = {
+    status: 'ok',
+    gameId: game.id,
+    board: game.board,
+    computerMove: game.lastComputerMove,
+    lastMove: game.lastMove,
+    assists: game.assists,
+    outcome: null,
+  };
+
+  if (game.outcome) {
+    payload.outcome = { ...game.outcome, result: getOutcomeResult(game.outcome) };
+  }
+  if (game.difficulty === 'auto') {
+    payload.level = game.level;
+    if (game.nextLevel) payload.nextLevel = game.nextLevel;
+  }
+  if (game.code) {
+    payload.code = game.code;
+    payload.discount = game.discount;
+    payload.campaign = game.campaign;
+  }
+  if (game.series) {
+    payload.series = game.series;
+  }
+
+  return payload;
+}
+
+// A game in progress as a page reload needs it back: the moves in order, with their marks.
+function serializeResumedGame(game) {
+  return {
+    ...serializeGame(game),
+    starter: game.starter,
+    moves: game.history.map(({ index }) => index),
+    marks: game.history.map(({ index }) => game.board[index]),
+  };
+}
+
+// Ultimate games have a single fixed board; classic games pick theirs by size.
+function getGameConfig(mode, boardSize, engine) {
+  return mode === 'ultimate' ? engine.ultimateConfig : engine.getBoardConfig(boardSize);
+}
+
+// `mover` is the side that just moved, which Wild and Notakto need to name the winner.
+function evaluateGame(game, mover, engine) {
+  if (game.mode === 'ultimate') return engine.evaluateUltimateBoard(game.board);
+  return engine.evaluateBoard(game.board, engine.getBoardConfig(game.boardSize), {
+    variant: game.variant,
+    mover,
+  });
+}
+
+// The computer's `{ index, mark }`. In Ultimate the previous move decides which small board the
+// computer has to play in.
+function getComputerPlay(board, lastMove, difficulty, { mode, variant }, config, engine) {
+  if (mode === 'ultimate') {
+    const index = engine.getUltimateAiMove([...board], lastMove, difficulty);
+    return index === null ? null : { index, mark: 'O' };
+  }
+  return engine.getAiPlay([...board], difficulty, config, variant);
+}
+
+function playComputerTurn(game, engine) {
+  const config = getGameConfig(game.mode, game.boardSize, engine);
+  const difficulty =
+    game.difficulty === 'auto' ? engine.getAdaptiveSettings(game.level) : game.difficulty;
+  game.lastComputerMove = null;
+  const play = getComputerPlay(game.board, game.lastMove, difficulty, game, config, engine);
+  if (play) {
+    game.board[play.index] = play.mark;
+    game.history.push({ index: play.index, side: 'O' });
+    game.lastComputerMove = play.index;
+    game.lastMove = play.index;
+  }
+
+  game.outcome = evaluateGame(game, 'O', engine);
+}
+
+// The strongest play for the player, `{ index, mark }`: the one the hard computer would make for
+// X.
+function getHintPlay(game, engine) {
+  const board = [...game.board];
+  if (game.mode === 'ultimate') {
+    const index = engine.getUltimateBestMove(board, game.lastMove, null, {}, 'X');
+    return index === null ? null : { index, mark: 'X' };
+  }
+  const config = getGameConfig(game.mode, game.boardSize, engine);
+  return engine.getBestPlay(board, null, config, {}, game.variant, 'X');
+}
+
+// normal and hard play deterministically, so a replay's computer moves can be checked against the
+// engine; easy and auto blunder at random, so theirs can't.
+function canCheckComputerPlay(difficulty) {
+  return difficulty === 'normal' || difficulty === 'hard';
+}
+
+// Takes back and the computer's reply to it. Returns false when the player
+// has no move to take back.
+function undoTurn(game) {
+  const playerTurn = game.history.map(({ side }) => side).lastIndexOf('X');
+  if (playerTurn === -1) return false;
+
+  game.history.splice(playerTurn).forEach(({ index }) => {
+    game.board[index] = null;
+  });
+  game.lastMove = playerTurn > 0 ? game.history[playerTurn - 1].index : null;
+  game.lastComputerMove = null;
+  game.assists.undo += 1;
+  return true;
+}
+
+// Errors from lib/ carry the HTTP `status` to answer with; anything else is a bug.
+function sendStatusError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({ status: 'error', message: error.message });
+  }
+
+  res.req.log.error(fallbackMessage, { error });
+  return res.status(500).json({ status: 'error', message: 'Internal error' });
+}
+
+/**
+ * The store createApp expects, with the TTL of each collection, set up from `config.storage`.
+ */
+function createAppStore(config, logger = console) {
+  return createStore({
+    ...config.storage,
+    logger,
+    collections: {
+      issuedBySession: { ttlMs: PROMO_TTL_MS },
+      issuedCodes: { ttlMs: PROMO_RECORD_TTL_MS },
+      processedEvents: { ttlMs: EVENT_TTL_MS },
+      verifiedResults: { ttlMs: PROMO_TTL_MS },
+      games: { ttlMs: GAME_TTL_MS, timestampField: 'updatedAt' },
+      rooms: { ttlMs: GAME_TTL_MS, timestampField: 'updatedAt' },
+      series: { ttlMs: GAME_TTL_MS, timestampField: 'updatedAt' },
+      dailyStats: { ttlMs: STATS_TTL_MS },
+      leaderboardArchive: { ttlMs: STATS_TTL_MS },
+      analytics: { ttlMs: STATS_TTL_MS },
+      analyticsSessions: { ttlMs: STATS_TTL_MS },
+      analyticsEvents: { ttlMs: ANALYTICS_EVENTS_TTL_MS },
+      // Kept for a day at least, so that a short cooldown still pays once per puzzle.
+      puzzleRewards: { ttlMs: Math.max(config.puzzleCooldownMs, 24 * 60 * 60 * 1000) },
+      outbox: { ttlMs: OUTBOX_TTL_MS },
+      // A chat that stays blocked gets one more try after this, which blocks it again.
+      blockedChats: { ttlMs: STATS_TTL_MS },
+      playerStats: { ttlMs: PLAYER_TTL_MS, timestampField: 'updatedAt' },
+      skillRatings: { ttlMs: PLAYER_TTL_MS, timestampField: 'updatedAt' },
+    },
+  });
+}
+
+/**
+ * Builds the Express app with everything it runs on; server.js listens on it.
+ *
+ * `config` comes from loadConfig(), `now` is the clock every cooldown, expiry and daily counter
+ * reads, `store` is a store from createAppStore() and `telegram` a Bot API client like
+ * createTelegramClient()'s. Each defaults to the real one, so tests pass only what they fake.
+ *
+ * Nothing runs in the background until `start()`: the token check, the Telegram queue, the
+ * leaderboard roll-over and incoming bot updates. `stop()` ends them, gives the Telegram queue a
+ * last pass and closes the store; it resolves once the store is flushed. `closeStreams()` ends the
+ * open room event streams, which never end on their own and would hold up a server's close;
+ * `stop()` ends them too.
+ */
+function createApp({
+  config = loadConfig(),
+  now = Date.now,
+  logger = createLogger({ level: config.logLevel }),
+  store = createAppStore(config, logger),
+  telegram = createTelegramClient({
+    token: config.telegram.botToken,
+    baseUrl: config.telegram.apiBaseUrl,
+  }),
+} = {}) {
+  const app = express();
+  const promoCodeFormat = createPromoCodeFormat(config.promoCode);
+
+  const issuedBySession = store.collection('issuedBySession');
+  const issuedCodes = store.collection('issuedCodes');
+  const processedEvents = store.collection('processedEvents');
+  const verifiedResults = store.collection('verifiedResults');
+  const games = store.collection('games');
+  const dailyStats = store.collection('dailyStats');
+  const puzzleRewards = store.collection('puzzleRewards');
+  const playerStats = createPlayerStats({ players: store.collection('playerStats') });
+
+  // Prometheus metrics for GET /metrics. Values kept elsewhere (collection sizes, the Telegram
+  // queue's totals) are read when the endpoint is scraped.
+  const metrics = createMetrics();
+  const resultCounter = metrics.counter('tictactoe_results_total', 'Finished games.', {
+    labelNames: ['result', 'difficulty'],
+  });
+  const promoCodeCounter = metrics.counter(
+    'tictactoe_promo_codes_total',
+    'Promo codes handed out: newly issued, or an earlier code served again.',
+    { labelNames: ['source', 'outcome'] }
+  );
+  const replayCounter = metrics.counter(
+    'tictactoe_idempotent_replays_total',
+    'Result requests answered from processedEvents.'
+  );
+  const initDataFailureCounter = metrics.counter(
+    'tictactoe_init_data_failures_total',
+    'Telegram init data that failed validation.'
+  );
+  const rateLimitCounter = metrics.counter(
+    'tictactoe_rate_limited_total',
+    'Requests rejected by the rate limiter.',
+    { labelNames: ['path'] }
+  );
+  const requestDuration = metrics.histogram(
+    'tictactoe_http_request_duration_seconds',
+    'HTTP request latency.',
+    { labelNames: ['method', 'route', 'status'] }
+  );
+  metrics.counter('tictactoe_telegram_sends_total', 'Telegram send outcomes since startup.', {
+    collect: () =>
+      Object.entries(telegramQueue.getStats().totals).map(([outcome, value]) => ({
+        labels: { outcome },
+        value,
+      })),
+  });
+  metrics.gauge('tictactoe_store_entries', 'Entries per store collection.', {
+    collect: () =>
+      Object.entries(store.collections).map(([collection, entries]) => ({
+        labels: { collection },
+        value: entries.size,
+      })),
+  });
+
+  const skillRatings = createSkillRatings({
+    ratings: store.collection('skillRatings'),
+    targetWinRate: config.autoTargetWinRate,
+  });
+
+  const seriesBook = createSeriesBook({ series: store.collection('series'), now });
+
+  const analytics = createAnalytics({
+    days: store.collection('analytics'),
+    sessions: store.collection('analyticsSessions'),
+    batches: store.collection('analyticsEvents'),
+    now,
+  });
+
+  const leaderboard = createLeaderboard({
+    boards: store.collection('leaderboards'),
+    archive: store.collection('leaderboardArchive'),
+    onWeekEnd: rewardWeekWinners,
+    now,
+    logger,
+  });
+
+  const campaignBook = createCampaignBook({
+    campaigns: loadCampaigns(config.campaignsFile, logger),
+    usage: store.collection('campaignUsage'),
+  });
+
+  // The engines are shared with the browser, so they stay ES modules and are loaded lazily here.
+  const gameEngine = Promise.all([
+    import('./public/game.mjs'),
+    import('./public/ultimate.mjs'),
+  ]).then(([classic, ultimate]) => ({ ...classic, ...ultimate }));
+
+  // Finding the puzzles takes a full minimax walk of the classic board, so it waits for first use.
+  let dailyPuzzles = null;
+  function getDailyPuzzles() {
+    dailyPuzzles = dailyPuzzles || gameEngine.then(createDailyPuzzles);
+    return dailyPuzzles;
+  }
+
+  app.disable('x-powered-by');
+  app.set('trust proxy', 1);
+
+  // Every request gets an id, taken from X-Request-Id when the proxy sets a sane one, and a logger
+  // that adds it to each line. The id goes back in the response headers.
+  app.use((req, res, next) => {
+    const incomingId = req.get('X-Request-Id') || '';
+    const requestId = /^[\w.-]{1,64}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+    req.log = logger.child({ requestId });
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      // Route patterns rather than paths keep the label values few; static files have no route.
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+      requestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+      req.log.info('Request finished', {
+        method: req.method,
+        path: req.path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+      });
+    });
+    next();
+  });
+  app.use(
+    helmet({
+      contentSecurityPolicy: {
+        directives: {
+          defaultSrc: ["'self'"],
+          scriptSrc: ["'self'", 'https://telegram.org'],
+          styleSrc: ["'self'", 'https://fonts.googleapis.com'],
+          fontSrc: ["'self'", 'https://fonts.gstatic.com'],
+          imgSrc: ["'self'", 'data:'],
+          connectSrc: ["'self'", 'https://t.me', 'https://telegram.org'],
+          frameAncestors: [
+            "'self'",
+            'https://t.me',
+            'https://web.telegram.org',
+            'https://telegram.org',
+          ],
+        },
+      },
+      crossOriginResourcePolicy: { policy: 'cross-origin' },
+      crossOriginEmbedderPolicy: false,
+    })
+  );
+  app.use(express.json({ limit: '20kb' }));
+  app.use(cookieParser());
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  function createLimiter(limit, skip) {
+    return rateLimit({
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      limit,
+      skip,
+      standardHeaders: true,
+      legacyHeaders: false,
+      handler: (req, res, next, options) => {
+        rateLimitCounter.inc({ path: req.baseUrl });
+        req.log.warn('Rate limit reached', { ip: req.ip });
+        res.status(options.statusCode).json({ status: 'error', message: 'Too many requests' });
+      },
+    });
+  }
+
+  function isPlayRequest(req) {
+    return PLAY_PATHS.some((prefix) => req.path === prefix || req.path.startsWith(`${prefix}/`));
+  }
+
+  const apiLimiter = createLimiter(API_REQUEST_LIMIT, isPlayRequest);
+  const playLimiter = createLimiter(
+    PLAY_REQUESTS_PER_GAME * PLAY_GAMES_PER_WINDOW,
+    (req) => !isPlayRequest(req)
+  );
+
+  app.use('/api', apiLimiter, playLimiter);
+
+  function getSessionId(req, res) {
+    let sid = req.cookies.sid;
+
+    if (!sid) {
+      sid = crypto.randomUUID();
+      res.cookie('sid', sid, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: config.production,
+        maxAge: PROMO_TTL_MS,
+      });
+    }
+
+    return sid;
+  }
+
+  function getSessionPromo(sessionId) {
+    const entry = issuedBySession.get(sessionId);
+    if (!entry) return null;
+
+    const age = now() - entry.createdAt;
+    if (age > PROMO_TTL_MS) {
+      issuedBySession.delete(sessionId);
+      return null;
+    }
+
+    if (issuedCodes.get(entry.code)?.revoked) {
+      return null;
+    }
+
+    if (age < SESSION_COOLDOWN_MS) {
+      return entry;
+    }
+
+    return null;
+  }
+
+  function generateUniquePromoCode() {
+    // Keeping at least half of the code space free bounds the chance of a collision per attempt
+    // by 1/2, so running out of attempts means the configured format is too small, not bad luck.
+    if (issuedCodes.size >= promoCodeFormat.capacity / 2) {
+      throw new Error('Promo code space is exhausted; increase PROMO_CODE_LENGTH');
+    }
+
+    for (let i = 0; i < PROMO_CODE_MAX_ATTEMPTS; i += 1) {
+      const code = promoCodeFormat.generate();
+      if (!issuedCodes.has(code)) {
+        return code;
+      }
+    }
+
+    throw new Error('Failed to generate unique promo code');
+  }
+
+  function findPromoCode(req, res) {
+    const code = promoCodeFormat.normalize(req.params.code);
+    if (!code) {
+      res.status(400).json({ status: 'error', message: 'Malformed promo code' });
+      return null;
+    }
+
+    const entry = issuedCodes.get(code);
+    if (!entry) {
+      res.status(404).json({ status: 'error', message: 'Promo code not found' });
+      return null;
+    }
+
+    return { code, entry };
+  }
+
+  const requirePromoApiKey = createSecretGuard(
+    'PROMO_API_KEY',
+    config.promoApiKey,
+    (req) => req.get('X-API-Key') || ''
+  );
+  const requireAdminToken = createSecretGuard('ADMIN_TOKEN', config.adminToken, readBearerToken);
+  const metricsGuard = createSecretGuard('METRICS_TOKEN', config.metricsToken, readBearerToken);
+
+  // Metrics are open unless METRICS_TOKEN is set, for scrapers on a private network.
+  function requireMetricsToken(req, res, next) {
+    if (!config.metricsToken) return next();
+    return metricsGuard(req, res, next);
+  }
+
+  function describePromo(code, entry) {
+    const expiresAt = entry.createdAt + PROMO_TTL_MS;
+    let reason = null;
+    if (entry.revoked) {
+      reason = 'revoked';
+    } else if (entry.redeemed) {
+      reason = 'redeemed';
+    } else if (now() > expiresAt) {
+      reason = 'expired';
+    }
+
+    const tgUserId = entry.sessionId.startsWith('tg:') ? entry.sessionId.slice(3) : null;
+
+    return {
+      status: 'ok',
+      code,
+      valid: !reason,
+      reason,
+      issuedTo: { sessionId: entry.sessionId, telegramUserId: tgUserId },
+      issuedAt: new Date(entry.createdAt).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString(),
+      redeemedAt: entry.redeemedAt ? new Date(entry.redeemedAt).toISOString() : null,
+      orderId: entry.orderId || null,
+      revokedAt: entry.revokedAt ? new Date(entry.revokedAt).toISOString() : null,
+      campaignId: entry.campaignId || null,
+      discount: entry.discount ?? null,
+    };
+  }
+
+  const telegramQueue = createTelegramQueue({
+    telegram,
+    outbox: store.collection('outbox'),
+    blockedChats: store.collection('blockedChats'),
+    now,
+    globalPerSecond: config.telegram.maxPerSecond,
+    perChatPerSecond: config.telegram.maxPerChatPerSecond,
+    logger,
+  });
+
+  // The user from the init data, with `verified` telling whether its signature checked out.
+  function getTelegramUserFromRequest(req, { allowUnverified = false } = {}) {
+    const initData = req.get('X-TG-INIT-DATA') || '';
+    if (!initData) return null;
+
+    const token = config.telegram.botToken;
+    if (!token) {
+      throw new Error('Missing TELEGRAM_BOT_TOKEN or TELEGRAM_TOKEN');
+    }
+
+    let verified = true;
+    try {
+      // The library would check the age against the system clock, so it is checked here instead.
+      validate(initData, token, { expiresIn: 0 });
+      const authDate = Number(new URLSearchParams(initData).get('auth_date')) * 1000;
+      if (now() - authDate > INIT_DATA_TTL_MS) {
+        throw new Error('Init data expired');
+      }
+    } catch (error) {
+      initDataFailureCounter.inc();
+      if (!allowUnverified) {
+        throw error;
+      }
+      verified = false;
+    }
+
+    const user = parseTelegramUser(initData);
+    return user && { ...user, verified };
+  }
+
+  // `log` is the request's logger where there is a request.
+  function queueTelegramMessage(text, chatId, log = logger) {
+    if (!text) return;
+    if (!chatId) {
+      log.warn('Telegram chatId missing; message skipped');
+      return;
+    }
+
+    if (!telegram.isConfigured) {
+      log.warn('Telegram config is missing; message skipped');
+      return;
+    }
+
+    const id = telegramQueue.enqueue(chatId, text);
+    log.info('Telegram send queued', { id, chatId: String(chatId), text });
+  }
+
+  // Used for t.me invite links; taken from getMe at startup unless set explicitly.
+  let botUsername = config.telegram.botUsername;
+  // The token check for GET /healthz: `pending` until getMe answers, `missing` without a token.
+  let telegramCheck = { status: 'pending' };
+
+  async function verifyTelegramToken() {
+    if (!telegram.isConfigured) {
+      telegramCheck = { status: 'missing' };
+      logger.warn('Telegram token is missing; bot checks skipped');
+      return;
+    }
+
+    try {
+      const bot = await telegram.getMe();
+      telegramCheck = { status: 'ok', bot: bot?.username || null };
+      logger.info('Telegram bot OK', { bot: bot?.username || bot?.id || 'unknown' });
+      botUsername = botUsername || bot?.username || null;
+    } catch (error) {
+      telegramCheck = { status: 'error', error: error.message || String(error) };
+      logger.error('Telegram getMe failed', { error });
+    }
+  }
+
+  function getActivePromo(telegramUserId) {
+    const entry = issuedBySession.get(`tg:${telegramUserId}`);
+    if (!entry) return null;
+
+    const promo = issuedCodes.get(entry.code);
+    if (!promo || !describePromo(entry.code, promo).valid) return null;
+
+    return {
+      code: entry.code,
+      discount: promo.discount,
+      expiresAt: promo.createdAt + PROMO_TTL_MS,
+    };
+  }
+
+  // Every code on record for the session, newest first, expired ones too until the store prunes
+  // their records.
+  function getSessionCodes(sessionId) {
+    return Array.from(issuedCodes.entries())
+      .filter(([, entry]) => entry.sessionId === sessionId)
+      .sort(([, a], [, b]) => b.createdAt - a.createdAt)
+      .map(([code, entry]) => {
+        const { valid, reason, issuedAt, expiresAt, discount } = describePromo(code, entry);
+        return { code, discount, issuedAt, expiresAt, valid, reason };
+      });
+  }
+
+  function getPlayerStats(telegramUserId) {
+    return playerStats.get(`tg:${telegramUserId}`);
+  }
+
+  async function registerTelegramWebhook() {
+    const { publicUrl } = config;
+    const secret = config.telegram.webhookSecret;
+    if (!publicUrl || !secret) {
+      logger.warn('PUBLIC_URL or TELEGRAM_WEBHOOK_SECRET is missing; webhook not registered');
+      return;
+    }
+
+    try {
+      await telegram.call('setWebhook', {
+        url: `${publicUrl.replace(/\/+$/, '')}/telegram/webhook/${secret}`,
+        allowed_updates: ['message'],
+      });
+      logger.info('Telegram updates: webhook registered');
+    } catch (error) {
+      logger.error('Failed to register Telegram webhook', { error });
+    }
+  }
+
+  const botHandler = createBotHandler({
+    // Replies go through the queue too, so they share its retries and rate limits.
+    telegram: {
+      sendMessage: async (chatId, text, extra) => telegramQueue.enqueue(chatId, text, extra),
+    },
+    webAppUrl: config.publicUrl,
+    getActivePromo,
+    getPlayerStats,
+  });
+
+  // Writing to the bot undoes blocking it, so the chat can get messages again.
+  function handleUpdate(update) {
+    const chatId = update?.message?.chat?.id;
+    if (chatId !== undefined) telegramQueue.unblock(chatId);
+    return botHandler.handleUpdate(update);
+  }
+
+  function resolvePlayer(req, res) {
+    const allowFallback = config.allowFallbackChatId || !config.production;
+    let tgUser = null;
+
+    try {
+      tgUser = getTelegramUserFromRequest(req, { allowUnverified: allowFallback });
+    } catch (error) {
+      req.log.warn('Invalid Telegram init data', { error: error.message || String(error) });
+      if (!allowFallback) {
+        res.status(401).json({ status: 'error', message: 'Invalid Telegram init data' });
+        return null;
+      }
+      tgUser = null;
+    }
+
+    const fallbackUserIdRaw = allowFallback ? req.get('X-TG-USER-ID') || '' : '';
+    const fallbackUserId = /^\d+$/.test(fallbackUserIdRaw.trim()) ? fallbackUserIdRaw.trim() : null;
+
+    const resolvedUserId = tgUser?.id || fallbackUserId;
+    if (!resolvedUserId && !allowFallback) {
+      res.status(401).json({ status: 'error', message: 'Telegram init data required' });
+      return null;
+    }
+
+    if (!resolvedUserId) {
+      req.log.warn('No Telegram user resolved from init data or fallback header');
+    }
+
+    return {
+      sessionId: resolvedUserId ? `tg:${resolvedUserId}` : getSessionId(req, res),
+      chatId: resolvedUserId || (allowFallback ? config.fallbackChatId : null),
+      // A language picked by hand in the game wins over the Telegram client language.
+      locale: resolveLocale(req.get('X-Locale') || tgUser?.language_code),
+      // Set only for signed init data: the leaderboard takes no fallback or unverified users.
+      telegramUser: tgUser?.verified
+        ? {
+            id: String(tgUser.id),
+            firstName: tgUser.first_name || '',
+            username: tgUser.username || null,
+          }
+        : null,
+    };
+  }
+
+  function settleResult(
+    result,
+    sessionId,
+    difficulty,
+    locale,
+    { variant = 'standard', assists = {}, seriesLength = 1 } = {}
+  ) {
+    const settlement = { code: null, discount: null, campaign: null, telegramMessage: null };
+
+    if (result === 'win') {
+      const existing = getSessionPromo(sessionId);
+      if (existing) {
+        promoCodeCounter.inc({ source: 'campaign', outcome: 'cached' });
+        settlement.code = existing.code;
+        settlement.discount = existing.discount;
+        settlement.campaign = existing.campaignName;
+        return settlement;
+      }
+
+      const code = generateUniquePromoCode();
+      const reward = campaignBook.claim(difficulty, now(), { variant, assists, seriesLength });
+      if (!reward) {
+        // No running campaign (or its caps or assist rules leave nothing): the win counts, but only
+        // for fun.
+        return settlement;
+      }
+
+      const createdAt = now();
+      const { campaign, discount } = reward;
+      issuedCodes.set(code, {
+        createdAt,
+        sessionId,
+        redeemed: false,
+        campaignId: campaign.id,
+        difficulty,
+        variant,
+        assists,
+        discount,
+      });
+      issuedBySession.set(sessionId, { code, createdAt, discount, campaignName: campaign.name });
+      promoCodeCounter.inc({ source: 'campaign', outcome: 'issued' });
+      settlement.code = code;
+      settlement.discount = discount;
+      settlement.campaign = campaign.name;
+      settlement.telegramMessage = translate(locale, 'result.win', { code, discount });
+    } else if (result === 'loss') {
+      settlement.telegramMessage = translate(locale, 'result.loss');
+    }
+
+    return settlement;
+  }
+
+  // Bonus codes (leaderboard prizes, puzzle rewards) stand apart from campaigns: they use no campaign
+  // budget and leave the player's regular code and cooldown alone.
+  function issueBonusCode(source, sessionId, discount, details) {
+    const code = generateUniquePromoCode();
+    issuedCodes.set(code, {
+      createdAt: now(),
+      sessionId,
+      redeemed: false,
+      campaignId: null,
+      discount,
+      ...details,
+    });
+    promoCodeCounter.inc({ source, outcome: 'issued' });
+    return code;
+  }
+
+  function rewardWeekWinners(week) {
+    if (!config.leaderboardBonusTop) return;
+
+    week.standings.slice(0, config.leaderboardBonusTop).forEach((entry) => {
+      const discount = config.leaderboardBonusDiscount;
+      const code = issueBonusCode('leaderboard', `tg:${entry.userId}`, discount, {
+        leaderboardWeek: week.week,
+      });
+      logger.info('Leaderboard bonus issued', { code, week: week.week, rank: entry.rank });
+      queueTelegramMessage(
+        translate(entry.locale, 'leaderboard.bonus', { rank: entry.rank, code, discount }),
+        entry.userId
+      );
+    });
+  }
+
+  // One code per puzzle, and none while an earlier puzzle code is in its cooldown. A second solution
+  // of the same puzzle gets the code of the first.
+  function settlePuzzle(day, player) {
+    const entry = puzzleRewards.get(player.sessionId);
+    if (entry?.day === day) {
+      promoCodeCounter.inc({ source: 'puzzle', outcome: 'cached' });
+      return { code: entry.code, discount: entry.discount, telegramMessage: null };
+    }
+    if (entry && now() - entry.createdAt < config.puzzleCooldownMs) {
+      return { code: null, discount: null, telegramMessage: null };
+    }
+
+    const discount = config.puzzleDiscount;
+    const code = issueBonusCode('puzzle', player.sessionId, discount, { puzzleDay: day });
+    puzzleRewards.set(player.sessionId, { createdAt: now(), day, code, discount });
+    return {
+      code,
+      discount,
+      telegramMessage: translate(player.locale, 'puzzle.solved', { code, discount }),
+    };
+  }
+
+  // Points are for wins played unaided: a hint or an undo forfeits them, whatever the campaign's
+  // assist rules allow for its code.
+  function recordLeaderboardWin(telegramUser, locale, game) {
+    if (!telegramUser || game.assists.hint || game.assists.undo) return;
+    leaderboard.recordWin({ ...telegramUser, locale }, game);
+  }
+
+  // `game` is `{ result, difficulty, starter, durationMs }`, as createPlayerStats records it.
+  function recordResult(sessionId, game) {
+    const timestamp = now();
+    const { result, difficulty } = game;
+    playerStats.record(sessionId, game, timestamp);
+    resultCounter.inc({ result, difficulty });
+
+    const day = getDayKey(timestamp);
+    const entry = dailyStats.get(day) || { createdAt: timestamp, byDifficulty: {} };
+    const counts = entry.byDifficulty[difficulty] || { win: 0, loss: 0, draw: 0 };
+
+    dailyStats.set(day, {
+      ...entry,
+      byDifficulty: {
+        ...entry.byDifficulty,
+        [difficulty]: { ...counts, [result]: counts[result] + 1 },
+      },
+    });
+  }
+
+  // Games of a series settle nothing on their own: the series' end does, as a win or a loss of the
+  // whole series, and a drawn series ends like a drawn game. A game that no longer counts (the
+  // series moved on or expired) settles nothing either.
+  function settleSeriesGame(seriesId, player, game) {
+    let series = null;
+    try {
+      series = seriesBook.finishGame(seriesId, player.sessionId, game);
+    } catch (error) {
+      if (!error.status) throw error;
+    }
+    if (!series) return settleResult('draw');
+
+    const result = { won: 'win', lost: 'loss' }[series.status] || 'draw';
+    const settlement = settleResult(result, player.sessionId, series.difficulty, player.locale, {
+      variant: series.variant,
+      assists: series.assists,
+      seriesLength: series.length,
+    });
+    if (settlement.code) {
+      const { code, discount, campaign } = settlement;
+      seriesBook.setReward(series.id, { code, discount, campaign });
+    }
+
+    return { ...settlement, series: seriesBook.describe(series) };
+  }
+
+  function finishGame(game, log = logger) {
+    const result = getOutcomeResult(game.outcome);
+    recordResult(game.sessionId, {
+      result,
+      difficulty: game.difficulty,
+      starter: game.starter,
+      durationMs: now() - game.createdAt,
+    });
+    if (result === 'win') recordLeaderboardWin(game.telegramUser, game.locale, game);
+    if (game.difficulty === 'auto') {
+      game.nextLevel = skillRatings.record(game.sessionId, result, now());
+    }
+    const settlement = game.seriesId
+      ? settleSeriesGame(game.seriesId, game, { gameId: game.id, result, assists: game.assists })
+      : settleResult(result, game.sessionId, game.difficulty, game.locale, {
+          variant: game.variant,
+          assists: game.assists,
+        });
+    game.series = settlement.series || null;
+    game.code = settlement.code;
+    game.discount = settlement.discount;
+    game.campaign = settlement.campaign;
+    queueTelegramMessage(settlement.telegramMessage, game.chatId, log);
+  }
+
+  // PvP games count for both players' stats. Only a win played to the end can earn a code, and
+  // only from a campaign with a `pvp` reward tier.
+  function finishRoomGame(room) {
+    const { outcome } = room;
+    const results = {};
+    ['X', 'O'].forEach((mark) => {
+      results[mark] = outcome.isDraw ? 'draw' : outcome.winner === mark ? 'win' : 'loss';
+      recordResult(room.seats[mark].sessionId, {
+        result: results[mark],
+        difficulty: 'pvp',
+        starter: room.starter === mark ? 'player' : 'opponent',
+        durationMs: room.startedAt ? now() - room.startedAt : null,
+      });
+    });
+
+    if (outcome.isDraw || outcome.forfeit) return;
+
+    const winner = room.seats[outcome.winner];
+    const settlement = settleResult('win', winner.sessionId, 'pvp', winner.locale);
+    if (settlement.code) {
+      room.rewards[outcome.winner] = {
+        code: settlement.code,
+        discount: settlement.discount,
+        campaign: settlement.campaign,
+      };
+      queueTelegramMessage(settlement.telegramMessage, winner.chatId);
+    }
+  }
+
+  const roomHub = createRoomHub({
+    rooms: store.collection('rooms'),
+    onFinish: finishRoomGame,
+    now,
+  });
+
+  function describeSeat({ room, mark, token }) {
+    return {
+      status: 'ok',
+      roomId: room.id,
+      mark,
+      token,
+      inviteUrl: botUsername ? `https://t.me/${botUsername}?startapp=${room.id}` : null,
+      room: roomHub.describe(room, mark),
+    };
+  }
+
+  // The claimed difficulty picks the reward tier, so the computer's replies must be the ones the
+  // engine plays at it. Replies that can't be checked pass here and earn nothing in /api/result.
+  // Each move's mark is read from the board the replay ends on.
+  function computerPlayMatches(moves, replay, rules, config, engine) {
+    const { starter, difficulty } = rules;
+    if (!canCheckComputerPlay(difficulty)) return true;
+
+    const board = engine.createBoard(config);
+    return moves.every((index, turn) => {
+      const playerTurn = (turn % 2 === 0) === (starter !== 'computer');
+      if (!playerTurn) {
+        const lastMove = turn > 0 ? moves[turn - 1] : null;
+        const play = getComputerPlay(board, lastMove, difficulty, rules, config, engine);
+        if (play?.index !== index || play.mark !== replay.board[index]) return false;
+      }
+      board[index] = replay.board[index];
+      return true;
+    });
+  }
+
+  // A replayed game counts for its series only when it was played under the series' rules, with
+  // the starter whose turn it was.
+  function matchesSeries(series, rules) {
+    return (
+      ['difficulty', 'mode', 'variant', 'boardSize'].every((key) => series[key] === rules[key]) &&
+      seriesBook.getNextStarter(series) === rules.starter
+    );
+  }
+
+  // A game in progress belongs to the player who started it. Anyone else gets the same 404 as for
+  // a game that doesn't exist, so game ids don't leak.
+  function findOwnGame(req, res) {
+    const player = resolvePlayer(req, res);
+    if (!player) return null;
+
+    const game = games.get(req.params.id);
+    if (!game || game.sessionId !== player.sessionId) {
+      res.status(404).json({ status: 'error', message: 'Game not found' });
+      return null;
+    }
+
+    return game;
+  }
+
+  // Readiness as well as liveness: `503` once the store can no longer write its file, so the
+  // container gets replaced. A Telegram problem only degrades the service, since games and codes
+  // work without the bot.
+  app.get('/healthz', (req, res) => {
+    const { ok, ...storage } = store.getStatus();
+    let status = 'ok';
+    if (!ok) status = 'error';
+    else if (telegramCheck.status !== 'ok') status = 'degraded';
+
+    res.status(ok ? 200 : 503).json({
+      status,
+      checks: { storage: { status: ok ? 'ok' : 'error', ...storage }, telegram: telegramCheck },
+    });
+  });
+
+  app.get('/metrics', requireMetricsToken, (req, res) => {
+    res.type(CONTENT_TYPE).send(metrics.render());
+  });
+
+  app.get('/api/campaign', (req, res) => {
+    const campaign = campaignBook.getActive(now());
+    res.json({ status: 'ok', campaign: campaign ? campaignBook.describe(campaign) : null });
+  });
+
+  app.get('/api/me/stats', (req, res) => {
+    store.prune(now());
+
+    const player = resolvePlayer(req, res);
+    if (!player) return;
+    if (!player.sessionId.startsWith('tg:')) {
+      return res.status(401).json({ status: 'error', message: 'Telegram init data required' });
+    }
+
+    return res.json({
+      status: 'ok',
+      ...playerStats.describe(player.sessionId),
+      codes: getSessionCodes(player.sessionId),
+    });
+  });
+
+  app.get('/api/leaderboard', (req, res) => {
+    const parsed = LEADERBOARD_QUERY_SCHEMA.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid query' });
+    }
+
+    const player = resolvePlayer(req, res);
+    if (!player) return;
+
+    const { period, limit } = parsed.data;
+    return res.json({
+      status: 'ok',
+      ...leaderboard.describe(period, player.telegramUser?.id ?? null, { limit }),
+    });
+  });
+
+  app.get('/api/leaderboard/archive', (req, res) => {
+    store.prune(now());
+    res.json({ status: 'ok', weeks: leaderboard.getArchive() });
+  });
+
+  app.get('/api/puzzle', async (req, res) => {
+    store.prune(now());
+
+    const player = resolvePlayer(req, res);
+    if (!player) return;
+
+    try {
+      const puzzle = (await getDailyPuzzles()).getPuzzle(getDayKey(now()));
+      const reward = puzzleRewards.get(player.sessionId);
+      const solved = reward?.day === puzzle.day;
+      return res.json({
+        status: 'ok',
+        puzzle,
+        solved,
+        code: solved ? reward.code : null,
+        discount: solved ? reward.discount : null,
+      });
+    } catch (error) {
+      return sendStatusError(res, error, 'Failed to load puzzle');
+    }
+  });
+
+  app.post('/api/puzzle/solution', async (req, res) => {
+    const parsed = PUZZLE_SOLUTION_SCHEMA.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+    }
+
+    const { day, moves } = parsed.data;
+    if (day !== getDayKey(now())) {
+      return res.status(409).json({ status: 'error', message: 'Puzzle has changed' });
+    }
+
+    store.prune(now());
+
+    const player = resolvePlayer(req, res);
+    if (!player) return;
+
+    try {
+      const puzzles = await getDailyPuzzles();
+      const error = puzzles.checkSolution(puzzles.getPuzzle(day), moves);
+      if (error) {
+        return res.status(422).json({ status: 'error', message: error });
+      }
+
+      const { code, discount, telegramMessage } = settlePuzzle(day, player);
+      res.json({ status: 'ok', solved: true, code, discount });
+      queueTelegramMessage(telegramMessage, player.chatId, req.log);
+    } catch (error) {
+      return sendStatusError(res, error, 'Failed to check puzzle solution');
+    }
+  });
+
+  app.post('/api/game', async (req, res) => {
+    const parsed = GAME_SCHEMA.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+    }
+
+    store.prune(now());
+
+    const player = resolvePlayer(req, res);
+    if (!player) return;
+
+    try {
+      const { seriesId } = parsed.data;
+      const series = seriesId ? seriesBook.get(seriesId, player.sessionId) : null;
+      const rules = series
+        ? { ...series, starter: seriesBook.getNextStarter(series) }
+        : parsed.data;
+
+      const engine = await gameEngine;
+      const config = getGameConfig(rules.mode, rules.boardSize, engine);
+      if (!config) {
+        return res.status(400).json({ status: 'error', message: 'Unsupported board size' });
+      }
+      if (rules.mode === 'ultimate' && rules.variant !== 'standard') {
+        return res.status(400).json({ status: 'error', message: 'Unsupported variant' });
+      }
+
+      const timestamp = now();
+      const game = {
+        id: crypto.randomUUID(),
+        board: engine.createBoard(config),
+        mode: rules.mode,
+        variant: rules.variant,
+        boardSize: config.size,
+        difficulty: rules.difficulty,
+        starter: rules.starter,
+        level: rules.difficulty === 'auto' ? skillRatings.getLevel(player.sessionId) : null,
+        sessionId: player.sessionId,
+        chatId: player.chatId,
+        locale: player.locale,
+        telegramUser: player.telegramUser,
+        lastMove: null,
+        lastComputerMove: null,
+        history: [],
+        assists: { hint: 0, undo: 0 },
+        outcome: null,
+        code: null,
+        seriesId: null,
+        series: null,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      };
+
+      if (series) {
+        // Starting over in the middle of a game forfeits that game, which may end the series.
+        seriesBook.startGame(series.id, player.sessionId, game.id);
+        if (series.status !== 'playing') {
+          return res.status(409).json({ status: 'error', message: 'Series is already over' });
+        }
+        game.seriesId = series.id;
+        game.series = seriesBook.describe(series);
+      }
+
+      if (rules.starter === 'computer') {
+        playComputerTurn(game, engine);
+      }
+
+      games.set(game.id, game);
+      return res.json(serializeGame(game));
+    } catch (error) {
+      return sendStatusError(res, error, 'Failed to start game');
+    }
+  });
+
+  app.post('/api/series', async (req, res) => {
+    const parsed = SERIES_SCHEMA.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+    }
+
+    store.prune(now());
+
+    const player = resolvePlayer(req, res);
+    if (!player) return;
+
+    const engine = await gameEngine;
+    const config = getGameConfig(parsed.data.mode, parsed.data.boardSize, engine);
+    if (!config) {
+      return res.status(400).json({ status: 'error', message: 'Unsupported board size' });
+    }
+    if (parsed.data.mode === 'ultimate' && parsed.data.variant !== 'standard') {
+      return res.status(400).json({ status: 'error', message: 'Unsupported variant' });
+    }
+
+    try {
+      const series = seriesBook.create({
+        ...parsed.data,
+        boardSize: config.size,
+        sessionId: player.sessionId,
+      });
+      return res.json({ status: 'ok', series: seriesBook.describe(series) });
+    } catch (error) {
+      return sendStatusError(res, error, 'Failed to create series');
+    }
+  });
+
+  // The series and its game in progress, if any, so that a reloaded page can pick up where it was.
+  app.get('/api/series/:id', (req, res) => {
+    store.prune(now());
+
+    const player = resolvePlayer(req, res);
+    if (!player) return;
+
+    try {
+      const series = seriesBook.get(req.params.id, player.sessionId);
+      const game = series.currentGameId ? games.get(series.currentGameId) : null;
+      return res.json({
+        status: 'ok',
+        series: seriesBook.describe(series),
+        game: game && !game.outcome ? serializeResumedGame(game) : null,
+      });
+    } catch (error) {
+      return sendStatusError(res, error, 'Failed to load series');
+    }
+  });
+
+  app.post('/api/game/:id/move', async (req, res) => {
+    const parsed = MOVE_SCHEMA.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+    }
+
+    store.prune(now());
+
+    // Resolve the engine before reading the game so the checks and the moves below run atomically.
+    const engine = await gameEngine;
+    const game = findOwnGame(req, res);
+    if (!game) return;
+
+    // Only Wild lets the player pick the mark; elsewhere it follows from the variant.
+    const { index } = parsed.data;
+    const marks = engine.getMarks(game.variant, 'X');
+    const mark = parsed.data.mark ?? (marks.length === 1 ? marks[0] : null);
+    if (index >= game.board.length || !marks.includes(mark)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+    }
+    if (game.outcome) {
+      return res.status(409).json({ status: 'error', message: 'Game is already over' });
+    }
+    if (game.board[index]) {
+      return res.status(409).json({ status: 'error', message: 'Cell is already taken' });
+    }
+    if (
+      game.mode === 'ultimate' &&
+      !engine.getLegalMoves(game.board, game.lastMove).includes(index)
+    ) {
+      return res.status(409).json({ status: 'error', message: 'Move must go to the active board' });
+    }
+
+    try {
+      game.board[index] = mark;
+      game.history.push({ index, side: 'X' });
+      game.lastMove = index;
+      game.lastComputerMove = null;
+      game.updatedAt = now();
+      game.outcome = evaluateGame(game, 'X', engine);
+
+      if (!game.outcome) {
+        playComputerTurn(game, engine);
+      }
+
+      if (game.outcome) {
+        finishGame(game, req.log);
+      }
+
+      games.set(game.id, game);
+      return res.json(serializeGame(game));
+    } catch (error) {
+      req.log.error('Failed to process move', { error });
+      return res.status(500).json({ status: 'error', message: 'Internal error' });
+    }
+  });
+
+  // Hints and undos are counted on the game, so the assist rules apply when it is settled.
+  app.post('/api/game/:id/hint', async (req, res) => {
+    store.prune(now());
+
+    const engine = await gameEngine;
+    const game = findOwnGame(req, res);
+    if (!game) return;
+    if (game.outcome) {
+      return res.status(409).json({ status: 'error', message: 'Game is already over' });
+    }
+
+    try {
+      const play = getHintPlay(game, engine);
+      game.assists.hint += 1;
+      game.updatedAt = now();
+      games.set(game.id, game);
+      return res.json({ status: 'ok', gameId: game.id, hint: play, assists: game.assists });
+    } catch (error) {
+      req.log.error('Failed to find a hint', { error });
+      return res.status(500).json({ status: 'error', message: 'Internal error' });
+    }
+  });
+
+  app.post('/api/game/:id/undo', (req, res) => {
+    store.prune(now());
+
+    const game = findOwnGame(req, res);
+    if (!game) return;
+    if (game.outcome) {
+      return res.status(409).json({ status: 'error', message: 'Game is already over' });
+    }
+    if (!undoTurn(game)) {
+      return res.status(409).json({ status: 'error', message: 'Nothing to undo' });
+    }
+
+    game.updatedAt = now();
+    games.set(game.id, game);
+    return res.json(serializeGame(game));
+  });
+
+  app.post('/api/result', async (req, res) => {
+    req.log.info('Result request received', {
+      hasInitData: Boolean(req.get('X-TG-INIT-DATA')),
+      hasUserId: Boolean(req.get('X-TG-USER-ID')),
+      ip: req.ip,
+    });
+
+    const parsed = RESULT_SCHEMA.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+    }
+
+    const {
+      result,
+      eventId,
+      moves,
+      starter,
+      difficulty,
+      mode,
+      variant,
+      marks,
+      assists,
+      boardSize,
+      seriesId,
+      durationMs,
+    } = parsed.data;
+    if (result === 'win' && !moves) {
+      // A bare client-reported win proves nothing; it needs a move log or a game played via /api/game.
+      return res.status(403).json({ status: 'error', message: 'Wins require a move log' });
+    }
+
+    if (moves) {
+      const engine = await gameEngine;
+      const config = getGameConfig(mode, boardSize, engine);
+      if (!config) {
+        return res.status(400).json({ status: 'error', message: 'Unsupported board size' });
+      }
+      if (mode === 'ultimate' && variant !== 'standard') {
+        return res.status(400).json({ status: 'error', message: 'Unsupported variant' });
+      }
+
+      const replay =
+        mode === 'ultimate'
+          ? engine.replayUltimateGame(moves, starter)
+          : engine.replayGame(moves, starter, config, { variant, marks });
+
+      if (replay.error) {
+        return res.status(422).json({ status: 'error', message: replay.error });
+      }
+      if (!replay.outcome) {
+        return res.status(422).json({ status: 'error', message: 'Game is not finished' });
+      }
+      if (getOutcomeResult(replay.outcome) !== result) {
+        return res
+          .status(422)
+          .json({ status: 'error', message: 'Result does not match the moves' });
+      }
+      const rules = { starter, difficulty, mode, variant };
+      if (!computerPlayMatches(moves, replay, rules, config, engine)) {
+        return res
+          .status(422)
+          .json({ status: 'error', message: 'Computer moves do not match the difficulty' });
+      }
+    }
+
+    store.prune(now());
+
+    const player = resolvePlayer(req, res);
+    if (!player) return;
+
+    if (eventId) {
+      const cached = processedEvents.get(eventId);
+      if (cached) {
+        replayCounter.inc();
+        return res.json(cached.response);
+      }
+    }
+
+    // Only wins whose computer moves were checked pay out and earn leaderboard points. Other wins
+    // still count in the player's statistics, for fun.
+    const rewarded = result === 'win' && canCheckComputerPlay(difficulty);
+
+    try {
+      const series = seriesId ? seriesBook.get(seriesId, player.sessionId) : null;
+      if (series && !matchesSeries(series, parsed.data)) {
+        return res
+          .status(409)
+          .json({ status: 'error', message: 'Result does not match the series' });
+      }
+      if (series && result === 'win' && !rewarded) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Series wins at this difficulty must be played via /api/game',
+        });
+      }
+
+      const responsePayload = { status: 'ok' };
+      recordResult(player.sessionId, { result, difficulty, starter, durationMs });
+      if (rewarded) {
+        recordLeaderboardWin(player.telegramUser, player.locale, { difficulty, starter, assists });
+      }
+      if (difficulty === 'auto') {
+        // The auto computer's moves can't be checked, so only server-run games move the level.
+        responsePayload.level = skillRatings.getLevel(player.sessionId);
+      }
+      let settlement = { code: null, telegramMessage: null };
+      if (series) {
+        settlement = settleSeriesGame(series.id, player, { result, assists });
+      } else if (result !== 'win' || rewarded) {
+        settlement = settleResult(result, player.sessionId, difficulty, player.locale, {
+          variant,
+          assists,
+        });
+      }
+      const { code, discount, campaign, telegramMessage } = settlement;
+      if (code) {
+        Object.assign(responsePayload, { code, discount, campaign });
+      }
+      if (settlement.series) {
+        responsePayload.series = settlement.series;
+      }
+
+      if (moves) {
+        verifiedResults.set(crypto.randomUUID(), {
+          createdAt: now(),
+          sessionId: player.sessionId,
+          result,
+          difficulty,
+          mode,
+          variant,
+          boardSize,
+          starter,
+          moves,
+          marks,
+          assists,
+          seriesId,
+          code,
+        });
+      }
+
+      if (eventId) {
+        processedEvents.set(eventId, { createdAt: now(), response: responsePayload });
+      }
+
+      res.json(responsePayload);
+      queueTelegramMessage(telegramMessage, player.chatId, req.log);
+    } catch (error) {
+      return sendStatusError(res, error, 'Failed to process result');
+    }
+  });
+
+  app.post('/api/rooms', async (req, res) => {
+    const parsed = ROOM_SCHEMA.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+    }
+
+    store.prune(now());
+
+    const player = resolvePlayer(req, res);
+    if (!player) return;
+
+    const engine = await gameEngine;
+    const config = engine.getBoardConfig(parsed.data.boardSize);
+    if (!config) {
+      return res.status(400).json({ status: 'error', message: 'Unsupported board size' });
+    }
+
+    try {
+      const seat = roomHub.create({
+        boardSize: config.size,
+        board: engine.createBoard(config),
+        player,
+      });
+      return res.json(describeSeat(seat));
+    } catch (error) {
+      return sendStatusError(res, error, 'Failed to create room');
+    }
+  });
+
+  app.post('/api/rooms/:id/join', (req, res) => {
+    store.prune(now());
+
+    const player = resolvePlayer(req, res);
+    if (!player) return;
+
+    try {
+      return res.json(describeSeat(roomHub.join(req.params.id, player)));
+    } catch (error) {
+      return sendStatusError(res, error, 'Failed to join room');
+    }
+  });
+
+  // Server-Sent Events: the room state after every change, as seen by the seat the token belongs to.
+  // EventSource can't send headers, so the seat token comes in the query string.
+  app.get('/api/rooms/:id/events', (req, res) => {
+    const parsed = ROOM_TOKEN_SCHEMA.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+    }
+
+    let room;
+    let mark;
+    try {
+      room = roomHub.getRoom(req.params.id);
+      mark = roomHub.getMark(room, parsed.data.token);
+    } catch (error) {
+      return sendStatusError(res, error, 'Failed to open room events');
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const unsubscribe = roomHub.subscribe(room, mark, {
+      send: (state) => res.write(`data: ${JSON.stringify(state)}\n\n`),
+      // Kept alive, the idle connection would still hold up a server's close.
+      close: () => res.end(() => req.socket.destroy()),
+    });
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), ROOM_KEEP_ALIVE_MS);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  });
+
+  app.post('/api/rooms/:id/move', async (req, res) => {
+    const parsed = ROOM_MOVE_SCHEMA.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+    }
+
+    // As with /api/game, the engine is resolved first so the move is validated and applied at once.
+    const engine = await gameEngine;
+    try {
+      const room = roomHub.move(req.params.id, parsed.data.token, parsed.data.index, engine);
+      return res.json({ status: 'ok', room });
+    } catch (error) {
+      return sendStatusError(res, error, 'Failed to process room move');
+    }
+  });
+
+  app.post('/api/rooms/:id/rematch', async (req, res) => {
+    const parsed = ROOM_TOKEN_SCHEMA.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+    }
+
+    const engine = await gameEngine;
+    try {
+      const room = roomHub.rematch(req.params.id, parsed.data.token, engine);
+      return res.json({ status: 'ok', room });
+    } catch (error) {
+      return sendStatusError(res, error, 'Failed to start rematch');
+    }
+  });
+
+  app.get('/api/promo/:code', requirePromoApiKey, (req, res) => {
+    store.prune(now());
+
+    const promo = findPromoCode(req, res);
+    if (!promo) return;
+
+    return res.json(describePromo(promo.code, promo.entry));
+  });
+
+  app.post('/api/promo/:code/redeem', requirePromoApiKey, (req, res) => {
+    const parsed = REDEEM_SCHEMA.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+    }
+
+    store.prune(now());
+
+    const promo = findPromoCode(req, res);
+    if (!promo) return;
+
+    const { code, entry } = promo;
+    const { orderId } = parsed.data;
+    if (entry.revoked) {
+      return res.status(410).json({ status: 'error', message: 'Promo code revoked' });
+    }
+
+    if (entry.redeemed) {
+      // A retried checkout for the same order gets the original redemption back.
+      if (entry.orderId === orderId) {
+        return res.json(describePromo(code, entry));
+      }
+      return res.status(409).json({ status: 'error', message: 'Promo code already redeemed' });
+    }
+
+    if (now() > entry.createdAt + PROMO_TTL_MS) {
+      return res.status(410).json({ status: 'error', message: 'Promo code expired' });
+    }
+
+    const redeemed = { ...entry, redeemed: true, redeemedAt: now(), orderId };
+    issuedCodes.set(code, redeemed);
+    req.log.info('Promo code redeemed', { code, orderId, sessionId: entry.sessionId });
+
+    return res.json(describePromo(code, redeemed));
+  });
+
+  app.use('/admin/api', apiLimiter, requireAdminToken);
+
+  app.get('/admin/api/codes', (req, res) => {
+    const parsed = ADMIN_CODES_QUERY_SCHEMA.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid query' });
+    }
+
+    store.prune(now());
+
+    const query = parsed.data.q.trim().toUpperCase();
+    const codes = Array.from(issuedCodes.entries())
+      .filter(([code, entry]) => {
+        if (!query) return true;
+        return code.includes(query) || entry.sessionId.toUpperCase().includes(query);
+      })
+      .sort(([, a], [, b]) => b.createdAt - a.createdAt);
+
+    return res.json({
+      status: 'ok',
+      total: codes.length,
+      codes: codes.slice(0, parsed.data.limit).map(([code, entry]) => describePromo(code, entry)),
+    });
+  });
+
+  app.post('/admin/api/codes/:code/revoke', (req, res) => {
+    const promo = findPromoCode(req, res);
+    if (!promo) return;
+
+    const { code, entry } = promo;
+    const revoked = entry.revoked ? entry : { ...entry, revoked: true, revokedAt: now() };
+    issuedCodes.set(code, revoked);
+    req.log.info('Promo code revoked', { code, sessionId: entry.sessionId });
+
+    return res.json(describePromo(code, revoked));
+  });
+
+  app.get('/admin/api/telegram-queue', (req, res) => {
+    res.json({ status: 'ok', ...telegramQueue.getStats() });
+  });
+
+  app.post('/admin/api/users/:userId/reset-cooldown', (req, res) => {
+    const { userId } = req.params;
+    const sessionId = /^\d+$/.test(userId) ? `tg:${userId}` : userId;
+    const hadCooldown = issuedBySession.delete(sessionId);
+    req.log.info('Promo cooldown reset', { sessionId, hadCooldown });
+
+    return res.json({ status: 'ok', sessionId, reset: hadCooldown });
+  });
+
+  app.get('/admin/api/stats', (req, res) => {
+    const parsed = ADMIN_STATS_QUERY_SCHEMA.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid query' });
+    }
+
+    const emptyCounts = () => ({ win: 0, loss: 0, draw: 0 });
+    const byDifficulty = {};
+    const days = [];
+    const timestamp = now();
+
+    for (let offset = parsed.data.days - 1; offset >= 0; offset -= 1) {
+      const date = getDayKey(timestamp - offset * 24 * 60 * 60 * 1000);
+      const entry = dailyStats.get(date);
+      const totals = emptyCounts();
+
+      Object.entries(entry?.byDifficulty || {}).forEach(([difficulty, counts]) => {
+        byDifficulty[difficulty] = byDifficulty[difficulty] || emptyCounts();
+        ['win', 'loss', 'draw'].forEach((result) => {
+          totals[result] += counts[result];
+          byDifficulty[difficulty][result] += counts[result];
+        });
+      });
+
+      days.push({ date, ...totals, byDifficulty: entry?.byDifficulty || {} });
+    }
+
+    return res.json({ status: 'ok', days, byDifficulty });
+  });
+
+  app.get('/admin/api/funnel', (req, res) => {
+    const parsed = ADMIN_STATS_QUERY_SCHEMA.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid query' });
+    }
+
+    return res.json({ status: 'ok', ...analytics.describeFunnel({ days: parsed.data.days }) });
+  });
+
+  app.post('/telegram/webhook/:secret', (req, res) => {
+    const secret = config.telegram.webhookSecret;
+    if (!secret || !safeEqual(req.params.secret, secret)) {
+      return res.status(404).json({ status: 'error', message: 'Not found' });
+    }
+
+    // Acknowledge right away so Telegram doesn't redeliver the update while we reply.
+    res.json({ status: 'ok' });
+    handleUpdate(req.body).catch((error) => {
+      req.log.error('Failed to handle Telegram update', { error });
+    });
+  });
+
+  // Batches come from navigator.sendBeacon, which cannot set headers, so they name their session in
+  // the body. Older clients that don't are counted by the session cookie.
+  app.post('/api/events', (req, res) => {
+    const parsed = EVENT_BATCH_SCHEMA.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+    }
+
+    store.prune(now());
+    const { sessionId, events } = parsed.data;
+    analytics.record(sessionId ? `app:${sessionId}` : getSessionId(req, res), events);
+    return res.json({ status: 'ok', accepted: events.length });
+  });
+
+  let stopPolling = null;
+
+  function start() {
+    verifyTelegramToken();
+    telegramQueue.start();
+    leaderboard.start();
+
+    if (config.telegram.updates === 'polling' && telegram.isConfigured) {
+      logger.info('Telegram updates: long polling');
+      stopPolling = startPolling({ telegram, handleUpdate, logger });
+    } else if (config.telegram.updates === 'webhook' && telegram.isConfigured) {
+      registerTelegramWebhook();
+    }
+  }
+
+  function closeStreams() {
+    roomHub.closeAll();
+  }
+
+  async function stop() {
+    closeStreams();
+    stopPolling?.();
+    stopPolling = null;
+    telegramQueue.stop();
+    leaderboard.stop();
+    // Whatever is due goes out now rather than after the restart.
+    await telegramQueue.drain().catch((error) => logger.error('Telegram queue error', { error }));
+    store.close();
+  }
+
+  return { app, store, telegramQueue, start, stop, closeStreams };
+}
+
+module.exports = { createApp, createAppStore };
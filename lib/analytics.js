@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { z } = require('zod');
+const { getDayKey } = require('./campaigns');
+
+const MAX_BATCH_EVENTS = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `room` stands for games against a friend; the others are the game modes.
+const MODE_SCHEMA = z.enum(['classic', 'ultimate', 'puzzle', 'room']);
+
+const EVENT_SCHEMA = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('app_open'),
+    hasTelegram: z.boolean(),
+    hasInitData: z.boolean(),
+    locale: z.string().max(10),
+  }),
+  z.object({
+    type: z.literal('game_start'),
+    mode: MODE_SCHEMA,
+    difficulty: z.enum(['easy', 'normal', 'hard', 'auto']).nullable(),
+    variant: z.enum(['standard', 'misere', 'wild', 'notakto']),
+    boardSize: z.number().int().min(3).max(9),
+  }),
+  z.object({
+    type: z.literal('move'),
+    mode: MODE_SCHEMA,
+    index: z.number().int().min(0).max(80),
+    turn: z.number().int().min(0).max(80),
+  }),
+  z.object({
+    type: z.literal('game_end'),
+    mode: MODE_SCHEMA,
+    // A game left unfinished for a new one is `abandoned`.
+    result: z.enum(['win', 'loss', 'draw', 'abandoned']),
+    moves: z.number().int().min(0).max(81),
+  }),
+  z.object({
+    type: z.literal('promo_shown'),
+    discount: z.number().positive().max(100).nullable(),
+  }),
+  z.object({ type: z.literal('promo_copied') }),
+  z.object({ type: z.literal('share_clicked'), target: z.enum(['promo', 'invite']) }),
+]);
+
+const EVENT_BATCH_SCHEMA = z.object({
+  // Made up by the client once per app launch. Telegram's WebView drops the session cookie in the
+  // web.telegram.org iframe, so without it every batch there would look like a new session.
+  sessionId: z.string().min(8).max(64).optional(),
+  events: z.array(EVENT_SCHEMA).min(1).max(MAX_BATCH_EVENTS),
+});
+
+// Each step counts the sessions with at least one matching event that day.
+const FUNNEL_STEPS = [
+  { step: 'opens', matches: (event) => event.type === 'app_open' },
+  { step: 'games', matches: (event) => event.type === 'game_start' },
+  { step: 'wins', matches: (event) => event.type === 'game_end' && event.result === 'win' },
+  { step: 'copies', matches: (event) => event.type === 'promo_copied' },
+  { step: 'shares', matches: (event) => event.type === 'share_clicked' },
+];
+
+/**
+ * Analytics events from the Mini App, kept as they came and summed up per UTC day.
+ *
+ * `batches` is the `analyticsEvents` store collection: every batch as received, with its session
+ * and time, for analyses the reports don't cover. `days` is the `analytics` store collection,
+ * keyed by day key, with a count per event type updated in place. `sessions` is the
+ * `analyticsSessions` store collection, keyed `<day>:<sessionId>`: the funnel steps the session
+ * reached that day, so a batch only stores its own session again, and only when it reached a new
+ * step. Batches are validated with `EVENT_BATCH_SCHEMA` before they get here.
+ */
+function createAnalytics({ days, sessions, batches, now = Date.now }) {
+  return {
+    record(sessionId, events, timestamp = now()) {
+      batches.set(crypto.randomUUID(), { createdAt: timestamp, sessionId, events });
+
+      const day = getDayKey(timestamp);
+      const entry = days.get(day) || { createdAt: timestamp, events: {} };
+      const key = `${day}:${sessionId}`;
+      const session = sessions.get(key) || { createdAt: timestamp, steps: [] };
+      const reached = session.steps.length;
+
+      events.forEach((event) => {
+        entry.events[event.type] = (entry.events[event.type] || 0) + 1;
+        FUNNEL_STEPS.forEach(({ step, matches }) => {
+          if (matches(event) && !session.steps.includes(step)) session.steps.push(step);
+        });
+      });
+
+      days.set(day, entry);
+      if (session.steps.length > reached) sessions.set(key, session);
+    },
+
+    /**
+     * The funnel over the last `days` days, today included: sessions per step for each day and in
+     * total, with each step's share of the opens. A session counts once per day it played.
+     */
+    describeFunnel({ days: dayCount = 14 } = {}, timestamp = now()) {
+      const totals = Object.fromEntries(FUNNEL_STEPS.map(({ step }) => [step, 0]));
+      const counts = new Map();
+      for (let offset = dayCount - 1; offset >= 0; offset -= 1) {
+        const date = getDayKey(timestamp - offset * DAY_MS);
+        counts.set(date, Object.fromEntries(FUNNEL_STEPS.map(({ step }) => [step, 0])));
+      }
+
+      // Day keys hold no colon, so the day is whatever comes before the first one.
+      for (const [key, { steps }] of sessions.entries()) {
+        const dayCounts = counts.get(key.slice(0, key.indexOf(':')));
+        if (!dayCounts) continue;
+        steps.forEach((step) => {
+          dayCounts[step] += 1;
+          totals[step] += 1;
+        });
+      }
+
+      const report = Array.from(counts, ([date, dayCounts]) => ({
+        date,
+        ...dayCounts,
+        events: days.get(date)?.events || {},
+      }));
+
+      return {
+        days: report,
+        funnel: FUNNEL_STEPS.map(({ step }) => ({
+          step,
+          sessions: totals[step],
+          rate: totals.opens ? totals[step] / totals.opens : null,
+        })),
+      };
+    },
+  };
+}
+
+module.exports = { EVENT_BATCH_SCHEMA, createAnalytics };
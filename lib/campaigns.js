@@ -0,0 +1,156 @@
+const fs = require('fs');
+const { z } = require('zod');
+
+const DISCOUNT_SCHEMA = z.number().positive().max(100);
+
+const REWARDS_SCHEMA = z.object({
+  easy: DISCOUNT_SCHEMA.optional(),
+  normal: DISCOUNT_SCHEMA.optional(),
+  hard: DISCOUNT_SCHEMA.optional(),
+  auto: DISCOUNT_SCHEMA.optional(),
+  pvp: DISCOUNT_SCHEMA.optional(),
+});
+
+// What a hint or an undo does to the code for a win: `allow` leaves it alone, `forfeit` withholds
+// it, and a number takes that many percentage points off the discount per use.
+const ASSIST_RULE_SCHEMA = z.union([z.enum(['allow', 'forfeit']), DISCOUNT_SCHEMA]);
+
+const CAMPAIGN_SCHEMA = z
+  .object({
+    id: z.string().min(1).max(64),
+    name: z.string().min(1).max(120),
+    startsAt: z.coerce.date(),
+    endsAt: z.coerce.date().nullable().default(null),
+    totalCap: z.number().int().positive().nullable().default(null),
+    dailyCap: z.number().int().positive().nullable().default(null),
+    rewards: REWARDS_SCHEMA,
+    // Rule variants with tiers of their own; the others use `rewards`.
+    variantRewards: z
+      .object({
+        misere: REWARDS_SCHEMA.optional(),
+        wild: REWARDS_SCHEMA.optional(),
+        notakto: REWARDS_SCHEMA.optional(),
+      })
+      .default({}),
+    // Wins against the computer only earn a code as a won match of at least this many games, so
+    // that single games don't pay while a match campaign runs. 1 lets single games pay too.
+    minSeriesLength: z.number().int().positive().default(1),
+    assistRules: z
+      .object({
+        hint: ASSIST_RULE_SCHEMA.default('forfeit'),
+        undo: ASSIST_RULE_SCHEMA.default('forfeit'),
+      })
+      .default({}),
+  })
+  .refine((campaign) => !campaign.endsAt || campaign.endsAt > campaign.startsAt, {
+    message: 'endsAt must be after startsAt',
+  });
+
+const CAMPAIGNS_SCHEMA = z
+  .array(CAMPAIGN_SCHEMA)
+  .refine((campaigns) => new Set(campaigns.map(({ id }) => id)).size === campaigns.length, {
+    message: 'Campaign ids must be unique',
+  });
+
+function loadCampaigns(filePath, logger = console) {
+  if (!fs.existsSync(filePath)) {
+    logger.warn('Campaign file not found; playing for fun only', { filePath });
+    return [];
+  }
+
+  return CAMPAIGNS_SCHEMA.parse(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+function getDayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// The discount left after the campaign's assist rules, or null when the win earns no code.
+function applyAssistRules(discount, assistRules, assists) {
+  let remaining = discount;
+  for (const [kind, rule] of Object.entries(assistRules)) {
+    if (!assists[kind] || rule === 'allow') continue;
+    if (rule === 'forfeit') return null;
+    remaining -= rule * assists[kind];
+  }
+
+  return remaining > 0 ? remaining : null;
+}
+
+function isRunning(campaign, now) {
+  return (
+    campaign.startsAt.getTime() <= now && (!campaign.endsAt || now < campaign.endsAt.getTime())
+  );
+}
+
+/**
+ * Tracks which campaign is running and how many codes each one has handed out.
+ *
+ * `usage` is a store collection keyed by campaign id; it is never pruned so that the total cap
+ * holds for the whole campaign, and keeps a count for the current day only. Days are counted in
+ * UTC.
+ */
+function createCampaignBook({ campaigns, usage }) {
+  function getActive(now = Date.now()) {
+    return campaigns.find((campaign) => isRunning(campaign, now)) || null;
+  }
+
+  function getUsage(campaign, now) {
+    return usage.get(campaign.id) || { createdAt: now, issued: 0, issuedByDay: {} };
+  }
+
+  return {
+    getActive,
+
+    /**
+     * Reserves one code in the running campaign for a win on `difficulty` under `variant`;
+     * `assists` counts the hints and undos the player used and `seriesLength` the games of the
+     * match it won (1 for a single game). Returns the campaign and the discount, or null when no
+     * campaign runs, the difficulty has no reward tier, the match is too short, the assist rules
+     * leave nothing or a cap is reached.
+     */
+    claim(
+      difficulty,
+      now = Date.now(),
+      { variant = 'standard', assists = {}, seriesLength = 1 } = {}
+    ) {
+      const campaign = getActive(now);
+      if (!campaign) return null;
+      if (difficulty !== 'pvp' && seriesLength < campaign.minSeriesLength) return null;
+
+      const tier = (campaign.variantRewards[variant] || campaign.rewards)[difficulty];
+      const discount = tier ? applyAssistRules(tier, campaign.assistRules, assists) : null;
+      if (!discount) return null;
+
+      const entry = getUsage(campaign, now);
+      const dayKey = getDayKey(now);
+      const issuedToday = entry.issuedByDay[dayKey] || 0;
+
+      if (campaign.totalCap && entry.issued >= campaign.totalCap) return null;
+      if (campaign.dailyCap && issuedToday >= campaign.dailyCap) return null;
+
+      usage.set(campaign.id, {
+        ...entry,
+        issued: entry.issued + 1,
+        // Only today's count matters for the daily cap, so earlier days are dropped.
+        issuedByDay: { [dayKey]: issuedToday + 1 },
+      });
+
+      return { campaign, discount };
+    },
+
+    describe(campaign) {
+      return {
+        id: campaign.id,
+        name: campaign.name,
+        endsAt: campaign.endsAt ? campaign.endsAt.toISOString() : null,
+        rewards: campaign.rewards,
+        variantRewards: campaign.variantRewards,
+        assistRules: campaign.assistRules,
+        minSeriesLength: campaign.minSeriesLength,
+      };
+    },
+  };
+}
+
+module.exports = { createCampaignBook, getDayKey, loadCampaigns };
@@ -0,0 +1,59 @@
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+function readNumber(value) {
+  return value ? Number(value) : undefined;
+}
+
+/**
+ * The server settings, read from environment variables (see .env.example). createApp takes the
+ * result rather than reading `process.env` itself, so tests can build their own.
+ *
+ * Numbers left unset stay `undefined`, which leaves the default of the module that uses them.
+ */
+function loadConfig(env = process.env) {
+  return {
+    port: env.PORT || 3000,
+    logLevel: env.LOG_LEVEL || 'info',
+    production: env.NODE_ENV === 'production',
+    // Outside production, requests without valid init data fall back to `X-TG-USER-ID` and the
+    // `fallbackChatId`; ALLOW_FALLBACK_CHAT_ID keeps that on in production too.
+    allowFallbackChatId: env.ALLOW_FALLBACK_CHAT_ID === 'true',
+    fallbackChatId: env.TELEGRAM_CHAT_ID || null,
+    publicUrl: env.PUBLIC_URL || '',
+    storage: {
+      backend: env.STORAGE_BACKEND || 'memory',
+      filePath: env.STORAGE_FILE || path.join(ROOT_DIR, 'data', 'store.json'),
+    },
+    campaignsFile: env.CAMPAIGNS_FILE || path.join(ROOT_DIR, 'campaigns.json'),
+    promoCode: {
+      prefix: env.PROMO_CODE_PREFIX || '',
+      alphabet: env.PROMO_CODE_ALPHABET || undefined,
+      length: readNumber(env.PROMO_CODE_LENGTH),
+      groupSize: readNumber(env.PROMO_CODE_GROUP_SIZE),
+    },
+    promoApiKey: env.PROMO_API_KEY || '',
+    adminToken: env.ADMIN_TOKEN || '',
+    metricsToken: env.METRICS_TOKEN || '',
+    autoTargetWinRate: readNumber(env.AUTO_TARGET_WIN_RATE),
+    // How many of the week's top players get a bonus code through the bot; 0 turns bonuses off.
+    leaderboardBonusTop: Number(env.LEADERBOARD_BONUS_TOP) || 0,
+    leaderboardBonusDiscount: Number(env.LEADERBOARD_BONUS_DISCOUNT) || 10,
+    // The daily puzzle is a reward track of its own, with its own cooldown and discount.
+    puzzleCooldownMs: Number(env.PUZZLE_COOLDOWN_MS) || 24 * 60 * 60 * 1000,
+    puzzleDiscount: Number(env.PUZZLE_DISCOUNT) || 5,
+    telegram: {
+      botToken: env.TELEGRAM_BOT_TOKEN || env.TELEGRAM_TOKEN || '',
+      botUsername: env.TELEGRAM_BOT_USERNAME || null,
+      apiBaseUrl: env.TELEGRAM_API_BASE_URL || undefined,
+      maxPerSecond: Number(env.TELEGRAM_MAX_PER_SECOND) || undefined,
+      maxPerChatPerSecond: Number(env.TELEGRAM_MAX_PER_CHAT_PER_SECOND) || undefined,
+      // `polling`, `webhook`, or empty for no incoming updates.
+      updates: env.TELEGRAM_UPDATES || '',
+      webhookSecret: env.TELEGRAM_WEBHOOK_SECRET || '',
+    },
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,73 @@
+const DEFAULT_LOCALE = 'ru';
+
+// Texts the server sends to players through Telegram. The game UI has its own catalog in
+// public/i18n.mjs.
+const messages = {
+  ru: {
+    dateLocale: 'ru-RU',
+    'result.win': 'Победа! Промокод на скидку {discount}% выдан:{code}',
+    'result.loss': 'проигрыш. Сыграть ещё раз?',
+    'bot.start': 'Привет! Сыграйте в крестики-нолики и получите промокод на скидку за победу.',
+    'bot.play': 'Играть',
+    'bot.noCode': 'У вас пока нет действующего промокода. Победите в игре, чтобы его получить!',
+    'bot.code': 'Ваш промокод: {code}\nДействует до {expiresAt}.',
+    'bot.codeWithDiscount': 'Ваш промокод на скидку {discount}%: {code}\nДействует до {expiresAt}.',
+    'leaderboard.bonus':
+      'Неделя закончилась, и вы на {rank}-м месте в таблице лидеров! Бонусный промокод на скидку {discount}%: {code}',
+    'puzzle.solved': 'Задача дня решена! Промокод на скидку {discount}%: {code}',
+    'bot.noGames': 'Вы ещё не сыграли ни одной партии.',
+    'bot.stats': 'Ваша статистика: побед — {win}, поражений — {loss}, ничьих — {draw}.',
+    'bot.help': [
+      'Команды:',
+      '/start — открыть игру',
+      '/mycode — прислать ваш действующий промокод',
+      '/stats — ваши победы и поражения',
+      '/help — эта подсказка',
+    ].join('\n'),
+  },
+  en: {
+    dateLocale: 'en-GB',
+    'result.win': 'You won! Your {discount}% discount code: {code}',
+    'result.loss': 'You lost this time. Play again?',
+    'bot.start': 'Hi! Play tic-tac-toe and win a discount code.',
+    'bot.play': 'Play',
+    'bot.noCode': "You don't have an active promo code yet. Win a game to get one!",
+    'bot.code': 'Your promo code: {code}\nValid until {expiresAt}.',
+    'bot.codeWithDiscount': 'Your {discount}% discount code: {code}\nValid until {expiresAt}.',
+    'leaderboard.bonus':
+      'The week is over and you finished #{rank} on the leaderboard! Your {discount}% bonus code: {code}',
+    'puzzle.solved': 'Puzzle of the day solved! Your {discount}% discount code: {code}',
+    'bot.noGames': "You haven't played any games yet.",
+    'bot.stats': 'Your stats: {win} wins, {loss} losses, {draw} draws.',
+    'bot.help': [
+      'Commands:',
+      '/start — open the game',
+      '/mycode — resend your active promo code',
+      '/stats — your wins and losses',
+      '/help — this message',
+    ].join('\n'),
+  },
+};
+
+/** Maps a Telegram `language_code` (e.g. `en`, `pt-br`) to a supported locale. */
+function resolveLocale(languageCode) {
+  const base = String(languageCode || '')
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return messages[base] ? base : DEFAULT_LOCALE;
+}
+
+function translate(locale, key, params = {}) {
+  const template = messages[locale]?.[key] ?? messages[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match
+  );
+}
+
+function formatDate(locale, timestamp) {
+  return new Date(timestamp).toLocaleDateString(translate(locale, 'dateLocale'), {
+    timeZone: 'UTC',
+  });
+}
+
+module.exports = { DEFAULT_LOCALE, formatDate, messages, resolveLocale, translate };
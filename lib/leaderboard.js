@@ -0,0 +1,191 @@
+const { getDayKey } = require('./campaigns');
+
+const PERIODS = ['day', 'week', 'all'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ROLL_OVER_INTERVAL_MS = 60 * 1000;
+// Harder computers are worth more, and so is winning after the computer took the first move.
+const DIFFICULTY_POINTS = { easy: 1, normal: 2, auto: 2, hard: 4 };
+const COMPUTER_START_FACTOR = 1.5;
+const ARCHIVED_PLAYERS = 100;
+const MAX_BOARD_PLAYERS = 1000;
+
+// Weeks start on Monday, UTC, like the days of getDayKey; a week is keyed by its Monday.
+function getWeekKey(timestamp) {
+  const daysSinceMonday = (new Date(timestamp).getUTCDay() + 6) % 7;
+  return getDayKey(timestamp - daysSinceMonday * DAY_MS);
+}
+
+function getPeriodKey(period, timestamp) {
+  if (period === 'day') return getDayKey(timestamp);
+  if (period === 'week') return getWeekKey(timestamp);
+  return 'all';
+}
+
+/** Points for a win against the computer; 0 for games that do not count, such as PvP. */
+function getWinPoints({ difficulty, starter }) {
+  const points = DIFFICULTY_POINTS[difficulty] || 0;
+  return Math.round(points * (starter === 'computer' ? COMPUTER_START_FACTOR : 1));
+}
+
+// More points first; on a tie, whoever got there first.
+function rank(board) {
+  return Object.entries(board?.players || {}).sort(
+    ([, a], [, b]) => b.points - a.points || a.updatedAt - b.updatedAt
+  );
+}
+
+// Keeps the `maxPlayers` best players, so a board that never rolls over (all-time) stays bounded.
+function trimPlayers(players, maxPlayers) {
+  const ranked = rank({ players });
+  if (ranked.length <= maxPlayers) return players;
+  return Object.fromEntries(ranked.slice(0, maxPlayers));
+}
+
+function describeEntry([userId, entry], index, ownUserId) {
+  return {
+    rank: index + 1,
+    firstName: entry.firstName,
+    username: entry.username,
+    points: entry.points,
+    wins: entry.wins,
+    isYou: userId === ownUserId,
+  };
+}
+
+/**
+ * Daily, weekly and all-time leaderboards of Telegram players.
+ *
+ * Boards live in the `boards` store collection, keyed `<period>:<key>` (`week:2024-04-29`), and
+ * hold each player's points, wins, and the name and locale from their latest win. Days and weeks
+ * are UTC. Once a day or week is over its board is dropped; a finished week is first copied to
+ * the `archive` collection with its top `ARCHIVED_PLAYERS`, and `onWeekEnd(week)` runs once for
+ * it, e.g. to reward the winners. Boards roll over on every call and once a minute after
+ * `start()`, so a week ends on time without traffic. A board keeps its `maxPlayers` best players;
+ * anyone below them starts from zero on their next win.
+ */
+function createLeaderboard({
+  boards,
+  archive,
+  maxPlayers = MAX_BOARD_PLAYERS,
+  onWeekEnd = () => {},
+  now = Date.now,
+  logger = console,
+}) {
+  let timer = null;
+
+  function rollOver(timestamp = now()) {
+    for (const [id, board] of Array.from(boards.entries())) {
+      if (board.key === getPeriodKey(board.period, timestamp)) continue;
+
+      boards.delete(id);
+      if (board.period !== 'week') continue;
+
+      const week = {
+        createdAt: timestamp,
+        week: board.key,
+        standings: rank(board)
+          .slice(0, ARCHIVED_PLAYERS)
+          .map(([userId, entry], index) => ({ rank: index + 1, userId, ...entry })),
+      };
+      archive.set(board.key, week);
+      onWeekEnd(week);
+    }
+  }
+
+  return {
+    rollOver,
+
+    /**
+     * Adds a verified win to the player's boards and returns the points it earned. `player` is
+     * `{ id, firstName, username, locale }` from the Telegram init data.
+     */
+    recordWin(player, game, timestamp = now()) {
+      const points = getWinPoints(game);
+      if (!points) return 0;
+
+      rollOver(timestamp);
+      PERIODS.forEach((period) => {
+        const key = getPeriodKey(period, timestamp);
+        const id = `${period}:${key}`;
+        const board = boards.get(id) || { createdAt: timestamp, period, key, players: {} };
+        const entry = board.players[player.id] || { points: 0, wins: 0 };
+
+        boards.set(id, {
+          ...board,
+          updatedAt: timestamp,
+          players: trimPlayers(
+            {
+              ...board.players,
+              [player.id]: {
+                firstName: player.firstName,
+                username: player.username,
+                locale: player.locale,
+                points: entry.points + points,
+                wins: entry.wins + 1,
+                updatedAt: timestamp,
+              },
+            },
+            maxPlayers
+          ),
+        });
+      });
+
+      return points;
+    },
+
+    /** The top `limit` players of the current period, plus the caller's own place if ranked. */
+    describe(period, userId = null, { limit = 10 } = {}, timestamp = now()) {
+      rollOver(timestamp);
+      const key = getPeriodKey(period, timestamp);
+      const ranked = rank(boards.get(`${period}:${key}`));
+      const ownIndex = ranked.findIndex(([id]) => id === userId);
+
+      return {
+        period,
+        key,
+        players: ranked.length,
+        top: ranked.slice(0, limit).map((entry, index) => describeEntry(entry, index, userId)),
+        you: ownIndex >= 0 ? describeEntry(ranked[ownIndex], ownIndex, userId) : null,
+      };
+    },
+
+    /** Past weeks, the most recent first, each with its top `limit` players. */
+    getArchive({ weeks = 10, limit = 10 } = {}, timestamp = now()) {
+      rollOver(timestamp);
+      return Array.from(archive.values())
+        .sort((a, b) => (a.week < b.week ? 1 : -1))
+        .slice(0, weeks)
+        .map((week) => ({
+          week: week.week,
+          top: week.standings
+            .slice(0, limit)
+            .map(({ rank: place, firstName, username, points, wins }) => ({
+              rank: place,
+              firstName,
+              username,
+              points,
+              wins,
+            })),
+        }));
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        try {
+          rollOver();
+        } catch (error) {
+          logger.error('Leaderboard roll-over failed', { error });
+        }
+      }, ROLL_OVER_INTERVAL_MS);
+      timer.unref?.();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = { PERIODS, createLeaderboard, getWeekKey, getWinPoints };
@@ -0,0 +1,46 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors have no enumerable fields, so JSON.stringify would turn them into `{}`.
+function serializeValue(value) {
+  if (value instanceof Error) {
+    const serialized = { name: value.name, message: value.message, stack: value.stack };
+    if (value.status) serialized.status = value.status;
+    return serialized;
+  }
+  return value;
+}
+
+/**
+ * Structured logs: one JSON object per line, `{ time, level, msg, ...fields }`.
+ *
+ * `info(message, fields)` and the other levels take the same arguments as their `console`
+ * counterparts do in lib/ modules, so a module can take either one as its `logger`. Errors among
+ * the fields are written out with their message and stack. `child(fields)` returns a logger that
+ * adds `fields` to every line, e.g. a request id. Lines below `level` are dropped.
+ */
+function createLogger({ stream = process.stdout, level = 'info', fields = {}, now = Date.now }) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  function write(lineLevel, message, extra = {}) {
+    if (LEVELS[lineLevel] < threshold) return;
+
+    const line = { time: new Date(now()).toISOString(), level: lineLevel, msg: message };
+    Object.entries({ ...fields, ...extra }).forEach(([key, value]) => {
+      line[key] = serializeValue(value);
+    });
+    stream.write(`${JSON.stringify(line)}\n`);
+  }
+
+  return {
+    debug: (message, extra) => write('debug', message, extra),
+    info: (message, extra) => write('info', message, extra),
+    warn: (message, extra) => write('warn', message, extra),
+    error: (message, extra) => write('error', message, extra),
+
+    child(childFields) {
+      return createLogger({ stream, level, fields: { ...fields, ...childFields }, now });
+    },
+  };
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,141 @@
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Seconds; fits request latencies from a cache hit to a slow hard-AI search.
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Series are keyed by their label values, in the order of the metric's label names.
+function createSeries(labelNames, createValue) {
+  const series = new Map();
+
+  return {
+    get(labels = {}) {
+      const picked = {};
+      labelNames.forEach((name) => {
+        picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+      });
+      const key = JSON.stringify(Object.values(picked));
+      if (!series.has(key)) series.set(key, { labels: picked, ...createValue() });
+      return series.get(key);
+    },
+    values: () => Array.from(series.values()),
+  };
+}
+
+/**
+ * A small Prometheus registry: counters, gauges and histograms, rendered in the text exposition
+ * format by `render()`.
+ *
+ * Counters and gauges take an optional `collect()` that returns `[{ labels, value }]` at render
+ * time, for values kept elsewhere (collection sizes, the Telegram queue's totals); their series
+ * then come from `collect()` alone.
+ */
+function createMetrics() {
+  const metrics = new Map();
+
+  function register(name, metric) {
+    if (metrics.has(name)) throw new Error(`Metric ${name} is already registered`);
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  function createScalar(type, name, help, { labelNames = [], collect = null } = {}) {
+    const series = createSeries(labelNames, () => ({ value: 0 }));
+
+    return register(name, {
+      type,
+      help,
+      series,
+      lines() {
+        const values = collect ? collect() : series.values();
+        return values.map(
+          ({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`
+        );
+      },
+    });
+  }
+
+  return {
+    counter(name, help, options) {
+      const metric = createScalar('counter', name, help, options);
+      return {
+        inc(labels, value = 1) {
+          metric.series.get(labels).value += value;
+        },
+      };
+    },
+
+    gauge(name, help, options) {
+      const metric = createScalar('gauge', name, help, options);
+      return {
+        set(labels, value) {
+          metric.series.get(labels).value = value;
+        },
+      };
+    },
+
+    histogram(name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) {
+      const bounds = [...buckets].sort((a, b) => a - b).concat(Infinity);
+      const series = createSeries(labelNames, () => ({
+        counts: bounds.map(() => 0),
+        sum: 0,
+        count: 0,
+      }));
+
+      register(name, {
+        type: 'histogram',
+        help,
+        lines() {
+          return series.values().flatMap(({ labels, counts, sum, count }) => {
+            const buckets = bounds.map((bound, index) => {
+              const bucketLabels = formatLabels({ ...labels, le: formatValue(bound) });
+              return `${name}_bucket${bucketLabels} ${counts[index]}`;
+            });
+            return [
+              ...buckets,
+              `${name}_sum${formatLabels(labels)} ${sum}`,
+              `${name}_count${formatLabels(labels)} ${count}`,
+            ];
+          });
+        },
+      });
+
+      return {
+        observe(labels, value) {
+          const entry = series.get(labels);
+          // Buckets are cumulative: a value counts in every bucket whose bound it fits under.
+          bounds.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index] += 1;
+          });
+          entry.sum += value;
+          entry.count += 1;
+        },
+      };
+    },
+
+    render() {
+      const lines = [];
+      metrics.forEach((metric, name) => {
+        lines.push(`# HELP ${name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${name} ${metric.type}`);
+        lines.push(...metric.lines());
+      });
+      return `${lines.join('\n')}\n`;
+    },
+  };
+}
+
+module.exports = { CONTENT_TYPE, createMetrics };
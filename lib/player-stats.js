@@ -0,0 +1,76 @@
+const RESULTS = ['win', 'loss', 'draw'];
+
+function countResults(counts = {}) {
+  const win = counts.win || 0;
+  const loss = counts.loss || 0;
+  const draw = counts.draw || 0;
+  const played = win + loss + draw;
+
+  return { played, win, loss, draw, winRate: played ? win / played : null };
+}
+
+/**
+ * Per-player game history and statistics.
+ *
+ * `players` is the `playerStats` store collection, keyed by session id (`tg:<id>` for Telegram
+ * users). Each entry keeps the `win`/`loss`/`draw` totals the bot's /stats command reads, the
+ * same counts per difficulty, the current and best winning streak, and the `maxGames` most recent
+ * games, newest first. The totals cover every game, not only the ones still in the log. Draws and
+ * losses both end a streak.
+ *
+ * A recorded game is `{ result, difficulty, starter, durationMs }`; `starter` is `player`,
+ * `computer`, or `opponent` in PvP, and `durationMs` is null when it is unknown.
+ */
+function createPlayerStats({ players, maxGames = 100 }) {
+  function get(sessionId) {
+    return players.get(sessionId) || null;
+  }
+
+  return {
+    get,
+
+    record(sessionId, { result, difficulty, starter, durationMs = null }, now = Date.now()) {
+      if (!RESULTS.includes(result)) throw new Error(`Unknown result: ${result}`);
+
+      const player = get(sessionId) || { createdAt: now, win: 0, loss: 0, draw: 0 };
+      const byDifficulty = player.byDifficulty || {};
+      const counts = byDifficulty[difficulty] || { win: 0, loss: 0, draw: 0 };
+      const streak = player.streak || { current: 0, best: 0 };
+      const current = result === 'win' ? streak.current + 1 : 0;
+      const game = { result, difficulty, starter, durationMs, playedAt: now };
+
+      players.set(sessionId, {
+        ...player,
+        updatedAt: now,
+        [result]: player[result] + 1,
+        byDifficulty: {
+          ...byDifficulty,
+          [difficulty]: { ...counts, [result]: counts[result] + 1 },
+        },
+        streak: { current, best: Math.max(streak.best, current) },
+        games: [game, ...(player.games || [])].slice(0, maxGames),
+      });
+    },
+
+    /** The player's statistics as `GET /api/me/stats` shows them; zeros for a new player. */
+    describe(sessionId) {
+      const player = get(sessionId) || {};
+      const byDifficulty = {};
+      Object.entries(player.byDifficulty || {}).forEach(([difficulty, counts]) => {
+        byDifficulty[difficulty] = countResults(counts);
+      });
+
+      return {
+        totals: countResults(player),
+        byDifficulty,
+        streak: player.streak || { current: 0, best: 0 },
+        games: (player.games || []).map((game) => ({
+          ...game,
+          playedAt: new Date(game.playedAt).toISOString(),
+        })),
+      };
+    },
+  };
+}
+
+module.exports = { createPlayerStats };
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+// No 0/O, 1/I/L: codes get read aloud and retyped from screenshots.
+const DEFAULT_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const SEPARATOR = '-';
+
+// Luhn mod N: catches every single-character typo and most swaps of neighbouring characters.
+function computeCheckChar(body, alphabet) {
+  const base = alphabet.length;
+  let factor = 2;
+  let sum = 0;
+
+  for (let i = body.length - 1; i >= 0; i -= 1) {
+    let addend = factor * alphabet.indexOf(body[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / base) + (addend % base);
+    sum += addend;
+  }
+
+  return alphabet[(base - (sum % base)) % base];
+}
+
+function clean(input) {
+  return String(input)
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, '');
+}
+
+/**
+ * Builds the promo code format from configuration.
+ *
+ * A code is `prefix` + `length` random characters from `alphabet` + one check character, split
+ * into groups of `groupSize` (0 disables grouping), e.g. `TTT-K7QM-4XPA`.
+ */
+function createPromoCodeFormat({
+  prefix = '',
+  alphabet = DEFAULT_ALPHABET,
+  length = 7,
+  groupSize = 4,
+} = {}) {
+  const letters = alphabet.toUpperCase();
+  if (letters.length < 2 || new Set(letters).size !== letters.length || /[^0-9A-Z]/.test(letters)) {
+    throw new Error('Promo code alphabet must contain at least two unique letters or digits');
+  }
+  if (!Number.isInteger(length) || length < 4) {
+    throw new Error('Promo code length must be an integer of at least 4');
+  }
+  if (!Number.isInteger(groupSize) || groupSize < 0) {
+    throw new Error('Promo code group size must be a non-negative integer');
+  }
+
+  const cleanPrefix = clean(prefix);
+
+  function format(body) {
+    const chars = body + computeCheckChar(body, letters);
+    const groups = groupSize ? chars.match(new RegExp(`.{1,${groupSize}}`, 'g')) : [chars];
+    return `${prefix.toUpperCase()}${groups.join(SEPARATOR)}`;
+  }
+
+  return {
+    capacity: letters.length ** length,
+
+    generate(randomInt = crypto.randomInt) {
+      let body = '';
+      for (let i = 0; i < length; i += 1) {
+        body += letters[randomInt(letters.length)];
+      }
+      return format(body);
+    },
+
+    /**
+     * Returns the canonical form of a user-typed code, or null when it cannot be a valid code
+     * (wrong length, foreign characters or a failed check character). Case, spaces, separators
+     * and a missing prefix are tolerated.
+     */
+    normalize(input) {
+      let chars = clean(input);
+      if (cleanPrefix && chars.length === cleanPrefix.length + length + 1) {
+        if (!chars.startsWith(cleanPrefix)) return null;
+        chars = chars.slice(cleanPrefix.length);
+      }
+
+      if (chars.length !== length + 1) return null;
+      if ([...chars].some((char) => !letters.includes(char))) return null;
+
+      const body = chars.slice(0, length);
+      if (computeCheckChar(body, letters) !== chars[length]) return null;
+
+      return format(body);
+    },
+  };
+}
+
+module.exports = { DEFAULT_ALPHABET, computeCheckChar, createPromoCodeFormat };
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// A puzzle asks for a win in 2 or 3 of X's moves; one-move wins are too easy to count.
+const PUZZLE_MOVES = [2, 3];
+
+function toKey(board) {
+  return board.map((value) => value || '-').join('');
+}
+
+/**
+ * Every classic position, with X to move after X started, where minimax proves a forced win in
+ * one of PUZZLE_MOVES of X's moves and exactly one move keeps the win that quick. The walk order
+ * is fixed, so the list is the same on every server.
+ */
+function findPuzzles(engine) {
+  const config = engine.getBoardConfig(3);
+  const seen = new Set();
+  const puzzles = [];
+
+  function isFastestWin(board, index, score) {
+    board[index] = 'X';
+    const after = engine.minimax(board, 1, true, null, config);
+    board[index] = null;
+    return after === score;
+  }
+
+  function walk(board, xToMove) {
+    const key = toKey(board);
+    if (seen.has(key)) return;
+    seen.add(key);
+    if (engine.evaluateBoard(board, config)) return;
+
+    const empty = board.map((value, index) => (value ? null : index)).filter((i) => i !== null);
+    if (xToMove) {
+      // X's forced win scores minus WIN_SCORE plus the plies up to X's winning move.
+      const score = engine.minimax(board, 0, false, null, config);
+      const moves = (engine.WIN_SCORE + score + 1) / 2;
+      if (
+        PUZZLE_MOVES.includes(moves) &&
+        empty.filter((index) => isFastestWin(board, index, score)).length === 1
+      ) {
+        puzzles.push({ board: [...board], moves });
+      }
+    }
+
+    empty.forEach((index) => {
+      board[index] = xToMove ? 'X' : 'O';
+      walk(board, !xToMove);
+      board[index] = null;
+    });
+  }
+
+  walk(engine.createBoard(config), true);
+  return puzzles;
+}
+
+/**
+ * The daily puzzle: a classic position where X, the player, has a forced win against the perfect
+ * ("hard") O. Everyone gets the same puzzle for a day; it is picked from findPuzzles() by a hash
+ * of the day key. `engine` is the shared game engine (public/game.mjs).
+ */
+function createDailyPuzzles(engine) {
+  const puzzles = findPuzzles(engine);
+  const config = engine.getBoardConfig(3);
+
+  return {
+    count: puzzles.length,
+
+    /** The puzzle for a `YYYY-MM-DD` day key: `{ day, board, moves }`. */
+    getPuzzle(day) {
+      const hash = crypto.createHash('sha256').update(`puzzle:${day}`).digest();
+      const puzzle = puzzles[hash.readUInt32BE(0) % puzzles.length];
+      return { day, board: [...puzzle.board], moves: puzzle.moves };
+    },
+
+    /**
+     * Replays `moves`, alternating X and O from the puzzle's position. Every O move must be the
+     * hard computer's, and X must win within the puzzle's number of moves. Returns an error
+     * message, or null for a solution.
+     */
+    checkSolution(puzzle, moves) {
+      const board = [...puzzle.board];
+
+      for (let turn = 0; turn < moves.length; turn += 1) {
+        const index = moves[turn];
+        const side = turn % 2 === 0 ? 'X' : 'O';
+        if (!Number.isInteger(index) || index < 0 || index >= board.length || board[index]) {
+          return `Illegal move at turn ${turn + 1}`;
+        }
+        if (side === 'O') {
+          const defence = engine.getBestPlay(board, null, config, {}, 'standard', 'O');
+          if (defence?.index !== index) return 'Defender moves do not match';
+        }
+
+        board[index] = side;
+        const outcome = engine.evaluateBoard(board, config);
+        if (outcome) {
+          const solved = outcome.winner === 'X' && turn === moves.length - 1;
+          return solved && turn / 2 + 1 <= puzzle.moves ? null : 'Not a solution';
+        }
+      }
+
+      return 'Not a solution';
+    },
+  };
+}
+
+module.exports = { PUZZLE_MOVES, createDailyPuzzles };
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+
+const MARKS = ['X', 'O'];
+
+function otherMark(mark) {
+  return mark === 'X' ? 'O' : 'X';
+}
+
+function createRandomId(bytes) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function roomError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Player-vs-player rooms.
+ *
+ * The creator sits at X, the friend who opens the invite at O; starters alternate between
+ * rematches. Each seat gets a random token that authorizes its moves and its event stream. Rooms
+ * live in the `rooms` store collection; the open event streams are kept in memory and get the
+ * room state, as seen by their seat, after every change. A player who stays disconnected for
+ * `disconnectGraceMs` during a game forfeits it.
+ *
+ * `onFinish(room)` runs once per finished game, before the final state is broadcast; it may set
+ * `room.rewards[mark]`, which only that seat gets to see.
+ *
+ * `move` and `rematch` return the room as seen by the acting seat. Methods that act on a room
+ * throw errors with an HTTP `status`.
+ */
+function createRoomHub({
+  rooms,
+  onFinish = () => {},
+  disconnectGraceMs = 60 * 1000,
+  now = Date.now,
+}) {
+  const subscribers = new Map();
+  const forfeitTimers = new Map();
+  let closed = false;
+
+  function isConnected(roomId, mark) {
+    return Array.from(subscribers.get(roomId) || []).some((subscriber) => subscriber.mark === mark);
+  }
+
+  function describe(room, mark) {
+    const players = {};
+    MARKS.forEach((seatMark) => {
+      players[seatMark] = {
+        joined: Boolean(room.seats[seatMark]),
+        connected: isConnected(room.id, seatMark),
+      };
+    });
+
+    return {
+      roomId: room.id,
+      you: mark,
+      boardSize: room.boardSize,
+      board: room.board,
+      status: room.status,
+      round: room.round,
+      starter: room.starter,
+      turn: room.turn,
+      outcome: room.outcome,
+      score: room.score,
+      rematch: room.rematch,
+      players,
+      reward: room.rewards[mark] || null,
+    };
+  }
+
+  function save(room) {
+    room.updatedAt = now();
+    rooms.set(room.id, room);
+  }
+
+  function broadcast(room) {
+    (subscribers.get(room.id) || []).forEach((subscriber) => {
+      subscriber.send(describe(room, subscriber.mark));
+    });
+  }
+
+  function getRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) throw roomError(404, 'Room not found');
+    return room;
+  }
+
+  function getMark(room, token) {
+    const mark = MARKS.find((seatMark) => room.seats[seatMark]?.token === token);
+    if (!mark) throw roomError(403, 'Not a player in this room');
+    return mark;
+  }
+
+  function finish(room, outcome) {
+    room.status = 'finished';
+    room.outcome = outcome;
+    if (outcome.isDraw) {
+      room.score.draw += 1;
+    } else {
+      room.score[outcome.winner] += 1;
+    }
+    onFinish(room);
+  }
+
+  function clearForfeitTimer(roomId, mark) {
+    const key = `${roomId}:${mark}`;
+    clearTimeout(forfeitTimers.get(key));
+    forfeitTimers.delete(key);
+  }
+
+  function scheduleForfeit(roomId, mark) {
+    clearForfeitTimer(roomId, mark);
+    const timer = setTimeout(() => {
+      forfeitTimers.delete(`${roomId}:${mark}`);
+      const room = rooms.get(roomId);
+      if (!room || room.status !== 'playing' || isConnected(roomId, mark)) return;
+
+      finish(room, { winner: otherMark(mark), combo: null, isDraw: false, forfeit: true });
+      save(room);
+      broadcast(room);
+    }, disconnectGraceMs);
+    timer.unref?.();
+    forfeitTimers.set(`${roomId}:${mark}`, timer);
+  }
+
+  // A game can start or restart while a seat is offline; it gets the same grace period.
+  function watchOfflineSeats(room) {
+    MARKS.forEach((mark) => {
+      if (!isConnected(room.id, mark) && !forfeitTimers.has(`${room.id}:${mark}`)) {
+        scheduleForfeit(room.id, mark);
+      }
+    });
+  }
+
+  return {
+    describe,
+    getRoom,
+    getMark,
+
+    create({ boardSize, board, player }) {
+      const createdAt = now();
+      const token = createRandomId(16);
+      const room = {
+        id: createRandomId(6),
+        createdAt,
+        updatedAt: createdAt,
+        // When the current game started; null while the room waits for the friend.
+        startedAt: null,
+        boardSize,
+        board,
+        status: 'waiting',
+        round: 1,
+        starter: 'X',
+        turn: 'X',
+        outcome: null,
+        score: { X: 0, O: 0, draw: 0 },
+        rematch: [],
+        rewards: {},
+        seats: { X: { ...player, token }, O: null },
+      };
+
+      save(room);
+      return { room, mark: 'X', token };
+    },
+
+    /** Seats the player at O, or hands back the seat they already hold. */
+    join(roomId, player) {
+      const room = getRoom(roomId);
+      const ownMark = MARKS.find((mark) => room.seats[mark]?.sessionId === player.sessionId);
+      if (ownMark) {
+        return { room, mark: ownMark, token: room.seats[ownMark].token };
+      }
+      if (room.seats.O) throw roomError(409, 'Room is full');
+
+      const token = createRandomId(16);
+      room.seats.O = { ...player, token };
+      room.status = 'playing';
+      room.startedAt = now();
+      save(room);
+      watchOfflineSeats(room);
+      broadcast(room);
+      return { room, mark: 'O', token };
+    },
+
+    move(roomId, token, index, { evaluateBoard, getBoardConfig }) {
+      const room = getRoom(roomId);
+      const mark = getMark(room, token);
+
+      if (room.status !== 'playing') throw roomError(409, 'Game is not in progress');
+      if (room.turn !== mark) throw roomError(409, 'Not your turn');
+      if (index >= room.board.length) throw roomError(400, 'Invalid payload');
+      if (room.board[index]) throw roomError(409, 'Cell is already taken');
+
+      room.board[index] = mark;
+      const outcome = evaluateBoard(room.board, getBoardConfig(room.boardSize));
+      if (outcome) {
+        finish(room, { ...outcome, forfeit: false });
+      } else {
+        room.turn = otherMark(mark);
+      }
+
+      save(room);
+      broadcast(room);
+      return describe(room, mark);
+    },
+
+    /** Records that a seat wants a rematch; once both do, the next round starts. */
+    rematch(roomId, token, { createBoard, getBoardConfig }) {
+      const room = getRoom(roomId);
+      const mark = getMark(room, token);
+      if (room.status !== 'finished') throw roomError(409, 'Game is not over');
+
+      if (!room.rematch.includes(mark)) room.rematch.push(mark);
+      if (room.rematch.length === MARKS.length) {
+        room.board = createBoard(getBoardConfig(room.boardSize));
+        room.status = 'playing';
+        room.startedAt = now();
+        room.round += 1;
+        room.starter = otherMark(room.starter);
+        room.turn = room.starter;
+        room.outcome = null;
+        room.rematch = [];
+        room.rewards = {};
+        watchOfflineSeats(room);
+      }
+
+      save(room);
+      broadcast(room);
+      return describe(room, mark);
+    },
+
+    /**
+     * Streams the room to one seat. `subscriber` is `{ send(state), close() }`; the returned
+     * function unsubscribes it.
+     */
+    subscribe(room, mark, subscriber) {
+      const entry = { mark, send: subscriber.send, close: subscriber.close };
+      const roomSubscribers = subscribers.get(room.id) || new Set();
+      roomSubscribers.add(entry);
+      subscribers.set(room.id, roomSubscribers);
+      clearForfeitTimer(room.id, mark);
+      broadcast(room);
+
+      return () => {
+        roomSubscribers.delete(entry);
+        if (!roomSubscribers.size) subscribers.delete(room.id);
+        if (closed || isConnected(room.id, mark)) return;
+
+        const current = rooms.get(room.id);
+        if (!current) return;
+        if (current.status === 'playing') scheduleForfeit(room.id, mark);
+        broadcast(current);
+      };
+    },
+
+    /**
+     * Closes every open stream, so that a server shutting down isn't held up by them. Nobody
+     * forfeits for it: the clients reconnect once the server is back.
+     */
+    closeAll() {
+      closed = true;
+      forfeitTimers.forEach((timer) => clearTimeout(timer));
+      forfeitTimers.clear();
+      subscribers.forEach((roomSubscribers) => {
+        roomSubscribers.forEach((entry) => entry.close());
+      });
+      subscribers.clear();
+    },
+  };
+}
+
+module.exports = { createRoomHub };
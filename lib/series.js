@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+const SERIES_LENGTHS = [3, 5];
+
+function otherStarter(starter) {
+  return starter === 'player' ? 'computer' : 'player';
+}
+
+function seriesError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Best-of-N match series against the computer.
+ *
+ * A series of `length` games goes to the first side that wins a majority of them. Draws count for
+ * nobody; once `length` games are played, the side with more wins takes the series, and equal
+ * wins leave it drawn. Starters alternate between games, beginning with the series' `starter`.
+ * Series live in the `series` store collection and belong to the session that created them.
+ *
+ * A series tracks its server-run game in progress; starting the next game before that one ends
+ * forfeits it as a loss, so abandoning a losing game never helps. Methods that act on a series
+ * throw errors with an HTTP `status`.
+ */
+function createSeriesBook({ series, now = Date.now }) {
+  function getNextStarter(entry) {
+    return entry.played % 2 === 0 ? entry.starter : otherStarter(entry.starter);
+  }
+
+  function describe(entry) {
+    return {
+      seriesId: entry.id,
+      length: entry.length,
+      difficulty: entry.difficulty,
+      mode: entry.mode,
+      variant: entry.variant,
+      boardSize: entry.boardSize,
+      score: entry.score,
+      played: entry.played,
+      status: entry.status,
+      nextStarter: entry.status === 'playing' ? getNextStarter(entry) : null,
+      reward: entry.reward,
+    };
+  }
+
+  function save(entry) {
+    entry.updatedAt = now();
+    series.set(entry.id, entry);
+  }
+
+  function get(seriesId, sessionId) {
+    const entry = series.get(seriesId);
+    if (!entry || entry.sessionId !== sessionId) throw seriesError(404, 'Series not found');
+    return entry;
+  }
+
+  function getPlaying(seriesId, sessionId) {
+    const entry = get(seriesId, sessionId);
+    if (entry.status !== 'playing') throw seriesError(409, 'Series is already over');
+    return entry;
+  }
+
+  function record(entry, result, assists = {}) {
+    entry.played += 1;
+    entry.score[result] += 1;
+    entry.assists.hint += assists.hint || 0;
+    entry.assists.undo += assists.undo || 0;
+    entry.currentGameId = null;
+
+    const majority = Math.floor(entry.length / 2) + 1;
+    const { win, loss } = entry.score;
+    if (win >= majority || (entry.played >= entry.length && win > loss)) {
+      entry.status = 'won';
+    } else if (loss >= majority || (entry.played >= entry.length && loss > win)) {
+      entry.status = 'lost';
+    } else if (entry.played >= entry.length) {
+      entry.status = 'drawn';
+    }
+  }
+
+  return {
+    describe,
+    get,
+    getNextStarter,
+
+    create({ sessionId, length, difficulty, starter, mode, variant, boardSize }) {
+      if (!SERIES_LENGTHS.includes(length)) throw seriesError(400, 'Unsupported series length');
+
+      const createdAt = now();
+      const entry = {
+        id: crypto.randomUUID(),
+        createdAt,
+        updatedAt: createdAt,
+        sessionId,
+        length,
+        difficulty,
+        starter,
+        mode,
+        variant,
+        boardSize,
+        score: { win: 0, loss: 0, draw: 0 },
+        played: 0,
+        assists: { hint: 0, undo: 0 },
+        status: 'playing',
+        currentGameId: null,
+        reward: null,
+      };
+
+      save(entry);
+      return entry;
+    },
+
+    /** Makes `gameId` the series' game in progress, forfeiting an unfinished earlier one. */
+    startGame(seriesId, sessionId, gameId) {
+      const entry = getPlaying(seriesId, sessionId);
+      if (entry.currentGameId) record(entry, 'loss');
+      if (entry.status === 'playing') entry.currentGameId = gameId;
+
+      save(entry);
+      return entry;
+    },
+
+    /**
+     * Counts a finished game; `gameId` is null for games played locally and replayed. Returns
+     * null when the game was already forfeited.
+     */
+    finishGame(seriesId, sessionId, { gameId = null, result, assists }) {
+      const entry = getPlaying(seriesId, sessionId);
+      if (gameId !== entry.currentGameId) return null;
+
+      record(entry, result, assists);
+      save(entry);
+      return entry;
+    },
+
+    /** Keeps the code for a won series so that it can be shown again after a reload. */
+    setReward(seriesId, reward) {
+      const entry = series.get(seriesId);
+      if (!entry) return;
+
+      entry.reward = reward;
+      save(entry);
+    },
+  };
+}
+
+module.exports = { SERIES_LENGTHS, createSeriesBook };
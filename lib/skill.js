@@ -0,0 +1,56 @@
+const MIN_LEVEL = 1;
+const MAX_LEVEL = 10;
+const INITIAL_LEVEL = 5;
+
+function clampLevel(level) {
+  return Math.min(MAX_LEVEL, Math.max(MIN_LEVEL, level));
+}
+
+/**
+ * Keeps a skill level from 1 to 10 per player for the "auto" difficulty.
+ *
+ * After every auto game the level moves by `step * (won - targetWinRate)`: a win raises it by a
+ * little more than a loss or draw lowers it when the target is below one half, so it settles where
+ * the player wins `targetWinRate` of their games. Recent games therefore weigh the most.
+ * `ratings` is a store collection keyed by session id (`tg:<id>` for Telegram users).
+ */
+function createSkillRatings({ ratings, targetWinRate = 0.4, step = 1.5 }) {
+  if (!(targetWinRate > 0 && targetWinRate < 1)) {
+    throw new Error('Target win rate must be between 0 and 1');
+  }
+
+  function getRating(sessionId) {
+    return ratings.get(sessionId) || null;
+  }
+
+  return {
+    targetWinRate,
+
+    getLevel(sessionId) {
+      return getRating(sessionId)?.level ?? INITIAL_LEVEL;
+    },
+
+    /** Moves the player's level after an auto game and returns the new level. */
+    record(sessionId, result, now = Date.now()) {
+      const rating = getRating(sessionId) || {
+        createdAt: now,
+        level: INITIAL_LEVEL,
+        games: 0,
+        wins: 0,
+      };
+      const won = result === 'win' ? 1 : 0;
+      const level = clampLevel(rating.level + step * (won - targetWinRate));
+
+      ratings.set(sessionId, {
+        ...rating,
+        level,
+        games: rating.games + 1,
+        wins: rating.wins + won,
+        updatedAt: now,
+      });
+      return level;
+    },
+  };
+}
+
+module.exports = { INITIAL_LEVEL, MAX_LEVEL, MIN_LEVEL, createSkillRatings };
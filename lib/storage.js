@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+
+const FILE_FORMAT_VERSION = 1;
+const FLUSH_DELAY_MS = 100;
+// The journal is folded into the file once it grows larger than the file, or than this, in bytes.
+// A changed entry is journaled whole, so counting lines would let large entries pile up.
+const COMPACT_MIN_BYTES = 1024 * 1024;
+
+function createCollection(onChange) {
+  const entries = new Map();
+
+  return {
+    get: (key) => entries.get(key),
+    has: (key) => entries.has(key),
+    set(key, value) {
+      entries.set(key, value);
+      onChange(key);
+      return this;
+    },
+    delete(key) {
+      const deleted = entries.delete(key);
+      if (deleted) onChange(key);
+      return deleted;
+    },
+    entries: () => entries.entries(),
+    values: () => entries.values(),
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function acquireLock(lockPath) {
+  try {
+    fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+    return;
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  const ownerPid = Number(fs.readFileSync(lockPath, 'utf8'));
+  if (ownerPid && ownerPid !== process.pid && isProcessAlive(ownerPid)) {
+    throw new Error(`Storage file is locked by process ${ownerPid}`);
+  }
+
+  // The previous owner died without cleaning up; take the lock over.
+  fs.writeFileSync(lockPath, String(process.pid));
+}
+
+function readSnapshot(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+
+  const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (snapshot.version !== FILE_FORMAT_VERSION) {
+    throw new Error(`Unsupported storage file version: ${snapshot.version}`);
+  }
+
+  return snapshot.collections || {};
+}
+
+// The changes written since the file was last rewritten, one `[name, key, value]` (or
+// `[name, key]` for a deletion) per line. A crash can cut the last line short; it is skipped.
+function readJournal(journalPath) {
+  if (!fs.existsSync(journalPath)) return [];
+
+  const lines = fs.readFileSync(journalPath, 'utf8').split('\n').filter(Boolean);
+  return lines.flatMap((line, index) => {
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      if (index === lines.length - 1) return [];
+      throw error;
+    }
+  });
+}
+
+/**
+ * Creates the store that holds every server-side collection (promo codes, sessions, events…).
+ *
+ * Collections are Map-like and synchronous. The `memory` backend keeps them in process only;
+ * the `file` backend also persists them to a JSON file. Writes are coalesced and only the changed
+ * entries are appended, to a journal next to the file (`<file>.journal`). Once the journal grows
+ * larger in bytes than the file (and than 1 MB), and at startup, the file is rewritten atomically
+ * (temp file + rename) and the journal emptied. A lock file keeps a second process from writing to
+ * the same file.
+ *
+ * `collections` maps each collection name to its TTL: `{ ttlMs, timestampField = 'createdAt' }`.
+ * Entries older than `ttlMs` are removed by `prune()`.
+ */
+function createStore({ backend = 'memory', filePath, collections = {}, logger = console } = {}) {
+  if (backend !== 'memory' && backend !== 'file') {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  const persistent = backend === 'file';
+  if (persistent && !filePath) {
+    throw new Error('Storage file path is required for the file backend');
+  }
+
+  const lockPath = persistent ? `${filePath}.lock` : null;
+  const journalPath = persistent ? `${filePath}.journal` : null;
+  // Collection name -> keys changed since the last flush.
+  const changed = new Map();
+  // Sizes in bytes of the journal and of the file as last written, which bound the journal.
+  let journalBytes = 0;
+  let snapshotBytes = 0;
+  let flushTimer = null;
+  let closed = false;
+  let lastFlushAt = null;
+  let lastError = null;
+
+  function markChanged(name, key) {
+    if (!persistent) return;
+    if (!changed.has(name)) changed.set(name, new Set());
+    changed.get(name).add(key);
+    scheduleFlush();
+  }
+
+  function compact() {
+    const snapshot = { version: FILE_FORMAT_VERSION, collections: {} };
+    for (const [name, collection] of Object.entries(store.collections)) {
+      snapshot.collections[name] = Array.from(collection.entries());
+    }
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const data = JSON.stringify(snapshot);
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+    fs.writeFileSync(journalPath, '');
+    snapshotBytes = Buffer.byteLength(data);
+    journalBytes = 0;
+  }
+
+  function appendChanges() {
+    const lines = [];
+    for (const [name, keys] of changed) {
+      const collection = store.collection(name);
+      keys.forEach((key) => {
+        const change = collection.has(key) ? [name, key, collection.get(key)] : [name, key];
+        lines.push(`${JSON.stringify(change)}\n`);
+      });
+    }
+    if (!lines.length) return;
+
+    const chunk = lines.join('');
+    fs.appendFileSync(journalPath, chunk);
+    changed.clear();
+    journalBytes += Buffer.byteLength(chunk);
+
+    if (journalBytes > Math.max(COMPACT_MIN_BYTES, snapshotBytes)) compact();
+  }
+
+  // Every way of writing goes through here, so getStatus() sees each failure. Changes that could
+  // not be written stay queued for the next flush.
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (!persistent) return;
+
+    try {
+      appendChanges();
+      lastFlushAt = Date.now();
+      lastError = null;
+    } catch (error) {
+      lastError = { message: error.message, at: new Date().toISOString() };
+      logger.error('Failed to persist storage', { error });
+      throw error;
+    }
+  }
+
+  function scheduleFlush() {
+    if (!persistent || closed || flushTimer) return;
+
+    flushTimer = setTimeout(() => {
+      try {
+        flush();
+      } catch {
+        // Already recorded and logged by flush(); the next change retries.
+      }
+    }, FLUSH_DELAY_MS);
+    flushTimer.unref?.();
+  }
+
+  const store = {
+    backend,
+    collections: {},
+
+    collection(name) {
+      if (!store.collections[name]) {
+        store.collections[name] = createCollection((key) => markChanged(name, key));
+      }
+      return store.collections[name];
+    },
+
+    prune(now = Date.now()) {
+      for (const [name, { ttlMs, timestampField = 'createdAt' }] of Object.entries(collections)) {
+        const collection = store.collection(name);
+        for (const [key, entry] of collection.entries()) {
+          if (now - entry[timestampField] > ttlMs) {
+            collection.delete(key);
+          }
+        }
+      }
+    },
+
+    flush,
+
+    /**
+     * Whether the last write to the file went through, for health checks. The memory backend has
+     * nothing to write and is always fine.
+     */
+    getStatus() {
+      return {
+        backend,
+        ok: !lastError,
+        lastFlushAt: lastFlushAt && new Date(lastFlushAt).toISOString(),
+        lastError,
+      };
+    },
+
+    close() {
+      if (closed) return;
+      try {
+        flush();
+      } finally {
+        closed = true;
+        if (persistent) fs.rmSync(lockPath, { force: true });
+      }
+    },
+  };
+
+  if (persistent) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    acquireLock(lockPath);
+
+    const saved = readSnapshot(filePath);
+    for (const [name, items] of Object.entries(saved)) {
+      const collection = store.collection(name);
+      items.forEach(([key, value]) => collection.set(key, value));
+    }
+    const journal = readJournal(journalPath);
+    journal.forEach(([name, key, value]) => {
+      const collection = store.collection(name);
+      if (value === undefined) collection.delete(key);
+      else collection.set(key, value);
+    });
+
+    changed.clear();
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (journal.length) compact();
+    else if (fs.existsSync(filePath)) snapshotBytes = fs.statSync(filePath).size;
+  }
+
+  Object.keys(collections).forEach((name) => store.collection(name));
+
+  return store;
+}
+
+module.exports = { createStore };
@@ -0,0 +1,122 @@
+const { formatDate, resolveLocale, translate } = require('./i18n');
+
+const POLL_TIMEOUT_S = 25;
+const POLL_RETRY_DELAY_MS = 5000;
+
+function parseCommand(text) {
+  const match = /^\/([a-z_]+)(?:@\w+)?(?:\s|$)/i.exec(text || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Answers user commands sent to the bot, in the user's Telegram language.
+ *
+ * `getActivePromo(userId)` returns `{ code, discount, expiresAt }` or null and
+ * `getPlayerStats(userId)` returns `{ win, loss, draw }` or null, both for a Telegram user id.
+ */
+function createBotHandler({ telegram, webAppUrl, getActivePromo, getPlayerStats }) {
+  const commands = {
+    start(message, locale) {
+      const text = translate(locale, 'bot.start');
+      if (!webAppUrl) {
+        return telegram.sendMessage(message.chat.id, text);
+      }
+
+      return telegram.sendMessage(message.chat.id, text, {
+        reply_markup: {
+          inline_keyboard: [[{ text: translate(locale, 'bot.play'), web_app: { url: webAppUrl } }]],
+        },
+      });
+    },
+
+    mycode(message, locale) {
+      const promo = getActivePromo(message.from.id);
+      if (!promo) {
+        return telegram.sendMessage(message.chat.id, translate(locale, 'bot.noCode'));
+      }
+
+      const key = promo.discount ? 'bot.codeWithDiscount' : 'bot.code';
+      return telegram.sendMessage(
+        message.chat.id,
+        translate(locale, key, {
+          code: promo.code,
+          discount: promo.discount,
+          expiresAt: formatDate(locale, promo.expiresAt),
+        })
+      );
+    },
+
+    stats(message, locale) {
+      const stats = getPlayerStats(message.from.id);
+      if (!stats) {
+        return telegram.sendMessage(message.chat.id, translate(locale, 'bot.noGames'));
+      }
+
+      return telegram.sendMessage(message.chat.id, translate(locale, 'bot.stats', stats));
+    },
+
+    help(message, locale) {
+      return telegram.sendMessage(message.chat.id, translate(locale, 'bot.help'));
+    },
+  };
+
+  return {
+    async handleUpdate(update) {
+      const message = update?.message;
+      if (!message?.from || !message.chat) return;
+
+      const command = parseCommand(message.text);
+      if (!command) return;
+
+      const handler = commands[command] || commands.help;
+      await handler(message, resolveLocale(message.from.language_code));
+    },
+  };
+}
+
+/**
+ * Long-polls getUpdates for local development, where Telegram cannot reach a webhook.
+ * Returns a function that stops polling.
+ */
+function startPolling({ telegram, handleUpdate, logger = console }) {
+  let offset = 0;
+  let stopped = false;
+  let retryTimer = null;
+
+  async function poll() {
+    while (!stopped) {
+      try {
+        const updates = await telegram.call(
+          'getUpdates',
+          { offset, timeout: POLL_TIMEOUT_S, allowed_updates: ['message'] },
+          { timeoutMs: (POLL_TIMEOUT_S + 5) * 1000 }
+        );
+
+        for (const update of updates) {
+          offset = update.update_id + 1;
+          await handleUpdate(update).catch((error) => {
+            logger.error('Failed to handle Telegram update', { error });
+          });
+        }
+      } catch (error) {
+        if (stopped) return;
+        logger.error('Telegram polling error', { error });
+        await new Promise((resolve) => {
+          retryTimer = setTimeout(resolve, POLL_RETRY_DELAY_MS);
+        });
+      }
+    }
+  }
+
+  telegram
+    .call('deleteWebhook')
+    .catch((error) => logger.warn('Failed to delete Telegram webhook', { error }))
+    .then(poll);
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+  };
+}
+
+module.exports = { createBotHandler, parseCommand, startPolling };
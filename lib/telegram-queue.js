@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+
+const RATE_WINDOW_MS = 1000;
+const BLOCKED_REASON = 'Chat blocked the bot';
+
+/**
+ * Durable outbound queue for Telegram messages.
+ *
+ * Messages live in the `outbox` store collection until they are sent or fail for good, so they
+ * survive restarts with the file backend. Sends are capped per second globally and per chat.
+ * Network errors and 5xx answers are retried with exponential backoff; a 429 pauses the whole
+ * queue for the `retry_after` Telegram asks for; other 4xx answers fail the message right away.
+ *
+ * A 403 means the user blocked the bot: the chat goes into the `blockedChats` store collection,
+ * its pending messages fail, and so does every message queued for it later, without a send, until
+ * `unblock(chatId)` (the user wrote to the bot again).
+ *
+ * After `start()` the queue wakes up when the next message is due, rather than polling.
+ */
+function createTelegramQueue({
+  telegram,
+  outbox,
+  blockedChats,
+  now = Date.now,
+  globalPerSecond = 25,
+  perChatPerSecond = 1,
+  maxAttempts = 8,
+  baseDelayMs = 1000,
+  maxDelayMs = 10 * 60 * 1000,
+  logger = console,
+}) {
+  const globalSends = [];
+  const chatSends = new Map();
+  const counters = { sent: 0, retried: 0, failed: 0, blocked: 0, rateLimited: 0 };
+  let pausedUntil = 0;
+  let draining = null;
+  let started = false;
+  let timer = null;
+  let timerAt = null;
+
+  function countRecent(timestamps, at) {
+    while (timestamps.length && at - timestamps[0] >= RATE_WINDOW_MS) {
+      timestamps.shift();
+    }
+    return timestamps.length;
+  }
+
+  function fail(id, message, reason) {
+    outbox.set(id, { ...message, status: 'failed', failedAt: now(), lastError: reason });
+    counters.failed += 1;
+  }
+
+  function blockChat(chatId) {
+    blockedChats.set(chatId, { createdAt: now() });
+    for (const [id, message] of outbox.entries()) {
+      if (message.chatId === chatId && message.status === 'pending') {
+        fail(id, message, BLOCKED_REASON);
+      }
+    }
+  }
+
+  // When a pending message may go out next: its own retry time, a 429 pause, or whenever the
+  // oldest send leaves a full rate window.
+  function getReadyAt(message, at) {
+    let readyAt = Math.max(message.nextAttemptAt, pausedUntil);
+    if (countRecent(globalSends, at) >= globalPerSecond) {
+      readyAt = Math.max(readyAt, globalSends[0] + RATE_WINDOW_MS);
+    }
+    const sends = chatSends.get(message.chatId) || [];
+    if (countRecent(sends, at) >= perChatPerSecond) {
+      readyAt = Math.max(readyAt, sends[0] + RATE_WINDOW_MS);
+    }
+    return readyAt;
+  }
+
+  // Sets the timer for `at`, unless it already goes off sooner.
+  function wakeAt(at) {
+    if (!started || (timer && timerAt <= at)) return;
+
+    clearTimeout(timer);
+    timerAt = at;
+    timer = setTimeout(
+      () => {
+        timer = null;
+        queue.drain().catch((error) => logger.error('Telegram queue error', { error }));
+      },
+      Math.max(0, at - now())
+    );
+    timer.unref?.();
+  }
+
+  function scheduleNext() {
+    clearTimeout(timer);
+    timer = null;
+
+    const at = now();
+    let next = null;
+    for (const message of outbox.values()) {
+      if (message.status !== 'pending') continue;
+      const readyAt = getReadyAt(message, at);
+      if (next === null || readyAt < next) next = readyAt;
+    }
+    if (next !== null) wakeAt(next);
+  }
+
+  async function send(id, message) {
+    const attempts = message.attempts + 1;
+
+    try {
+      await telegram.sendMessage(message.chatId, message.text, message.extra);
+      outbox.set(id, { ...message, status: 'sent', attempts, sentAt: now() });
+      counters.sent += 1;
+    } catch (error) {
+      const reason = error.message || String(error);
+
+      if (error.status === 429) {
+        const retryAfterMs = (error.retryAfter || 1) * 1000;
+        pausedUntil = now() + retryAfterMs;
+        outbox.set(id, { ...message, attempts, nextAttemptAt: pausedUntil, lastError: reason });
+        counters.rateLimited += 1;
+      } else if (error.status === 403) {
+        counters.blocked += 1;
+        fail(id, message, reason);
+        blockChat(message.chatId);
+      } else if (error.status >= 400 && error.status < 500) {
+        fail(id, message, reason);
+      } else if (attempts >= maxAttempts) {
+        fail(id, { ...message, attempts }, reason);
+      } else {
+        const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+        outbox.set(id, { ...message, attempts, nextAttemptAt: now() + delay, lastError: reason });
+        counters.retried += 1;
+      }
+
+      logger.warn('Telegram send failed', { id, chatId: message.chatId, attempts, reason });
+    }
+  }
+
+  async function drainDue() {
+    const due = Array.from(outbox.entries())
+      .filter(([, message]) => message.status === 'pending' && message.nextAttemptAt <= now())
+      .sort(([, a], [, b]) => a.nextAttemptAt - b.nextAttemptAt);
+
+    for (const [id, message] of due) {
+      const at = now();
+      if (at < pausedUntil) return;
+      if (countRecent(globalSends, at) >= globalPerSecond) return;
+
+      const sends = chatSends.get(message.chatId) || [];
+      if (countRecent(sends, at) >= perChatPerSecond) continue;
+
+      // A 403 for an earlier message in this pass may have failed this one already.
+      const current = outbox.get(id);
+      if (current?.status !== 'pending') continue;
+
+      globalSends.push(at);
+      sends.push(at);
+      chatSends.set(message.chatId, sends);
+      await send(id, current);
+    }
+
+    for (const [chatId, sends] of chatSends.entries()) {
+      if (!countRecent(sends, now())) chatSends.delete(chatId);
+    }
+  }
+
+  const queue = {
+    enqueue(chatId, text, extra = {}) {
+      const id = crypto.randomUUID();
+      const createdAt = now();
+      const message = {
+        createdAt,
+        chatId: String(chatId),
+        text,
+        extra,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: createdAt,
+        lastError: null,
+      };
+
+      if (blockedChats.has(message.chatId)) {
+        fail(id, message, BLOCKED_REASON);
+      } else {
+        outbox.set(id, message);
+        wakeAt(createdAt);
+      }
+      return id;
+    },
+
+    /** Lets messages through to a chat again after its user unblocked the bot. */
+    unblock(chatId) {
+      blockedChats.delete(String(chatId));
+    },
+
+    /** Sends whatever is due and allowed by the rate limits; one pass at a time. */
+    drain() {
+      if (!draining) {
+        draining = drainDue().finally(() => {
+          draining = null;
+          if (started) scheduleNext();
+        });
+      }
+      return draining;
+    },
+
+    start() {
+      if (started) return;
+      started = true;
+      scheduleNext();
+    },
+
+    stop() {
+      started = false;
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    getStats() {
+      const stats = { pending: 0, sent: 0, failed: 0, oldestPendingAgeMs: 0 };
+      const at = now();
+
+      for (const message of outbox.values()) {
+        stats[message.status] += 1;
+        if (message.status === 'pending') {
+          stats.oldestPendingAgeMs = Math.max(stats.oldestPendingAgeMs, at - message.createdAt);
+        }
+      }
+
+      return {
+        depth: stats.pending,
+        ...stats,
+        blockedChats: blockedChats.size,
+        pausedUntil: pausedUntil > at ? new Date(pausedUntil).toISOString() : null,
+        totals: { ...counters },
+      };
+    },
+  };
+
+  return queue;
+}
+
+module.exports = { createTelegramQueue };
@@ -0,0 +1,63 @@
+const fetch = require('node-fetch');
+
+const DEFAULT_API_BASE_URL = 'https://api.telegram.org';
+const REQUEST_TIMEOUT_MS = 4500;
+
+/**
+ * Minimal Bot API client. `baseUrl` can point at a local fake server for development and tests.
+ *
+ * Failed calls throw an Error carrying the HTTP `status` and, for 429 answers, the `retryAfter`
+ * seconds Telegram asks us to wait.
+ */
+function createTelegramClient({ token, baseUrl = DEFAULT_API_BASE_URL } = {}) {
+  const apiBaseUrl = baseUrl.replace(/\/+$/, '');
+
+  async function call(method, params = {}, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+    if (!token) {
+      throw new Error('Missing TELEGRAM_BOT_TOKEN or TELEGRAM_TOKEN');
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetch(`${apiBaseUrl}/bot${token}/${method}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(params),
+        signal: controller.signal,
+      });
+
+      const body = await response.text();
+      let data = null;
+      try {
+        data = JSON.parse(body);
+      } catch (error) {
+        data = null;
+      }
+
+      if (!response.ok || !data?.ok) {
+        const error = new Error(`Telegram API error: ${response.status} ${body}`);
+        error.status = response.status;
+        error.retryAfter = data?.parameters?.retry_after ?? null;
+        throw error;
+      }
+
+      return data.result;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  return {
+    isConfigured: Boolean(token),
+    call,
+    getMe: () => call('getMe'),
+    sendMessage: (chatId, text, extra = {}) =>
+      call('sendMessage', { chat_id: String(chatId), text, ...extra }),
+  };
+}
+
+module.exports = { createTelegramClient };
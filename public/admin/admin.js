@@ -0,0 +1,167 @@
+const TOKEN_KEY = 'adminToken';
+
+const authForm = document.getElementById('authForm');
+const tokenInput = document.getElementById('tokenInput');
+const errorText = document.getElementById('errorText');
+const statsDays = document.getElementById('statsDays');
+const difficultyRows = document.getElementById('difficultyRows');
+const dayRows = document.getElementById('dayRows');
+const funnelRows = document.getElementById('funnelRows');
+const searchForm = document.getElementById('searchForm');
+const searchInput = document.getElementById('searchInput');
+const codesTotal = document.getElementById('codesTotal');
+const codeRows = document.getElementById('codeRows');
+const cooldownForm = document.getElementById('cooldownForm');
+const cooldownInput = document.getElementById('cooldownInput');
+const cooldownStatus = document.getElementById('cooldownStatus');
+
+const difficultyLabels = { easy: 'Лёгкая', normal: 'Нормальная', hard: 'Сложная' };
+const reasonLabels = { revoked: 'Отозван', redeemed: 'Погашен', expired: 'Истёк' };
+const funnelLabels = {
+  opens: 'Открыли игру',
+  games: 'Начали партию',
+  wins: 'Выиграли',
+  copies: 'Скопировали код',
+  shares: 'Поделились',
+};
+
+let token = sessionStorage.getItem(TOKEN_KEY) || '';
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString('ru-RU') : '—';
+}
+
+function createRow(values) {
+  const row = document.createElement('tr');
+  values.forEach((value) => {
+    const cell = document.createElement('td');
+    if (value instanceof Node) {
+      cell.appendChild(value);
+    } else {
+      cell.textContent = String(value);
+    }
+    row.appendChild(cell);
+  });
+  return row;
+}
+
+async function adminRequest(path, options = {}) {
+  const response = await fetch(`/admin/api${path}`, {
+    ...options,
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || `Request failed: ${response.status}`);
+  }
+
+  errorText.textContent = '';
+  return data;
+}
+
+function showError(error) {
+  errorText.textContent = error.message;
+}
+
+async function loadStats() {
+  const data = await adminRequest(`/stats?days=${statsDays.value}`);
+
+  difficultyRows.replaceChildren(
+    ...Object.entries(data.byDifficulty).map(([difficulty, counts]) =>
+      createRow([difficultyLabels[difficulty] || difficulty, counts.win, counts.loss, counts.draw])
+    )
+  );
+  dayRows.replaceChildren(
+    ...data.days
+      .slice()
+      .reverse()
+      .map((day) => createRow([day.date, day.win, day.loss, day.draw]))
+  );
+}
+
+async function loadFunnel() {
+  const data = await adminRequest(`/funnel?days=${statsDays.value}`);
+
+  funnelRows.replaceChildren(
+    ...data.funnel.map(({ step, sessions, rate }) =>
+      createRow([
+        funnelLabels[step] || step,
+        sessions,
+        rate === null ? '—' : `${Math.round(rate * 100)}%`,
+      ])
+    )
+  );
+}
+
+function createRevokeButton(promo) {
+  if (promo.reason === 'revoked') return '';
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'admin__danger';
+  button.textContent = 'Отозвать';
+  button.addEventListener('click', () => {
+    if (!window.confirm(`Отозвать промокод ${promo.code}?`)) return;
+    adminRequest(`/codes/${encodeURIComponent(promo.code)}/revoke`, { method: 'POST' })
+      .then(loadCodes)
+      .catch(showError);
+  });
+  return button;
+}
+
+async function loadCodes() {
+  const query = encodeURIComponent(searchInput.value.trim());
+  const data = await adminRequest(`/codes?q=${query}`);
+
+  codesTotal.textContent = `Найдено: ${data.total}`;
+  codeRows.replaceChildren(
+    ...data.codes.map((promo) =>
+      createRow([
+        promo.code,
+        promo.discount ? `${promo.discount}%` : '—',
+        promo.issuedTo.telegramUserId || promo.issuedTo.sessionId,
+        formatDate(promo.issuedAt),
+        formatDate(promo.redeemedAt),
+        promo.reason ? reasonLabels[promo.reason] : 'Активен',
+        createRevokeButton(promo),
+      ])
+    )
+  );
+}
+
+function refresh() {
+  if (!token) return;
+  Promise.all([loadStats(), loadFunnel(), loadCodes()]).catch(showError);
+}
+
+authForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  token = tokenInput.value.trim();
+  sessionStorage.setItem(TOKEN_KEY, token);
+  tokenInput.value = '';
+  refresh();
+});
+
+searchForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  loadCodes().catch(showError);
+});
+
+statsDays.addEventListener('change', () => {
+  Promise.all([loadStats(), loadFunnel()]).catch(showError);
+});
+
+cooldownForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const userId = encodeURIComponent(cooldownInput.value.trim());
+  adminRequest(`/users/${userId}/reset-cooldown`, { method: 'POST' })
+    .then((data) => {
+      cooldownStatus.textContent = data.reset
+        ? `Ограничение для ${data.sessionId} сброшено.`
+        : `У ${data.sessionId} не было активного ограничения.`;
+    })
+    .catch(showError);
+});
+
+refresh();
@@ -0,0 +1,135 @@
+import { getAiPlay, getBoardConfig } from './game.mjs';
+import { getUltimateAiMove } from './ultimate.mjs';
+
+function createAbortError() {
+  const error = new Error('AI move cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Answers a request with the play, `{ index, mark }`, for `side`, or null on a full board.
+function computeMove({ board, difficulty, boardSize, mode, lastMove, variant, side = 'O' }) {
+  if (mode === 'ultimate') {
+    const index = getUltimateAiMove(board, lastMove, difficulty, side);
+    return index === null ? null : { index, mark: side };
+  }
+  return getAiPlay(board, difficulty, getBoardConfig(boardSize), variant, side);
+}
+
+/**
+ * Asks the AI for moves without blocking the page: searches run in a module worker
+ * (`ai-worker.mjs`) and fall back to the main thread where module workers are unavailable or
+ * fail to load.
+ *
+ * `getPlay(board, difficulty, config, { lastMove, variant, side })` resolves with the play,
+ * `{ index, mark }`; `lastMove` only matters for Ultimate boards and `variant` for classic ones,
+ * and `side` is O for the computer's moves or X for the player's hints.
+ * `getMove` resolves with just the cell. `cancel()` rejects every pending request with an
+ * `AbortError`.
+ */
+function createAiClient({ workerUrl = new URL('./ai-worker.mjs', import.meta.url) } = {}) {
+  const pending = new Map();
+  let worker = null;
+  let workerFailed = typeof Worker === 'undefined';
+  let nextId = 1;
+
+  function settle(id, run) {
+    const entry = pending.get(id);
+    if (!entry) return;
+
+    pending.delete(id);
+    try {
+      entry.resolve(run(entry.request));
+    } catch (error) {
+      entry.reject(error);
+    }
+  }
+
+  function runOnMainThread(id) {
+    // The timer lets the "thinking" status paint before the search takes the thread.
+    pending.get(id).timer = setTimeout(() => settle(id, computeMove), 0);
+  }
+
+  function handleWorkerFailure() {
+    workerFailed = true;
+    worker?.terminate();
+    worker = null;
+    pending.forEach((entry, id) => runOnMainThread(id));
+  }
+
+  function handleWorkerMessage({ data }) {
+    settle(data.id, () => {
+      if (data.error) throw new Error(data.error);
+      return data.move;
+    });
+  }
+
+  function getWorker() {
+    if (workerFailed) return null;
+    if (worker) return worker;
+
+    try {
+      worker = new Worker(workerUrl, { type: 'module' });
+    } catch (error) {
+      workerFailed = true;
+      return null;
+    }
+    worker.addEventListener('message', handleWorkerMessage);
+    worker.addEventListener('error', handleWorkerFailure);
+    return worker;
+  }
+
+  function getPlay(
+    board,
+    difficulty,
+    config,
+    { lastMove = null, variant = 'standard', side = 'O' } = {}
+  ) {
+    const id = nextId;
+    nextId += 1;
+    const request = {
+      id,
+      board: [...board],
+      difficulty,
+      boardSize: config.size,
+      mode: config.mode || 'classic',
+      lastMove,
+      variant,
+      side,
+    };
+
+    return new Promise((resolve, reject) => {
+      pending.set(id, { request, resolve, reject, timer: null });
+
+      const target = getWorker();
+      if (target) {
+        target.postMessage(request);
+      } else {
+        runOnMainThread(id);
+      }
+    });
+  }
+
+  return {
+    getPlay,
+
+    getMove(board, difficulty, config, lastMove = null) {
+      return getPlay(board, difficulty, config, { lastMove }).then((play) => play?.index ?? null);
+    },
+
+    cancel() {
+      if (!pending.size) return;
+
+      // A search in progress can't be interrupted, so the busy worker is replaced.
+      worker?.terminate();
+      worker = null;
+      pending.forEach((entry) => {
+        clearTimeout(entry.timer);
+        entry.reject(createAbortError());
+      });
+      pending.clear();
+    },
+  };
+}
+
+export { computeMove, createAiClient };
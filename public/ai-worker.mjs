@@ -0,0 +1,10 @@
+import { computeMove } from './ai-client.mjs';
+
+// Runs one search per message; see ai-client.mjs for the protocol.
+self.addEventListener('message', ({ data }) => {
+  try {
+    self.postMessage({ id: data.id, move: computeMove(data) });
+  } catch (error) {
+    self.postMessage({ id: data.id, error: error.message || String(error) });
+  }
+});
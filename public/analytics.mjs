@@ -0,0 +1,63 @@
+function createSessionId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Queues analytics events and sends them to `url` in batches: once `maxBatch` events are queued,
+ * and whenever the page is hidden, which may be the last chance before Telegram closes the Mini
+ * App. Batches go with `navigator.sendBeacon`, which outlives the page, or with a `keepalive`
+ * fetch where beacons are unavailable. Sending is best effort; a lost batch is not retried.
+ *
+ * Every batch carries `sessionId`, made up once per app launch, because the session cookie does
+ * not reach the server from every Telegram client.
+ *
+ * `track(type, props)` queues an event, `flush()` sends the queue, and `listen(target)` flushes
+ * when `target` (the document) is hidden.
+ */
+function createAnalytics({
+  url = '/api/events',
+  maxBatch = 20,
+  sessionId = createSessionId(),
+} = {}) {
+  let queue = [];
+
+  function send(body) {
+    const blob = new Blob([body], { type: 'application/json' });
+    if (typeof navigator !== 'undefined' && navigator.sendBeacon?.(url, blob)) return;
+
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true,
+    }).catch(() => {});
+  }
+
+  function flush() {
+    if (!queue.length) return;
+
+    const body = JSON.stringify({ sessionId, events: queue });
+    queue = [];
+    send(body);
+  }
+
+  return {
+    track(type, props = {}) {
+      queue.push({ type, ...props });
+      if (queue.length >= maxBatch) flush();
+    },
+
+    flush,
+
+    listen(target) {
+      target.addEventListener('visibilitychange', () => {
+        if (target.visibilityState === 'hidden') flush();
+      });
+      // Older WebViews skip visibilitychange when the page goes away.
+      target.defaultView?.addEventListener('pagehide', flush);
+    },
+  };
+}
+
+export { createAnalytics };
@@ -1,10 +1,41 @@
-import { evaluateBoard, getAiMove } from './game.mjs';
+import { createAiClient } from './ai-client.mjs';
+import { createAnalytics } from './analytics.mjs';
+import {
+  createBoard,
+  evaluateBoard,
+  getAdaptiveSettings,
+  getBoardConfig,
+  getMarks,
+} from './game.mjs';
+import { DEFAULT_LOCALE, matchLocale, translate } from './i18n.mjs';
+import { createRoomClient, isRoomId } from './room-client.mjs';
+import {
+  evaluateUltimateBoard,
+  getActiveBoards,
+  getLegalMoves,
+  getSmallBoardOutcomes,
+  ultimateConfig,
+} from './ultimate.mjs';
 
-const cells = Array.from(document.querySelectorAll('[data-cell]'));
 const boardEl = document.querySelector('[data-board]');
 const statusEl = document.getElementById('status');
+const skillLevelEl = document.getElementById('skillLevel');
+const seriesScoreEl = document.getElementById('seriesScore');
 const resetButton = document.getElementById('reset');
+const hintButton = document.getElementById('hintButton');
+const undoButton = document.getElementById('undoButton');
+const inviteButton = document.getElementById('inviteButton');
+const profileButton = document.getElementById('profileButton');
+const leaderboardButton = document.getElementById('leaderboardButton');
 const difficultySelect = document.getElementById('difficulty');
+const boardSizeSelect = document.getElementById('boardSize');
+const modeSelect = document.getElementById('gameMode');
+const seriesSelect = document.getElementById('seriesLength');
+const variantSelect = document.getElementById('variant');
+const variantHintEl = document.getElementById('variantHint');
+const markToggle = document.getElementById('markToggle');
+const markButtons = Array.from(document.querySelectorAll('[data-mark]'));
+const languageSelect = document.getElementById('language');
 const starterButtons = Array.from(document.querySelectorAll('[data-starter]'));
 const initialStarterButton = starterButtons.find((button) =>
   button.classList.contains('is-active')
@@ -23,9 +54,35 @@ const telegramShare = document.getElementById('telegramShare');
 const playAgainButton = document.getElementById('playAgain');
 const modalCloseButton = document.getElementById('modalClose');
 const confettiEl = document.getElementById('confetti');
-
-let board = Array(9).fill(null);
-let previousBoard = Array(9).fill(null);
+const promoNoteEl = document.getElementById('promoNote');
+
+const profileModal = document.getElementById('profileModal');
+const profileCloseButton = document.getElementById('profileClose');
+const profileStatusEl = document.getElementById('profileStatus');
+const profileStatsEl = document.getElementById('profileStats');
+const profileTotalsEl = document.getElementById('profileTotals');
+const profileDifficultiesEl = document.getElementById('profileDifficulties');
+const profileCodesEl = document.getElementById('profileCodes');
+
+const leaderboardModal = document.getElementById('leaderboardModal');
+const leaderboardCloseButton = document.getElementById('leaderboardClose');
+const leaderboardStatusEl = document.getElementById('leaderboardStatus');
+const leaderboardListEl = document.getElementById('leaderboardList');
+const leaderboardYouEl = document.getElementById('leaderboardYou');
+const periodButtons = Array.from(document.querySelectorAll('[data-period]'));
+
+let gameMode = modeSelect ? modeSelect.value : 'classic';
+let variant = variantSelect ? variantSelect.value : 'standard';
+// The mark the player places next in Wild.
+let playerMark = 'X';
+let boardConfig = getSelectedConfig();
+let renderedConfig = null;
+let cells = [];
+// Ultimate only: the nine small boards, and the cell of the last move, which picks the next one.
+let smallBoards = [];
+let lastMove = null;
+let board = createBoard(boardConfig);
+let previousBoard = createBoard(boardConfig);
 let isLocked = false;
 let gameOver = false;
 let currentPromoCode = '';
@@ -34,14 +91,110 @@ let playerStarts = initialStarter !== 'computer';
 let computerTimer = null;
 let winTimer = null;
 let telegramShareUrl = '';
+let gameRequest = null;
+let gameToken = 0;
+let moveHistory = [];
+let markHistory = [];
+// Hints and undos used in this game, and the cell the last hint points to.
+let assists = { hint: 0, undo: 0 };
+let hintIndex = null;
+let activeCampaign = null;
+let campaignLoaded = false;
+let statusMessage = { key: 'status.playerTurn', params: {} };
+let modalMessage = null;
+let skillLevel = null;
+// Set while playing a friend: { id, token, inviteUrl, status, round, settledRound, disconnect }.
+let room = null;
+// Games per match; 1 plays single games. `series` is the server's view of the match in progress.
+let seriesLength = seriesSelect ? Number(seriesSelect.value) : 1;
+let series = null;
+// When the current game started, for the duration reported with local results.
+let gameStartedAt = Date.now();
+// The profile panel: a status message key while loading or failed, then the stats from the server.
+let profile = null;
+// The leaderboard panel, like the profile: the period shown, a message key and the server's board.
+let leaderboard = { period: 'week', messageKey: null, data: null };
+let leaderboardToken = 0;
+// Today's puzzle in puzzle mode, as GET /api/puzzle returns it: { day, board, moves }.
+let puzzle = null;
 
 const prefersReducedMotion = window.matchMedia
   ? window.matchMedia('(prefers-reduced-motion: reduce)')
   : { matches: false };
 
+const aiClient = createAiClient();
+const analytics = createAnalytics();
+
 const tg = window.Telegram?.WebApp;
 tg?.ready?.();
 
+const LOCALE_STORAGE_KEY = 'locale';
+const SERIES_STORAGE_KEY = 'seriesId';
+const PROFILE_DIFFICULTIES = ['easy', 'normal', 'hard', 'auto', 'pvp'];
+const CODE_REASON_KEYS = {
+  expired: 'profile.codeExpired',
+  redeemed: 'profile.codeRedeemed',
+  revoked: 'profile.codeRevoked',
+};
+
+function readStoredLocale() {
+  try {
+    return matchLocale(window.localStorage.getItem(LOCALE_STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+function readStoredSeriesId() {
+  try {
+    return window.localStorage.getItem(SERIES_STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+// The match in progress is remembered so that a reload picks it up again.
+function storeSeriesId(seriesId) {
+  try {
+    if (seriesId) {
+      window.localStorage.setItem(SERIES_STORAGE_KEY, seriesId);
+    } else {
+      window.localStorage.removeItem(SERIES_STORAGE_KEY);
+    }
+  } catch (error) {
+    // Storage may be unavailable (e.g. private mode); the match then ends with the page.
+  }
+}
+
+// A language picked by hand wins; otherwise follow the Telegram client, then the browser.
+let manualLocale = readStoredLocale();
+let locale =
+  manualLocale ||
+  matchLocale(tg?.initDataUnsafe?.user?.language_code) ||
+  matchLocale(navigator.language) ||
+  DEFAULT_LOCALE;
+
+function t(key, params) {
+  return translate(locale, key, params);
+}
+
+function getSelectedConfig() {
+  if (gameMode === 'ultimate') return ultimateConfig;
+  if (gameMode === 'puzzle') return getBoardConfig(3);
+  return getBoardConfig(Number(boardSizeSelect?.value)) || getBoardConfig(3);
+}
+
+function isUltimate() {
+  return boardConfig.mode === 'ultimate';
+}
+
+// `mover` is the side that just moved: X for the player, O for the computer.
+function evaluate(currentBoard, mover) {
+  return isUltimate()
+    ? evaluateUltimateBoard(currentBoard)
+    : evaluateBoard(currentBoard, boardConfig, { variant, mover });
+}
+
 function getInitData() {
   return tg?.initData || '';
 }
@@ -51,24 +204,190 @@ function getUnsafeUserId() {
   return id ? String(id) : '';
 }
 
-function reportClientLog(stage) {
-  fetch('/api/client-log', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      stage,
-      hasTelegram: Boolean(tg),
-      hasInitData: Boolean(getInitData()),
-      hasUnsafeUser: Boolean(getUnsafeUserId()),
-      userId: getUnsafeUserId() || null,
-    }),
-  }).catch(() => {});
+// Analytics count games against a friend apart from the game modes.
+function getTrackedMode() {
+  return room ? 'room' : gameMode;
+}
+
+function trackGameStart() {
+  analytics.track('game_start', {
+    mode: getTrackedMode(),
+    difficulty: room || gameMode === 'puzzle' ? null : difficulty,
+    variant,
+    boardSize: boardConfig.size,
+  });
 }
 
-function setStatus(text) {
-  statusEl.textContent = text;
+function trackGameEnd(result, moves = moveHistory.length) {
+  analytics.track('game_end', { mode: getTrackedMode(), result, moves });
+}
+
+// A game against the computer left for another game or a room.
+function trackAbandonedGame() {
+  if (!room && !gameOver && moveHistory.length) trackGameEnd('abandoned');
+}
+
+function renderPromoNote() {
+  if (!promoNoteEl) return;
+
+  if (gameMode === 'puzzle') {
+    promoNoteEl.textContent = t('puzzle.note');
+    return;
+  }
+
+  if (!campaignLoaded) {
+    promoNoteEl.textContent = t('note.default');
+    return;
+  }
+
+  if (!activeCampaign) {
+    promoNoteEl.textContent = t('note.noCampaign');
+    return;
+  }
+
+  const tiers = activeCampaign.variantRewards?.[variant] || activeCampaign.rewards;
+  const discount = tiers[difficulty];
+  if (!discount) {
+    promoNoteEl.textContent = t('note.noReward');
+    return;
+  }
+
+  const minSeriesLength = activeCampaign.minSeriesLength || 1;
+  if (difficulty !== 'pvp' && seriesLength < minSeriesLength) {
+    promoNoteEl.textContent = t('note.seriesOnly', { length: minSeriesLength });
+    return;
+  }
+
+  const assistsCost = Object.values(activeCampaign.assistRules || {}).some(
+    (rule) => rule !== 'allow'
+  );
+  promoNoteEl.textContent = assistsCost
+    ? `${t('note.reward', { discount })} ${t('note.assists')}`
+    : t('note.reward', { discount });
+}
+
+async function loadCampaign() {
+  try {
+    const response = await fetch('/api/campaign');
+    if (!response.ok) return;
+
+    const data = await response.json();
+    activeCampaign = data.campaign;
+    campaignLoaded = true;
+    renderPromoNote();
+  } catch (error) {
+    // Keep the default note when the campaign can't be loaded.
+  }
+}
+
+function setStatus(key, params = {}) {
+  statusMessage = { key, params };
+  statusEl.textContent = t(key, params);
+}
+
+function renderSkillLevel() {
+  if (!skillLevelEl) return;
+
+  skillLevelEl.hidden = difficulty !== 'auto' || skillLevel === null;
+  if (skillLevel !== null) {
+    skillLevelEl.textContent = t('level.current', { level: Math.round(skillLevel) });
+  }
+}
+
+function renderSeries() {
+  if (!seriesScoreEl) return;
+
+  seriesScoreEl.hidden = !series;
+  if (!series) return;
+
+  const { score, played, length, status } = series;
+  seriesScoreEl.textContent =
+    status === 'playing'
+      ? t('series.score', { ...score, game: played + 1, length })
+      : t('series.scoreOver', score);
+}
+
+// Game and result responses carry the match as it stands after them.
+function rememberSeries(data) {
+  if (!data?.series) return;
+
+  series = data.series;
+  storeSeriesId(series.status === 'playing' ? series.seriesId : null);
+  renderSeries();
+}
+
+// Auto games report the level they were played at and, once over, the player's new level.
+function rememberSkillLevel(data) {
+  const level = data?.nextLevel ?? data?.level;
+  if (typeof level !== 'number') return;
+
+  skillLevel = level;
+  renderSkillLevel();
+}
+
+function getCellLabel(index) {
+  if (!isUltimate()) return t('board.cell', { number: index + 1 });
+
+  return t('board.ultimateCell', {
+    board: Math.floor(index / 9) + 1,
+    number: (index % 9) + 1,
+  });
+}
+
+function createCell(index) {
+  const cell = document.createElement('button');
+  cell.type = 'button';
+  cell.className = 'cell';
+  cell.dataset.cell = '';
+  cell.dataset.index = String(index);
+  cell.setAttribute('aria-label', getCellLabel(index));
+  cell.addEventListener('click', () => handleCellClick(index));
+  return cell;
+}
+
+function renderCells() {
+  boardEl.replaceChildren();
+  renderedConfig = boardConfig;
+  smallBoards = [];
+
+  if (isUltimate()) {
+    // Ultimate: nine small 3×3 boards; cell indexes run through them one small board at a time.
+    boardEl.style.setProperty('--board-size', 3);
+    boardEl.className = 'board board--ultimate';
+    cells = board.map((value, index) => createCell(index));
+    smallBoards = Array.from({ length: 9 }, (_, boardIndex) => {
+      const smallBoard = document.createElement('div');
+      smallBoard.className = 'small-board';
+      smallBoard.append(...cells.slice(boardIndex * 9, boardIndex * 9 + 9));
+      boardEl.appendChild(smallBoard);
+      return smallBoard;
+    });
+    return;
+  }
+
+  boardEl.style.setProperty('--board-size', boardConfig.size);
+  boardEl.className = `board board--size-${boardConfig.size}`;
+  cells = board.map((value, index) => {
+    const cell = createCell(index);
+    boardEl.appendChild(cell);
+    return cell;
+  });
+}
+
+// Decided small boards show their owner; the ones the player may move in are highlighted.
+function renderSmallBoards() {
+  if (!smallBoards.length) return;
+
+  const outcomes = getSmallBoardOutcomes(board);
+  const active = isLocked || gameOver ? [] : getActiveBoards(board, lastMove);
+  smallBoards.forEach((smallBoard, boardIndex) => {
+    const outcome = outcomes[boardIndex];
+    smallBoard.dataset.winner = outcome?.winner || '';
+    smallBoard.classList.toggle('small-board--x', outcome?.winner === 'X');
+    smallBoard.classList.toggle('small-board--o', outcome?.winner === 'O');
+    smallBoard.classList.toggle('small-board--draw', Boolean(outcome?.isDraw));
+    smallBoard.classList.toggle('small-board--active', active.includes(boardIndex));
+  });
 }
 
 function renderBoard() {
@@ -78,6 +397,7 @@ function renderBoard() {
     cell.classList.toggle('cell--filled', Boolean(value));
     cell.classList.toggle('cell--o', value === 'O');
     cell.classList.toggle('cell--x', value === 'X');
+    cell.classList.toggle('cell--hint', index === hintIndex && !value);
 
     if (value && previousBoard[index] !== value) {
       cell.classList.add('cell--pop');
@@ -87,15 +407,45 @@ function renderBoard() {
 
   previousBoard = [...board];
   boardEl.classList.toggle('board--locked', isLocked || gameOver);
+  renderSmallBoards();
+  renderAssistButtons();
+}
+
+function isPlayerTurn(turn) {
+  return (turn % 2 === 0) === playerStarts;
+}
+
+function getLastPlayerTurn() {
+  for (let turn = moveHistory.length - 1; turn >= 0; turn -= 1) {
+    if (isPlayerTurn(turn)) return turn;
+  }
+  return -1;
+}
+
+// Rooms have no computer to ask or to take a reply back from, and a puzzle is to be solved unaided.
+function renderAssistButtons() {
+  const idle = isLocked || gameOver;
+  const hidden = Boolean(room) || gameMode === 'puzzle';
+  if (hintButton) {
+    hintButton.hidden = hidden;
+    hintButton.disabled = idle;
+  }
+  if (undoButton) {
+    undoButton.hidden = hidden;
+    undoButton.disabled = idle || getLastPlayerTurn() === -1;
+  }
 }
 
 function clearWinHighlight() {
   cells.forEach((cell) => cell.classList.remove('cell--win'));
+  smallBoards.forEach((smallBoard) => smallBoard.classList.remove('small-board--win'));
 }
 
+// An Ultimate combo lists small boards rather than cells.
 function highlightWin(combo) {
+  const targets = isUltimate() ? smallBoards : cells;
   combo.forEach((index) => {
-    cells[index].classList.add('cell--win');
+    targets[index].classList.add(isUltimate() ? 'small-board--win' : 'cell--win');
   });
 }
 
@@ -113,6 +463,67 @@ function clearWinTimer() {
   }
 }
 
+function getApiHeaders() {
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-TG-INIT-DATA': getInitData(),
+    'X-TG-USER-ID': getUnsafeUserId(),
+  };
+  if (manualLocale) headers['X-Locale'] = manualLocale;
+
+  return headers;
+}
+
+const roomClient = createRoomClient({ getHeaders: getApiHeaders });
+
+async function postGameRequest(url, payload) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: getApiHeaders(),
+    body: JSON.stringify(payload),
+  });
+
+  if (!response.ok) {
+    throw new Error('Game request failed');
+  }
+
+  return response.json();
+}
+
+function getStarter() {
+  return playerStarts ? 'player' : 'computer';
+}
+
+function getGameSettings() {
+  return {
+    difficulty,
+    starter: getStarter(),
+    mode: gameMode,
+    variant,
+    boardSize: boardConfig.size,
+  };
+}
+
+// A new match opens its series before the first game; single games and rooms need none.
+function openSeries(token) {
+  if (seriesLength === 1 || series) return Promise.resolve();
+
+  return postGameRequest('/api/series', { ...getGameSettings(), length: seriesLength }).then(
+    (data) => {
+      if (token === gameToken) rememberSeries(data);
+    }
+  );
+}
+
+// Games of a match take their settings and starter from the series on the server.
+function startServerGame() {
+  const payload = series ? { seriesId: series.seriesId } : getGameSettings();
+  return postGameRequest('/api/game', payload).then((game) => {
+    rememberSkillLevel(game);
+    return game;
+  });
+}
+
 function createEventId() {
   if (window.crypto && typeof window.crypto.randomUUID === 'function') {
     return window.crypto.randomUUID();
@@ -122,16 +533,24 @@ function createEventId() {
 }
 
 async function reportResult(result, eventId) {
-  const payload = { result };
+  const payload = {
+    result,
+    moves: moveHistory,
+    starter: getStarter(),
+    difficulty,
+    mode: gameMode,
+    variant,
+    boardSize: boardConfig.size,
+    durationMs: Date.now() - gameStartedAt,
+  };
+  if (variant === 'wild') payload.marks = markHistory;
+  if (assists.hint || assists.undo) payload.assists = assists;
+  if (series) payload.seriesId = series.seriesId;
   if (eventId) payload.eventId = eventId;
 
   const response = await fetch('/api/result', {
     method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-TG-INIT-DATA': getInitData(),
-      'X-TG-USER-ID': getUnsafeUserId(),
-    },
+    headers: getApiHeaders(),
     body: JSON.stringify(payload),
   });
 
@@ -142,19 +561,212 @@ async function reportResult(result, eventId) {
   return response.json();
 }
 
-function setModalContent(title, text, promoCode = '') {
-  modalTitle.textContent = title;
-  modalText.textContent = text;
+async function makeComputerMove(nextBoard) {
+  const settings =
+    difficulty === 'auto' ? getAdaptiveSettings(skillLevel ?? undefined) : difficulty;
+  const play = await aiClient.getPlay(nextBoard, settings, boardConfig, { lastMove, variant });
+  if (!play) return null;
+
+  nextBoard[play.index] = play.mark;
+  moveHistory.push(play.index);
+  markHistory.push(play.mark);
+  return play.index;
+}
+
+async function submitPuzzleSolution() {
+  const response = await fetch('/api/puzzle/solution', {
+    method: 'POST',
+    headers: getApiHeaders(),
+    body: JSON.stringify({ day: puzzle.day, moves: moveHistory }),
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to check puzzle solution');
+  }
+
+  return response.json();
+}
+
+// The puzzle's defender is the hard computer, as in the server's replay. The puzzle is lost once
+// the player has used its moves without a win; a win goes to the server to be checked.
+async function playPuzzleTurn() {
+  const nextBoard = [...board];
+  const playerMoves = Math.ceil(moveHistory.length / 2);
+  let outcome = evaluate(nextBoard, 'X');
+  let computerMove = null;
+
+  if (!outcome && playerMoves < puzzle.moves) {
+    const play = await aiClient.getPlay(nextBoard, 'hard', boardConfig, { lastMove, variant });
+    nextBoard[play.index] = play.mark;
+    moveHistory.push(play.index);
+    markHistory.push(play.mark);
+    computerMove = play.index;
+    outcome = evaluate(nextBoard, 'O');
+  }
+
+  const state = { board: nextBoard, computerMove, outcome: null, puzzle: true };
+  if (!outcome && playerMoves >= puzzle.moves) {
+    outcome = { winner: null, combo: null, isDraw: false };
+  }
+  if (outcome) {
+    state.outcome = outcome;
+    if (outcome.winner === 'X') {
+      try {
+        const data = await submitPuzzleSolution();
+        state.code = data.code || '';
+        state.discount = data.discount || null;
+      } catch (error) {
+        state.rewardFailed = true;
+      }
+    }
+  }
+
+  return state;
+}
+
+// Without a server game (e.g. /api/game unreachable) turns are played locally and verified
+// afterwards from the recorded move log.
+async function playLocalTurn() {
+  const nextBoard = [...board];
+  let outcome = evaluate(nextBoard, 'X');
+  let computerMove = null;
+
+  if (!outcome) {
+    computerMove = await makeComputerMove(nextBoard);
+    outcome = evaluate(nextBoard, 'O');
+  }
+
+  const state = { board: nextBoard, computerMove, outcome: null };
+  if (outcome) {
+    const result = outcome.isDraw ? 'draw' : outcome.winner === 'X' ? 'win' : 'loss';
+    state.outcome = { ...outcome, result };
+
+    // The server replays the move log before it accepts the result.
+    try {
+      const data = await reportResult(result, createEventId());
+      rememberSkillLevel(data);
+      state.series = data.series;
+      state.code = data.code || '';
+      state.discount = data.discount || null;
+    } catch (error) {
+      state.rewardFailed = true;
+    }
+  }
+
+  return state;
+}
+
+function requestTurn(sendToServer, playLocally = playLocalTurn) {
+  const token = gameToken;
+
+  return gameRequest.then((game) => {
+    if (token !== gameToken) return null;
+    return game ? sendToServer(game) : playLocally();
+  });
+}
+
+// The server's reply goes into the move log too, so undo works the same in both kinds of game.
+function logServerMove(state, token) {
+  if (token === gameToken && Number.isInteger(state?.computerMove)) {
+    moveHistory.push(state.computerMove);
+    markHistory.push(state.board[state.computerMove]);
+  }
+  return state;
+}
+
+function sendMove(index, mark) {
+  const token = gameToken;
+  return requestTurn(
+    (game) =>
+      postGameRequest(`/api/game/${encodeURIComponent(game.gameId)}/move`, { index, mark }).then(
+        (state) => logServerMove(state, token)
+      ),
+    gameMode === 'puzzle' ? playPuzzleTurn : playLocalTurn
+  );
+}
+
+function postGameAction(game, action) {
+  return postGameRequest(`/api/game/${encodeURIComponent(game.gameId)}/${action}`, {});
+}
+
+// Server games count the hint on the server; local ones report it with the result.
+function showHint() {
+  if (gameOver || isLocked || room) return;
+
+  const token = gameToken;
+  isLocked = true;
+  renderBoard();
+
+  requestTurn(
+    (game) => postGameAction(game, 'hint').then((data) => data.hint),
+    () => aiClient.getPlay(board, 'hard', boardConfig, { lastMove, variant, side: 'X' })
+  )
+    .then((play) => {
+      if (token !== gameToken) return;
+      assists.hint += 1;
+      isLocked = false;
+      if (play) {
+        hintIndex = play.index;
+        if (variant === 'wild') {
+          playerMark = play.mark;
+          updateMarkButtons();
+        }
+        setStatus('status.hint');
+      }
+      renderBoard();
+    })
+    .catch(() => {
+      if (token === gameToken) handleConnectionError();
+    });
+}
+
+// Takes back the player's last move and the computer's reply to it.
+function undoTurn() {
+  const playerTurn = getLastPlayerTurn();
+  if (gameOver || isLocked || room || playerTurn === -1) return;
+
+  const token = gameToken;
+  isLocked = true;
+  renderBoard();
+
+  requestTurn(
+    (game) => postGameAction(game, 'undo'),
+    () => null
+  )
+    .then(() => {
+      if (token !== gameToken) return;
+      assists.undo += 1;
+      moveHistory = moveHistory.slice(0, playerTurn);
+      markHistory = markHistory.slice(0, playerTurn);
+      board = createBoard(boardConfig);
+      moveHistory.forEach((index, turn) => {
+        board[index] = markHistory[turn];
+      });
+      lastMove = playerTurn > 0 ? moveHistory[playerTurn - 1] : null;
+      hintIndex = null;
+      isLocked = false;
+      setStatus('status.playerTurn');
+      renderBoard();
+    })
+    .catch(() => {
+      if (token === gameToken) handleConnectionError();
+    });
+}
+
+function setModalContent(titleKey, textKey, promoCode = '', params = {}) {
+  modalMessage = { titleKey, textKey, promoCode, params };
+  modalTitle.textContent = t(titleKey, params);
+  modalText.textContent = t(textKey, params);
   currentPromoCode = promoCode;
 
   if (promoCode) {
     promoWrap.hidden = false;
     promoCodeEl.textContent = promoCode;
-    copyButton.textContent = 'Копировать';
+    copyButton.textContent = t('promo.copy');
     if (copyStatus) copyStatus.textContent = '';
     if (promoHint) promoHint.hidden = false;
     if (telegramShare) {
-      const shareText = `Мой промокод: ${promoCode}. Вставь промокод на оплате — скидка применится автоматически.`;
+      const shareText = t('promo.shareText', { code: promoCode });
       telegramShareUrl = `https://t.me/share/url?text=${encodeURIComponent(shareText)}`;
       telegramShare.href = telegramShareUrl;
     }
@@ -168,18 +780,189 @@ function setModalContent(title, text, promoCode = '') {
   }
 }
 
+function toggleModal(element, isOpen) {
+  element.classList.toggle('modal--open', isOpen);
+  element.setAttribute('aria-hidden', isOpen ? 'false' : 'true');
+}
+
 function openModal() {
-  modal.classList.add('modal--open');
-  modal.setAttribute('aria-hidden', 'false');
+  toggleModal(modal, true);
+  if (currentPromoCode) {
+    analytics.track('promo_shown', { discount: modalMessage.params.discount || null });
+  }
 }
 
 function closeModal() {
-  modal.classList.remove('modal--open');
-  modal.setAttribute('aria-hidden', 'true');
+  toggleModal(modal, false);
+}
+
+function formatWinRate(winRate) {
+  return winRate === null ? '—' : `${Math.round(winRate * 100)}%`;
+}
+
+function describeCode(entry) {
+  if (entry.reason) return t(CODE_REASON_KEYS[entry.reason]);
+
+  const date = new Date(entry.expiresAt).toLocaleDateString(locale);
+  return entry.discount
+    ? t('profile.codeValidDiscount', { discount: entry.discount, date })
+    : t('profile.codeValid', { date });
+}
+
+function appendListItem(list, text, code = '') {
+  const item = document.createElement('li');
+  if (code) {
+    const codeEl = document.createElement('span');
+    codeEl.className = 'profile__code';
+    codeEl.textContent = code;
+    item.append(codeEl, ' ');
+  }
+  item.append(text);
+  list.appendChild(item);
+}
+
+function renderProfile() {
+  if (!profileModal || !profile) return;
+
+  const { stats } = profile;
+  const isEmpty = stats && !stats.totals.played && !stats.codes.length;
+  const messageKey = isEmpty ? 'profile.empty' : profile.messageKey;
+  profileStatusEl.hidden = !messageKey;
+  profileStatusEl.textContent = messageKey ? t(messageKey) : '';
+  profileStatsEl.hidden = !stats || isEmpty;
+  if (profileStatsEl.hidden) return;
+
+  const { totals, streak, byDifficulty, codes } = stats;
+  profileTotalsEl.innerHTML = '';
+  [
+    ['profile.played', totals.played],
+    ['profile.wins', totals.win],
+    ['profile.winRate', formatWinRate(totals.winRate)],
+    ['profile.streak', streak.current],
+    ['profile.bestStreak', streak.best],
+  ].forEach(([key, value]) => {
+    const term = document.createElement('dt');
+    const detail = document.createElement('dd');
+    term.textContent = t(key);
+    detail.textContent = String(value);
+    profileTotalsEl.append(term, detail);
+  });
+
+  profileDifficultiesEl.innerHTML = '';
+  PROFILE_DIFFICULTIES.filter((key) => byDifficulty[key]).forEach((key) => {
+    const counts = byDifficulty[key];
+    appendListItem(
+      profileDifficultiesEl,
+      t('profile.difficultyRow', {
+        difficulty: t(`difficulty.${key}`),
+        win: counts.win,
+        played: counts.played,
+        rate: formatWinRate(counts.winRate),
+      })
+    );
+  });
+
+  profileCodesEl.innerHTML = '';
+  if (!codes.length) appendListItem(profileCodesEl, t('profile.noCodes'));
+  codes.forEach((entry) => appendListItem(profileCodesEl, describeCode(entry), entry.code));
+}
+
+async function openProfile() {
+  profile = { messageKey: 'profile.loading', stats: null };
+  renderProfile();
+  toggleModal(profileModal, true);
+
+  try {
+    const response = await fetch('/api/me/stats', { headers: getApiHeaders() });
+    if (response.status === 401) {
+      profile = { messageKey: 'profile.telegramOnly', stats: null };
+    } else if (!response.ok) {
+      throw new Error('Stats request failed');
+    } else {
+      profile = { messageKey: null, stats: await response.json() };
+    }
+  } catch (error) {
+    profile = { messageKey: 'profile.failed', stats: null };
+  }
+  renderProfile();
+}
+
+function closeProfile() {
+  toggleModal(profileModal, false);
+}
+
+function formatPlayerName(entry) {
+  if (entry.firstName) return entry.firstName;
+  return entry.username ? `@${entry.username}` : t('leaderboard.anonymous');
+}
+
+function renderLeaderboard() {
+  if (!leaderboardModal) return;
+
+  periodButtons.forEach((button) => {
+    const isActive = button.dataset.period === leaderboard.period;
+    button.classList.toggle('is-active', isActive);
+    button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+  });
+
+  const { data } = leaderboard;
+  const messageKey = data && !data.top.length ? 'leaderboard.empty' : leaderboard.messageKey;
+  leaderboardStatusEl.hidden = !messageKey;
+  leaderboardStatusEl.textContent = messageKey ? t(messageKey) : '';
+
+  leaderboardListEl.innerHTML = '';
+  (data?.top || []).forEach((entry) => {
+    const row = document.createElement('li');
+    const name = document.createElement('span');
+    const points = document.createElement('span');
+    row.className = entry.isYou ? 'leaderboard__row leaderboard__row--you' : 'leaderboard__row';
+    name.textContent = `${entry.rank}. ${formatPlayerName(entry)}`;
+    points.textContent = t('leaderboard.points', { points: entry.points });
+    row.append(name, points);
+    leaderboardListEl.appendChild(row);
+  });
+
+  leaderboardYouEl.hidden = !data;
+  if (data) {
+    leaderboardYouEl.textContent = data.you
+      ? t('leaderboard.you', data.you)
+      : t('leaderboard.unranked');
+  }
+}
+
+async function loadLeaderboard(period) {
+  leaderboardToken += 1;
+  const token = leaderboardToken;
+  leaderboard = { period, messageKey: 'leaderboard.loading', data: null };
+  renderLeaderboard();
+
+  let next = { period, messageKey: 'leaderboard.failed', data: null };
+  try {
+    const response = await fetch(`/api/leaderboard?period=${encodeURIComponent(period)}`, {
+      headers: getApiHeaders(),
+    });
+    if (response.ok) next = { period, messageKey: null, data: await response.json() };
+  } catch (error) {
+    // The failure message stays.
+  }
+
+  if (token !== leaderboardToken) return;
+  leaderboard = next;
+  renderLeaderboard();
+}
+
+function openLeaderboard() {
+  toggleModal(leaderboardModal, true);
+  loadLeaderboard(leaderboard.period);
+}
+
+function closeLeaderboard() {
+  toggleModal(leaderboardModal, false);
 }
 
 function handleCopy() {
   if (!currentPromoCode) return;
+  analytics.track('promo_copied');
 
   const fallbackCopy = () => {
     const area = document.createElement('textarea');
@@ -196,11 +979,10 @@ function handleCopy() {
     fallbackCopy();
   }
 
-  const originalText = copyButton.textContent;
-  copyButton.textContent = 'Скопировано ✓';
-  if (copyStatus) copyStatus.textContent = 'Скопировано ✓';
+  copyButton.textContent = t('promo.copied');
+  if (copyStatus) copyStatus.textContent = t('promo.copied');
   setTimeout(() => {
-    copyButton.textContent = originalText;
+    copyButton.textContent = t('promo.copy');
     if (copyStatus) copyStatus.textContent = '';
   }, 1200);
 }
@@ -257,42 +1039,87 @@ function launchConfetti() {
   }, 2200);
 }
 
-async function handleWin() {
-  const eventId = createEventId();
-  setStatus('Вы победили!');
-  setModalContent('Вы победили!', 'Генерируем ваш промокод...', '');
+function handleWin(reward) {
+  setStatus('status.win');
+  if (reward.code) {
+    const textKey = reward.discount ? 'modal.winCodeDiscount' : 'modal.winCode';
+    setModalContent('modal.winTitle', textKey, reward.code, { discount: reward.discount });
+  } else if (reward.failed) {
+    setModalContent('modal.winTitle', 'modal.winCodeFailed');
+  } else if (activeCampaign && (assists.hint || assists.undo)) {
+    setModalContent('modal.winTitle', 'modal.winAssisted');
+  } else {
+    setModalContent('modal.winTitle', 'modal.winForFun');
+  }
   openModal();
+}
 
-  try {
-    const data = await reportResult('win', eventId);
-    setModalContent('Вы победили!', 'Ваш промокод на скидку:', data.code || '');
-  } catch (error) {
-    setModalContent('Вы победили!', 'Не удалось получить промокод. Попробуйте позже.', '');
-  }
+function handleLoss() {
+  setStatus('status.loss');
+  setModalContent('modal.lossTitle', 'modal.lossText');
+  openModal();
 }
 
-async function handleLoss() {
-  const eventId = createEventId();
-  setStatus('Сегодня удача на стороне компьютера.');
-  setModalContent('Почти получилось', 'В этот раз победил компьютер. Хотите сыграть ещё раз?', '');
+function handleDraw() {
+  setStatus('status.draw');
+  setModalContent('modal.drawTitle', 'modal.drawText');
   openModal();
+}
 
-  try {
-    await reportResult('loss', eventId);
-  } catch (error) {
-    // Fail silently for the player experience.
+function handleConnectionError() {
+  isLocked = true;
+  setStatus('status.offline');
+  renderBoard();
+}
+
+// Between the games of a match the modal shows the score; after the last one it shows the
+// match result, with the code for a won match.
+function endSeriesGame(outcome, reward) {
+  const result = outcome.isDraw ? 'draw' : outcome.winner === 'X' ? 'win' : 'loss';
+  const { score, status } = series;
+  const params = { ...score, discount: reward.discount };
+  setStatus(`status.${result}`);
+  renderPlayAgainLabel();
+
+  if (status === 'playing') {
+    setModalContent(`modal.${result}Title`, 'series.gameText', '', params);
+  } else if (status === 'won') {
+    const textKey = reward.code ? 'series.wonCode' : 'series.wonText';
+    setModalContent('series.wonTitle', textKey, reward.code, params);
+  } else {
+    setModalContent(`series.${status}Title`, `series.${status}Text`, '', params);
   }
+
+  if (result === 'win' || status === 'won') launchConfetti();
+  openModal();
 }
 
-function handleDraw() {
-  setStatus('Ничья.');
-  setModalContent('Ничья', 'Сыграем ещё раз?', '');
+// A solved puzzle pays once a day at most; solving it again shows the same code.
+function endPuzzle(outcome, reward) {
+  if (outcome.winner !== 'X') {
+    setStatus('puzzle.failed');
+    setModalContent('puzzle.failedTitle', 'puzzle.failedText');
+    openModal();
+    return;
+  }
+
+  setStatus('puzzle.solved');
+  if (reward.code) {
+    setModalContent('puzzle.solvedTitle', 'puzzle.solvedCode', reward.code, {
+      discount: reward.discount,
+    });
+  } else {
+    const textKey = reward.failed ? 'puzzle.checkFailed' : 'puzzle.solvedText';
+    setModalContent('puzzle.solvedTitle', textKey);
+  }
+  launchConfetti();
   openModal();
 }
 
-function endGame(outcome) {
+function endGame(outcome, reward = {}) {
   gameOver = true;
   isLocked = true;
+  trackGameEnd(outcome.isDraw ? 'draw' : outcome.winner === 'X' ? 'win' : 'loss');
 
   if (outcome.combo) {
     highlightWin(outcome.combo);
@@ -300,6 +1127,16 @@ function endGame(outcome) {
 
   renderBoard();
 
+  if (reward.inSeries) {
+    endSeriesGame(outcome, reward);
+    return;
+  }
+
+  if (reward.inPuzzle) {
+    endPuzzle(outcome, reward);
+    return;
+  }
+
   if (outcome.isDraw) {
     handleDraw();
     return;
@@ -310,57 +1147,121 @@ function endGame(outcome) {
     clearWinTimer();
     winTimer = setTimeout(() => {
       launchConfetti();
-      handleWin();
+      handleWin(reward);
     }, delay);
   } else {
     handleLoss();
   }
 }
 
-function makeComputerMove() {
-  const move = getAiMove(board, difficulty);
-  if (move !== null) {
-    board[move] = 'O';
+function applyGameState(state) {
+  rememberSkillLevel(state);
+  rememberSeries(state);
+  board = [...state.board];
+  if (Number.isInteger(state.computerMove)) lastMove = state.computerMove;
+  renderBoard();
+
+  if (state.outcome) {
+    endGame(state.outcome, {
+      code: state.code || '',
+      discount: state.discount || null,
+      failed: Boolean(state.rewardFailed),
+      inSeries: Boolean(state.series),
+      inPuzzle: Boolean(state.puzzle),
+    });
+    return;
   }
 
+  isLocked = false;
+  setStatus('status.playerTurn');
   renderBoard();
-  const computerOutcome = evaluateBoard(board);
+}
 
-  if (computerOutcome) {
-    endGame(computerOutcome);
-  } else {
-    isLocked = false;
-    setStatus('Ваш ход');
-    renderBoard();
-  }
+function awaitGameState(request, ...pending) {
+  const token = gameToken;
+
+  Promise.all([request, ...pending])
+    .then(([state]) => {
+      if (token !== gameToken || gameOver) return;
+      applyGameState(state);
+    })
+    .catch(() => {
+      if (token === gameToken) handleConnectionError();
+    });
 }
 
-function queueComputerMove() {
+function queueComputerMove(request) {
   clearComputerTimer();
   isLocked = true;
-  setStatus('Ход компьютера...');
+  setStatus('status.computerTurn');
   renderBoard();
 
-  computerTimer = setTimeout(() => {
-    if (!gameOver) {
-      makeComputerMove();
-    }
-  }, 420);
+  // The timer runs alongside the server or the AI worker, so it is a minimum "thinking" pause for
+  // the player rather than extra delay.
+  const thinking = new Promise((resolve) => {
+    computerTimer = setTimeout(resolve, 420);
+  });
+  awaitGameState(request, thinking);
 }
 
 function handleCellClick(index) {
   if (gameOver || isLocked || board[index]) return;
+  if (isUltimate() && !getLegalMoves(board, lastMove).includes(index)) return;
+
+  analytics.track('move', {
+    mode: getTrackedMode(),
+    index,
+    turn: board.filter(Boolean).length,
+  });
+  if (room) {
+    sendRoomMove(index);
+    return;
+  }
 
-  board[index] = 'X';
+  const mark = variant === 'wild' ? playerMark : getMarks(variant, 'X')[0];
+  board[index] = mark;
+  lastMove = index;
+  hintIndex = null;
+  moveHistory.push(index);
+  markHistory.push(mark);
   renderBoard();
 
-  const outcome = evaluateBoard(board);
-  if (outcome) {
-    endGame(outcome);
+  const request = sendMove(index, mark);
+  if (evaluate(board, 'X')) {
+    isLocked = true;
+    awaitGameState(request);
     return;
   }
 
-  queueComputerMove();
+  queueComputerMove(request);
+}
+
+function applyLocale() {
+  document.documentElement.lang = locale;
+  document.title = t('page.title');
+  document.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  document.querySelectorAll('[data-i18n-aria-label]').forEach((el) => {
+    el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+  });
+  cells.forEach((cell, index) => {
+    cell.setAttribute('aria-label', getCellLabel(index));
+  });
+  if (languageSelect) languageSelect.value = locale;
+
+  setStatus(statusMessage.key, statusMessage.params);
+  if (modalMessage) {
+    const { titleKey, textKey, promoCode, params } = modalMessage;
+    setModalContent(titleKey, textKey, promoCode, params);
+  }
+  renderPromoNote();
+  renderSkillLevel();
+  renderSeries();
+  renderPlayAgainLabel();
+  renderRuleControls();
+  renderProfile();
+  renderLeaderboard();
 }
 
 function updateStarterButtons(selected) {
@@ -371,11 +1272,295 @@ function updateStarterButtons(selected) {
   });
 }
 
-function resetGame() {
+function updateMarkButtons() {
+  markButtons.forEach((button) => {
+    const isActive = button.dataset.mark === playerMark;
+    button.classList.toggle('is-active', isActive);
+    button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+  });
+}
+
+// Ultimate has a single board and standard rules; rooms only play standard rules on classic
+// boards, so the invite is offered for those alone. The puzzle fixes every setting: a 3×3 board,
+// standard rules, the player to move and the hard computer to defend.
+function renderRuleControls() {
+  const puzzleMode = gameMode === 'puzzle';
+  const fixedBoard = gameMode === 'ultimate' || puzzleMode;
+  if (modeSelect) modeSelect.value = gameMode;
+  if (boardSizeSelect) boardSizeSelect.disabled = fixedBoard;
+  if (variantSelect) {
+    variantSelect.value = variant;
+    variantSelect.disabled = fixedBoard;
+  }
+  if (difficultySelect) difficultySelect.disabled = puzzleMode;
+  if (seriesSelect) seriesSelect.disabled = puzzleMode;
+  starterButtons.forEach((button) => {
+    button.disabled = puzzleMode;
+  });
+  if (inviteButton) inviteButton.hidden = fixedBoard || variant !== 'standard';
+  if (markToggle) markToggle.hidden = variant !== 'wild';
+  if (variantHintEl) {
+    variantHintEl.hidden = variant === 'standard';
+    variantHintEl.textContent = variant === 'standard' ? '' : t(`variantHint.${variant}`);
+  }
+  updateMarkButtons();
+}
+
+function setGameMode(mode) {
+  gameMode = mode;
+  if (mode !== 'classic') variant = 'standard';
+  renderRuleControls();
+}
+
+function setVariant(nextVariant) {
+  variant = nextVariant;
+  renderRuleControls();
+}
+
+function getInviteRoomId() {
+  const fromTelegram = tg?.initDataUnsafe?.start_param;
+  const fromUrl = new URLSearchParams(window.location.search).get('room');
+  return [fromTelegram, fromUrl].find(isRoomId) || null;
+}
+
+function renderPlayAgainLabel() {
+  let key = 'modal.playAgain';
+  if (room) key = 'modal.rematch';
+  else if (gameMode === 'puzzle') key = 'puzzle.again';
+  else if (series) key = series.status === 'playing' ? 'series.nextGame' : 'series.newMatch';
+  playAgainButton.textContent = t(key);
+}
+
+function playAgain() {
+  if (room) requestRematch();
+  else if (series?.status === 'playing') startGame();
+  else resetGame();
+}
+
+function shareInvite() {
+  analytics.track('share_clicked', { target: 'invite' });
+  const url =
+    room.inviteUrl || `${window.location.origin}${window.location.pathname}?room=${room.id}`;
+  const shareUrl = `https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent(
+    t('room.inviteText')
+  )}`;
+
+  if (tg?.openTelegramLink) {
+    tg.openTelegramLink(shareUrl);
+  } else {
+    window.open(shareUrl, '_blank', 'noopener');
+  }
+}
+
+function leaveRoom() {
+  if (!room) return;
+
+  room.disconnect();
+  room = null;
+  renderPlayAgainLabel();
+}
+
+function endRoomGame(state) {
+  const { outcome, reward } = state;
+  let result = outcome.winner === state.you ? 'win' : 'loss';
+  if (outcome.isDraw) result = 'draw';
+  trackGameEnd(result, state.board.filter(Boolean).length);
+  if (outcome.combo) {
+    highlightWin(outcome.combo);
+  }
+  renderBoard();
+
+  if (outcome.isDraw) {
+    handleDraw();
+    return;
+  }
+
+  if (outcome.winner === state.you) {
+    setStatus('status.win');
+    if (reward) {
+      const textKey = reward.discount ? 'modal.winCodeDiscount' : 'modal.winCode';
+      setModalContent('modal.winTitle', textKey, reward.code, { discount: reward.discount });
+    } else {
+      const textKey = outcome.forfeit ? 'modal.forfeitWinText' : 'modal.pvpWinText';
+      setModalContent('modal.winTitle', textKey);
+    }
+    launchConfetti();
+  } else {
+    setStatus('room.lost');
+    const textKey = outcome.forfeit ? 'modal.forfeitLossText' : 'modal.pvpLossText';
+    setModalContent('modal.lossTitle', textKey);
+  }
+  openModal();
+}
+
+function applyRoomState(state) {
+  if (!room || state.roomId !== room.id) return;
+
+  if (state.round !== room.round) {
+    // The first state of a room or of a rematch: start from a clean board.
+    room.round = state.round;
+    // Rooms play standard rules on classic boards only.
+    setGameMode('classic');
+    setVariant('standard');
+    boardConfig = getBoardConfig(state.boardSize) || boardConfig;
+    if (boardSizeSelect) boardSizeSelect.value = String(boardConfig.size);
+    board = createBoard(boardConfig);
+    previousBoard = createBoard(boardConfig);
+    clearWinTimer();
+    closeModal();
+    renderCells();
+    trackGameStart();
+  }
+
+  room.status = state.status;
+  board = [...state.board];
+  gameOver = state.status === 'finished';
+  isLocked = state.status !== 'playing' || state.turn !== state.you;
+
+  if (gameOver && room.settledRound !== state.round) {
+    room.settledRound = state.round;
+    endRoomGame(state);
+    return;
+  }
+
+  const opponent = state.players[state.you === 'X' ? 'O' : 'X'];
+  if (state.status === 'waiting') {
+    setStatus('room.waiting');
+  } else if (gameOver) {
+    if (state.rematch.includes(state.you)) setStatus('room.rematchWaiting');
+    else if (state.rematch.length) setStatus('room.rematchOffered');
+  } else if (!opponent.connected) {
+    setStatus('room.opponentOffline');
+  } else if (state.turn === state.you) {
+    setStatus('room.yourTurn', { mark: state.you });
+  } else {
+    setStatus('room.opponentTurn');
+  }
+  renderBoard();
+}
+
+function enterRoom(seat) {
+  trackAbandonedGame();
+  leaveRoom();
+  series = null;
+  storeSeriesId(null);
+  renderSeries();
+  clearComputerTimer();
+  clearWinTimer();
+  aiClient.cancel();
+  gameToken += 1;
+
+  room = {
+    id: seat.roomId,
+    token: seat.token,
+    inviteUrl: seat.inviteUrl,
+    status: null,
+    round: null,
+    settledRound: null,
+    disconnect: () => {},
+  };
+  renderPlayAgainLabel();
+  applyRoomState(seat.room);
+  room.disconnect = roomClient.connect(seat.roomId, seat.token, applyRoomState);
+}
+
+function sendRoomMove(index) {
+  const { id, token } = room;
+  isLocked = true;
+  renderBoard();
+
+  roomClient
+    .move(id, token, index)
+    .then((data) => applyRoomState(data.room))
+    .catch(() => {
+      // The event stream brings the board back in sync; just let the player try again.
+      if (room?.id !== id) return;
+      isLocked = false;
+      renderBoard();
+    });
+}
+
+function requestRematch() {
+  closeModal();
+  roomClient
+    .rematch(room.id, room.token)
+    .then((data) => applyRoomState(data.room))
+    .catch(() => {});
+}
+
+async function startRoom() {
+  // Until the friend joins, the button sends the same invite again.
+  if (room?.status === 'waiting') {
+    shareInvite();
+    return;
+  }
+
+  inviteButton.disabled = true;
+  try {
+    enterRoom(await roomClient.create(boardConfig.size));
+    shareInvite();
+  } catch (error) {
+    setStatus('room.createFailed');
+  } finally {
+    inviteButton.disabled = false;
+  }
+}
+
+function joinRoom(roomId) {
+  roomClient
+    .join(roomId)
+    .then(enterRoom)
+    .catch(() => setStatus('room.unavailable'));
+}
+
+// The player always moves first in a puzzle, from the position the server publishes.
+function startPuzzle(token) {
+  puzzle = null;
+  gameRequest = Promise.resolve(null);
+  isLocked = true;
+  setStatus('puzzle.loading');
+  renderBoard();
+
+  fetch('/api/puzzle', { headers: getApiHeaders() })
+    .then((response) => {
+      if (!response.ok) throw new Error('Puzzle request failed');
+      return response.json();
+    })
+    .then((data) => {
+      if (token !== gameToken) return;
+      puzzle = data.puzzle;
+      board = [...puzzle.board];
+      previousBoard = [...board];
+      isLocked = false;
+      setStatus('puzzle.status', { moves: puzzle.moves });
+      renderBoard();
+    })
+    .catch(() => {
+      if (token === gameToken) handleConnectionError();
+    });
+}
+
+// Starts the next game: of the match in progress, if any, or from a saved game in progress after a
+// reload (`resumed`, as GET /api/series returns it).
+function startGame(resumed = null) {
+  trackAbandonedGame();
+  leaveRoom();
   clearComputerTimer();
   clearWinTimer();
-  board = Array(9).fill(null);
-  previousBoard = Array(9).fill(null);
+  aiClient.cancel();
+  gameToken += 1;
+  gameStartedAt = Date.now();
+  if (series) {
+    playerStarts = (resumed?.starter || series.nextStarter) !== 'computer';
+    updateStarterButtons(getStarter());
+  }
+  board = resumed ? [...resumed.board] : createBoard(boardConfig);
+  moveHistory = resumed ? [...resumed.moves] : [];
+  markHistory = resumed ? [...resumed.marks] : [];
+  assists = resumed ? { ...resumed.assists } : { hint: 0, undo: 0 };
+  hintIndex = null;
+  lastMove = resumed ? resumed.lastMove : null;
+  previousBoard = [...board];
   gameOver = false;
   isLocked = false;
   currentPromoCode = '';
@@ -384,28 +1569,149 @@ function resetGame() {
     confettiEl.classList.remove('confetti--active');
     confettiEl.innerHTML = '';
   }
-  clearWinHighlight();
+  if (renderedConfig === boardConfig) {
+    clearWinHighlight();
+  } else {
+    renderCells();
+  }
   closeModal();
+  renderPlayAgainLabel();
+  trackGameStart();
+
+  if (gameMode === 'puzzle') {
+    startPuzzle(gameToken);
+    return;
+  }
+
+  if (resumed) {
+    // A saved game always waits for the player's move.
+    gameRequest = Promise.resolve(resumed);
+    rememberSkillLevel(resumed);
+    setStatus('status.playerTurn');
+    renderBoard();
+    return;
+  }
+
+  const token = gameToken;
+  gameRequest = openSeries(token)
+    .then(startServerGame)
+    .catch(() => null);
 
   if (playerStarts) {
-    setStatus('Ваш ход');
+    setStatus('status.playerTurn');
     renderBoard();
   } else {
-    queueComputerMove();
+    queueComputerMove(requestTurn((game) => logServerMove(game, token)));
   }
 }
 
-cells.forEach((cell, index) => {
-  cell.addEventListener('click', () => handleCellClick(index));
-});
+// Starts over: a new game, or a new match when matches are picked.
+function resetGame() {
+  series = null;
+  storeSeriesId(null);
+  renderSeries();
+  startGame();
+}
+
+function applySeriesSettings(saved) {
+  difficulty = saved.difficulty;
+  seriesLength = saved.length;
+  if (difficultySelect) difficultySelect.value = difficulty;
+  if (seriesSelect) seriesSelect.value = String(seriesLength);
+  if (boardSizeSelect && saved.mode === 'classic') boardSizeSelect.value = String(saved.boardSize);
+  setGameMode(saved.mode);
+  setVariant(saved.variant);
+  boardConfig = getSelectedConfig();
+  renderPromoNote();
+  renderSkillLevel();
+}
+
+// Picks a saved match back up, with its game in progress; without one, starts afresh.
+async function restoreSeries() {
+  const seriesId = readStoredSeriesId();
+  if (!seriesId) {
+    resetGame();
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/series/${encodeURIComponent(seriesId)}`, {
+      headers: getApiHeaders(),
+    });
+    if (!response.ok) throw new Error('Series request failed');
+
+    const data = await response.json();
+    if (data.series.status !== 'playing') throw new Error('Series is over');
+
+    applySeriesSettings(data.series);
+    rememberSeries(data);
+    startGame(data.game);
+  } catch (error) {
+    resetGame();
+  }
+}
 
 if (difficultySelect) {
   difficultySelect.addEventListener('change', (event) => {
     difficulty = event.target.value;
+    renderPromoNote();
+    renderSkillLevel();
+    resetGame();
+  });
+}
+
+if (boardSizeSelect) {
+  boardSizeSelect.addEventListener('change', () => {
+    boardConfig = getSelectedConfig();
+    resetGame();
+  });
+}
+
+if (modeSelect) {
+  modeSelect.addEventListener('change', (event) => {
+    setGameMode(event.target.value);
+    boardConfig = getSelectedConfig();
+    renderPromoNote();
+    resetGame();
+  });
+}
+
+if (seriesSelect) {
+  seriesSelect.addEventListener('change', (event) => {
+    seriesLength = Number(event.target.value);
+    renderPromoNote();
+    resetGame();
+  });
+}
+
+if (variantSelect) {
+  variantSelect.addEventListener('change', (event) => {
+    setVariant(event.target.value);
+    renderPromoNote();
     resetGame();
   });
 }
 
+markButtons.forEach((button) => {
+  button.addEventListener('click', () => {
+    playerMark = button.dataset.mark;
+    updateMarkButtons();
+  });
+});
+
+if (languageSelect) {
+  languageSelect.addEventListener('change', (event) => {
+    locale = matchLocale(event.target.value) || DEFAULT_LOCALE;
+    manualLocale = locale;
+    try {
+      window.localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+      // Storage may be unavailable in some WebViews; the choice then lasts for this visit.
+    }
+    applyLocale();
+  });
+}
+
 starterButtons.forEach((button) => {
   button.addEventListener('click', () => {
     const starter = button.dataset.starter;
@@ -416,7 +1722,12 @@ starterButtons.forEach((button) => {
 });
 
 resetButton.addEventListener('click', resetGame);
-playAgainButton.addEventListener('click', resetGame);
+if (hintButton) hintButton.addEventListener('click', showHint);
+if (undoButton) undoButton.addEventListener('click', undoTurn);
+playAgainButton.addEventListener('click', playAgain);
+if (inviteButton) inviteButton.addEventListener('click', startRoom);
+if (profileButton) profileButton.addEventListener('click', openProfile);
+if (leaderboardButton) leaderboardButton.addEventListener('click', openLeaderboard);
 copyButton.addEventListener('click', handleCopy);
 modalCloseButton.addEventListener('click', closeModal);
 
@@ -426,9 +1737,32 @@ modal.addEventListener('click', (event) => {
   }
 });
 
+if (profileModal) {
+  profileCloseButton.addEventListener('click', closeProfile);
+  profileModal.addEventListener('click', (event) => {
+    if (event.target.hasAttribute('data-close')) {
+      closeProfile();
+    }
+  });
+}
+
+if (leaderboardModal) {
+  leaderboardCloseButton.addEventListener('click', closeLeaderboard);
+  leaderboardModal.addEventListener('click', (event) => {
+    if (event.target.hasAttribute('data-close')) {
+      closeLeaderboard();
+    }
+  });
+}
+
+periodButtons.forEach((button) => {
+  button.addEventListener('click', () => loadLeaderboard(button.dataset.period));
+});
+
 if (telegramShare) {
   telegramShare.addEventListener('click', (event) => {
     if (!telegramShareUrl) return;
+    analytics.track('share_clicked', { target: 'promo' });
     if (tg?.openTelegramLink) {
       event.preventDefault();
       tg.openTelegramLink(telegramShareUrl);
@@ -436,6 +1770,20 @@ if (telegramShare) {
   });
 }
 
+analytics.listen(document);
+analytics.track('app_open', {
+  hasTelegram: Boolean(tg),
+  hasInitData: Boolean(getInitData()),
+  locale,
+});
+applyLocale();
+setGameMode(gameMode);
 updateStarterButtons(initialStarter);
-resetGame();
-reportClientLog('boot');
+const inviteRoomId = getInviteRoomId();
+if (inviteRoomId) {
+  resetGame();
+  joinRoom(inviteRoomId);
+} else {
+  restoreSeries();
+}
+loadCampaign();
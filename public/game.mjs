@@ -1,13 +1,67 @@
-const winningCombos = [
-  [0, 1, 2],
-  [3, 4, 5],
-  [6, 7, 8],
-  [0, 3, 6],
-  [1, 4, 7],
-  [2, 5, 8],
-  [0, 4, 8],
-  [2, 4, 6],
-];
+// Supported boards, keyed by side length. `maxNodes` is the search budget that keeps the computer
+// quick on the larger boards; the classic board is always searched to the end.
+const boardConfigs = {
+  3: { size: 3, winLength: 3, maxNodes: null },
+  4: { size: 4, winLength: 4, maxNodes: 20000 },
+  5: { size: 5, winLength: 4, maxNodes: 20000 },
+  7: { size: 7, winLength: 4, maxNodes: 10000 },
+};
+
+const classicBoard = boardConfigs[3];
+// A won position scores WIN_SCORE less the plies it took, from O's side in minimax.
+const WIN_SCORE = 1000000;
+
+// Rule sets for the classic boards. X is always the player's side and O the computer's (the two
+// seats in a room); in Wild and Notakto the marks on the board no longer tell the sides apart.
+const variants = ['standard', 'misere', 'wild', 'notakto'];
+// Variants in which completing a line loses.
+const losingVariants = new Set(['misere', 'notakto']);
+
+const linesCache = new Map();
+
+function getBoardConfig(size) {
+  return boardConfigs[size] || null;
+}
+
+function createBoard({ size } = classicBoard) {
+  return Array(size * size).fill(null);
+}
+
+/** Every run of `winLength` cells in a row, column or diagonal, as lists of cell indexes. */
+function getWinningLines({ size, winLength }) {
+  const key = `${size}:${winLength}`;
+  if (linesCache.has(key)) return linesCache.get(key);
+
+  const lines = [];
+  const directions = [
+    [0, 1],
+    [1, 0],
+    [1, 1],
+    [1, -1],
+  ];
+
+  for (const [rowStep, colStep] of directions) {
+    for (let row = 0; row < size; row += 1) {
+      for (let col = 0; col < size; col += 1) {
+        const endRow = row + rowStep * (winLength - 1);
+        const endCol = col + colStep * (winLength - 1);
+        if (endRow >= size || endCol < 0 || endCol >= size) continue;
+
+        lines.push(
+          Array.from(
+            { length: winLength },
+            (_, step) => (row + rowStep * step) * size + col + colStep * step
+          )
+        );
+      }
+    }
+  }
+
+  linesCache.set(key, lines);
+  return lines;
+}
+
+const winningCombos = getWinningLines(classicBoard);
 
 const difficultySettings = {
   easy: {
@@ -24,15 +78,33 @@ const difficultySettings = {
   },
 };
 
-function evaluateBoard(currentBoard) {
-  for (const combo of winningCombos) {
-    const [a, b, c] = combo;
-    if (
-      currentBoard[a] &&
-      currentBoard[a] === currentBoard[b] &&
-      currentBoard[a] === currentBoard[c]
-    ) {
-      return { winner: currentBoard[a], combo, isDraw: false };
+function getOtherSide(side) {
+  return side === 'X' ? 'O' : 'X';
+}
+
+/** The marks `side` may place: its own, either in Wild, and only X in Notakto. */
+function getMarks(variant, side) {
+  if (variant === 'wild') return ['X', 'O'];
+  if (variant === 'notakto') return ['X'];
+  return [side];
+}
+
+/**
+ * The outcome of a position; `winner` is a side rather than a mark. In Wild and Notakto either
+ * side can complete a line of either mark, so `mover`, the side that made the last move, is
+ * required there.
+ */
+function evaluateBoard(currentBoard, config = classicBoard, { variant = 'standard', mover } = {}) {
+  for (const combo of getWinningLines(config)) {
+    const first = currentBoard[combo[0]];
+    if (first && combo.every((index) => currentBoard[index] === first)) {
+      let completer = first;
+      if (variant === 'wild' || variant === 'notakto') {
+        if (!mover) throw new Error(`The last mover is required in ${variant}`);
+        completer = mover;
+      }
+      const winner = losingVariants.has(variant) ? getOtherSide(completer) : completer;
+      return { winner, combo, isDraw: false };
     }
   }
 
@@ -43,100 +115,477 @@ function evaluateBoard(currentBoard) {
   return null;
 }
 
-function scoreBoard(currentBoard) {
+// Open lines count for the side that owns them, weighted 1, 3, 9... by how many marks they hold.
+// In misère they count against it; in Wild and Notakto lines belong to nobody.
+function scoreBoard(currentBoard, config = classicBoard, variant = 'standard') {
+  if (variant === 'wild' || variant === 'notakto') return 0;
+
   let score = 0;
 
-  for (const combo of winningCombos) {
-    const values = combo.map((index) => currentBoard[index]);
-    const oCount = values.filter((value) => value === 'O').length;
-    const xCount = values.filter((value) => value === 'X').length;
+  for (const combo of getWinningLines(config)) {
+    let oCount = 0;
+    let xCount = 0;
+    for (const index of combo) {
+      if (currentBoard[index] === 'O') oCount += 1;
+      if (currentBoard[index] === 'X') xCount += 1;
+    }
 
     if (oCount > 0 && xCount > 0) continue;
 
-    if (oCount === 2 && xCount === 0) score += 3;
-    if (oCount === 1 && xCount === 0) score += 1;
-    if (xCount === 2 && oCount === 0) score -= 3;
-    if (xCount === 1 && oCount === 0) score -= 1;
+    if (oCount > 0) score += 3 ** (oCount - 1);
+    if (xCount > 0) score -= 3 ** (xCount - 1);
+  }
+
+  return variant === 'misere' ? -score : score;
+}
+
+// Transposition table entries hold an exact score or only a bound left by an alpha-beta cut-off.
+const EXACT = 0;
+const LOWER_BOUND = 1;
+const UPPER_BOUND = 2;
+const MAX_TABLE_SIZE = 200000;
+
+// Shared by unbudgeted searches, whose scores depend only on the position and the remaining depth,
+// so a reused entry never changes the move that is picked.
+const sharedTable = new Map();
+
+const symmetriesCache = new Map();
+const moveOrderCache = new Map();
+const cellLinesCache = new Map();
+
+/** The eight rotations and reflections of a square board, as index maps. */
+function getSymmetries(size) {
+  if (symmetriesCache.has(size)) return symmetriesCache.get(size);
+
+  const last = size - 1;
+  const transforms = [
+    (row, col) => [row, col],
+    (row, col) => [col, last - row],
+    (row, col) => [last - row, last - col],
+    (row, col) => [last - col, row],
+    (row, col) => [row, last - col],
+    (row, col) => [last - row, col],
+    (row, col) => [col, row],
+    (row, col) => [last - col, last - row],
+  ];
+  const symmetries = transforms.map((transform) =>
+    Array.from({ length: size * size }, (_, index) => {
+      const [row, col] = transform(Math.floor(index / size), index % size);
+      return row * size + col;
+    })
+  );
+
+  symmetriesCache.set(size, symmetries);
+  return symmetries;
+}
+
+// Cells that lie on more winning lines are tried first; on open boards they are the strongest.
+function getMoveOrder(config) {
+  const key = `${config.size}:${config.winLength}`;
+  if (moveOrderCache.has(key)) return moveOrderCache.get(key);
+
+  const weights = Array(config.size * config.size).fill(0);
+  getWinningLines(config).forEach((combo) => {
+    combo.forEach((index) => {
+      weights[index] += 1;
+    });
+  });
+  const order = weights.map((_, index) => index).sort((a, b) => weights[b] - weights[a]);
+
+  moveOrderCache.set(key, order);
+  return order;
+}
+
+/** For each cell, the winning lines that pass through it. */
+function getCellLines(config) {
+  const key = `${config.size}:${config.winLength}`;
+  if (cellLinesCache.has(key)) return cellLinesCache.get(key);
+
+  const cellLines = Array.from({ length: config.size * config.size }, () => []);
+  getWinningLines(config).forEach((combo) => {
+    combo.forEach((index) => {
+      cellLines[index].push(combo);
+    });
+  });
+
+  cellLinesCache.set(key, cellLines);
+  return cellLines;
+}
+
+// Only the last move can have completed a line, so the search checks just the lines through it.
+function completesLine(currentBoard, index, config) {
+  const mark = currentBoard[index];
+  return getCellLines(config)[index].some((combo) =>
+    combo.every((cell) => currentBoard[cell] === mark)
+  );
+}
+
+// Symmetric positions share one key: the smallest of their eight spellings. The side to move is
+// part of the key because the marks alone don't tell whose turn it is, and so is the side searched
+// for because scores are from its point of view.
+function getTableKey(currentBoard, search, isMaximizing, remaining) {
+  const { config, variant, side } = search;
+  let canonical = null;
+  for (const symmetry of getSymmetries(config.size)) {
+    const spelling = symmetry.map((index) => currentBoard[index] || '-').join('');
+    if (canonical === null || spelling < canonical) canonical = spelling;
   }
 
+  const toMove = isMaximizing ? side : getOtherSide(side);
+  return `${config.size}:${config.winLength}:${variant}:${side}:${toMove}:${remaining}:${canonical}`;
+}
+
+// Win scores count plies from the root; the table stores them relative to the position instead.
+function toTableScore(score, depth) {
+  if (score > WIN_SCORE / 2) return score + depth;
+  if (score < -WIN_SCORE / 2) return score - depth;
   return score;
 }
 
-function minimax(currentBoard, depth, isMaximizing, maxDepth) {
-  const outcome = evaluateBoard(currentBoard);
-  if (outcome) {
-    if (outcome.isDraw) return 0;
-    return outcome.winner === 'O' ? 10 - depth : depth - 10;
+function fromTableScore(score, depth) {
+  if (score > WIN_SCORE / 2) return score - depth;
+  if (score < -WIN_SCORE / 2) return score + depth;
+  return score;
+}
+
+function storeEntry(table, key, entry) {
+  if (table.size >= MAX_TABLE_SIZE) table.clear();
+  table.set(key, entry);
+}
+
+// `side` is the side the search plays for; it maximizes the score.
+function createSearch(
+  config,
+  maxDepth,
+  { variant = 'standard', side = 'O', table = new Map(), maxNodes = null, deadline = null } = {}
+) {
+  return {
+    config,
+    variant,
+    side,
+    maxDepth,
+    table,
+    maxNodes,
+    deadline,
+    nodes: 0,
+    canAbort: false,
+    aborted: false,
+  };
+}
+
+function isOutOfBudget(search) {
+  if (!search.canAbort) return false;
+  if (search.maxNodes !== null && search.nodes > search.maxNodes) return true;
+  return search.deadline !== null && search.nodes % 256 === 0 && Date.now() > search.deadline;
+}
+
+// `lastMove` is the cell filled just before this position (null to skip the check), by the side
+// that is not to move now; a full board with no line is a draw and scores 0 through the empty
+// move loop.
+function alphaBeta(currentBoard, lastMove, depth, isMaximizing, alpha, beta, search) {
+  const { config, maxDepth, variant, side } = search;
+  search.nodes += 1;
+  if (isOutOfBudget(search)) {
+    search.aborted = true;
+    return 0;
   }
 
-  if (Number.isFinite(maxDepth) && depth >= maxDepth) {
-    return scoreBoard(currentBoard);
+  if (lastMove !== null && completesLine(currentBoard, lastMove, config)) {
+    // The searching side moved last when the other side is to move; in misère and Notakto that
+    // loses.
+    const searcherWins = isMaximizing === losingVariants.has(variant);
+    return searcherWins ? WIN_SCORE - depth : depth - WIN_SCORE;
   }
 
-  if (isMaximizing) {
-    let bestScore = -Infinity;
-    currentBoard.forEach((value, index) => {
-      if (!value) {
-        currentBoard[index] = 'O';
-        const score = minimax(currentBoard, depth + 1, false, maxDepth);
-        currentBoard[index] = null;
-        bestScore = Math.max(bestScore, score);
-      }
-    });
-    return bestScore;
+  const remaining = Number.isFinite(maxDepth) ? maxDepth - depth : Infinity;
+  if (remaining <= 0) {
+    const score = scoreBoard(currentBoard, config, variant);
+    return side === 'O' ? score : -score;
   }
 
-  let bestScore = Infinity;
-  currentBoard.forEach((value, index) => {
-    if (!value) {
-      currentBoard[index] = 'X';
-      const score = minimax(currentBoard, depth + 1, true, maxDepth);
+  // Positions one ply above the horizon are too cheap to be worth a table lookup.
+  const key = remaining > 1 ? getTableKey(currentBoard, search, isMaximizing, remaining) : null;
+  const entry = key && search.table.get(key);
+  if (entry) {
+    const score = fromTableScore(entry.score, depth);
+    if (entry.flag === EXACT) return score;
+    if (entry.flag === LOWER_BOUND && score >= beta) return score;
+    if (entry.flag === UPPER_BOUND && score <= alpha) return score;
+  }
+
+  const windowAlpha = alpha;
+  const windowBeta = beta;
+  let bestScore = isMaximizing ? -Infinity : Infinity;
+
+  const marks = getMarks(variant, isMaximizing ? side : getOtherSide(side));
+
+  for (const index of getMoveOrder(config)) {
+    if (currentBoard[index]) continue;
+
+    for (const mark of marks) {
+      currentBoard[index] = mark;
+      const score = alphaBeta(currentBoard, index, depth + 1, !isMaximizing, alpha, beta, search);
       currentBoard[index] = null;
-      bestScore = Math.min(bestScore, score);
+      if (search.aborted) return 0;
+
+      if (isMaximizing) {
+        bestScore = Math.max(bestScore, score);
+        alpha = Math.max(alpha, bestScore);
+      } else {
+        bestScore = Math.min(bestScore, score);
+        beta = Math.min(beta, bestScore);
+      }
+      if (alpha >= beta) break;
     }
-  });
+    if (alpha >= beta) break;
+  }
+  if (!Number.isFinite(bestScore)) return 0;
+
+  if (key) {
+    let flag = EXACT;
+    if (bestScore <= windowAlpha) flag = UPPER_BOUND;
+    else if (bestScore >= windowBeta) flag = LOWER_BOUND;
+    storeEntry(search.table, key, { score: toTableScore(bestScore, depth), flag });
+  }
+
   return bestScore;
 }
 
-function getBestMove(currentBoard, maxDepth = null) {
+function minimax(
+  currentBoard,
+  depth,
+  isMaximizing,
+  maxDepth,
+  config = classicBoard,
+  variant = 'standard'
+) {
+  // The side to move didn't make the last move.
+  const outcome = evaluateBoard(currentBoard, config, {
+    variant,
+    mover: isMaximizing ? 'X' : 'O',
+  });
+  if (outcome) {
+    if (outcome.isDraw) return 0;
+    return outcome.winner === 'O' ? WIN_SCORE - depth : depth - WIN_SCORE;
+  }
+
+  const search = createSearch(config, maxDepth, { variant, table: sharedTable });
+  return alphaBeta(currentBoard, null, depth, isMaximizing, -Infinity, Infinity, search);
+}
+
+// Scores every play for the searching side at one depth. A play is only picked over an earlier one for a strictly
+// better score, so ties go to the earlier play in `order`.
+function searchRoot(currentBoard, order, search) {
   let bestScore = -Infinity;
   let move = null;
+  const scores = new Map();
 
-  currentBoard.forEach((value, index) => {
-    if (!value) {
-      currentBoard[index] = 'O';
-      const score = minimax(currentBoard, 0, false, maxDepth);
-      currentBoard[index] = null;
+  for (const play of order) {
+    currentBoard[play.index] = play.mark;
+    const score = alphaBeta(currentBoard, play.index, 0, false, bestScore, Infinity, search);
+    currentBoard[play.index] = null;
+    if (search.aborted) return null;
 
-      if (score > bestScore) {
-        bestScore = score;
-        move = index;
-      }
+    scores.set(play, score);
+    if (score > bestScore) {
+      bestScore = score;
+      move = play;
     }
+  }
+
+  return { move, scores };
+}
+
+/**
+ * Picks the play, `{ index, mark }`, for `side` (the computer's O by default) with alpha-beta
+ * search; see getBestMove for `budget`.
+ */
+function getBestPlay(
+  currentBoard,
+  maxDepth = null,
+  config = classicBoard,
+  budget = {},
+  variant = 'standard',
+  side = 'O'
+) {
+  const maxNodes = budget.maxNodes ?? config.maxNodes ?? null;
+  const timeLimitMs = budget.timeLimitMs ?? null;
+  const searchDepth = maxDepth ?? Infinity;
+  const marks = getMarks(variant, side);
+  let order = getMoveOrder(config)
+    .filter((index) => !currentBoard[index])
+    .flatMap((index) => marks.map((mark) => ({ index, mark })));
+  if (!order.length) return null;
+
+  if (maxNodes === null && timeLimitMs === null) {
+    return searchRoot(
+      currentBoard,
+      order,
+      createSearch(config, searchDepth, { variant, side, table: sharedTable })
+    ).move;
+  }
+
+  const search = createSearch(config, searchDepth, {
+    variant,
+    side,
+    maxNodes,
+    deadline: timeLimitMs === null ? null : Date.now() + timeLimitMs,
   });
+  const emptyCells = currentBoard.filter((value) => !value).length;
+  const finalDepth = Number.isFinite(searchDepth) ? searchDepth : emptyCells - 1;
+  let move = null;
+
+  for (let depth = 0; depth <= finalDepth; depth += 1) {
+    search.maxDepth = depth;
+    // The first pass always completes so there is a move to fall back on.
+    search.canAbort = depth > 0;
+    const result = searchRoot(currentBoard, order, search);
+    if (!result) break;
+
+    move = result.move;
+    // A forced win found at this depth is the quickest one; searching deeper cannot improve it.
+    if (result.scores.get(move) > WIN_SCORE / 2) break;
+    order = [...order].sort((a, b) => result.scores.get(b) - result.scores.get(a));
+  }
 
   return move;
 }
 
-function getRandomMove(currentBoard) {
+/**
+ * Picks the cell for `side` (O, the computer, by default; X for the player's hints) with
+ * alpha-beta search.
+ *
+ * `budget` takes `maxNodes` and/or `timeLimitMs` (the board's `maxNodes` applies by default).
+ * A budgeted search deepens one ply at a time and returns the best move of the deepest search
+ * that finished. Node budgets are deterministic; a time budget makes the move depend on the speed
+ * of the machine, so the server cannot re-check it.
+ */
+function getBestMove(
+  currentBoard,
+  maxDepth = null,
+  config = classicBoard,
+  budget = {},
+  variant = 'standard',
+  side = 'O'
+) {
+  return getBestPlay(currentBoard, maxDepth, config, budget, variant, side)?.index ?? null;
+}
+
+function getRandomPlay(currentBoard, variant, side) {
   const available = currentBoard
     .map((value, index) => (value ? null : index))
     .filter((value) => value !== null);
 
   if (!available.length) return null;
 
-  const choice = Math.floor(Math.random() * available.length);
-  return available[choice];
+  const marks = getMarks(variant, side);
+  return {
+    index: available[Math.floor(Math.random() * available.length)],
+    mark: marks[Math.floor(Math.random() * marks.length)],
+  };
+}
+
+/**
+ * Settings for the "auto" difficulty at a skill level from 1 to 10: the blunder rate falls from
+ * 45% to none and the search deepens by a ply every two levels, up to a full search at 10.
+ */
+function getAdaptiveSettings(level = 5) {
+  const clamped = Math.min(10, Math.max(1, level));
+
+  return {
+    blunderRate: (0.45 * (10 - clamped)) / 9,
+    maxDepth: clamped >= 9.5 ? null : Math.floor(clamped / 2),
+  };
 }
 
-function getAiMove(currentBoard, difficulty = 'normal') {
-  const settings = difficultySettings[difficulty] || difficultySettings.normal;
+/**
+ * The computer's play, `{ index, mark }`, under `variant`. `difficulty` is a preset name or a
+ * settings object such as getAdaptiveSettings() returns; `side` is the side to play for.
+ */
+function getAiPlay(
+  currentBoard,
+  difficulty = 'normal',
+  config = classicBoard,
+  variant = 'standard',
+  side = 'O'
+) {
+  const settings =
+    typeof difficulty === 'object'
+      ? difficulty
+      : difficultySettings[difficulty] || difficultySettings.normal;
 
-  if (difficulty === 'easy' && Math.random() < settings.blunderRate) {
-    return getRandomMove(currentBoard);
+  if (settings.blunderRate > 0 && Math.random() < settings.blunderRate) {
+    return getRandomPlay(currentBoard, variant, side);
   }
 
-  return getBestMove(currentBoard, settings.maxDepth);
+  return getBestPlay(currentBoard, settings.maxDepth, config, {}, variant, side);
+}
+
+// Just the cell of getAiPlay's play; in Wild the mark matters too, so use getAiPlay there.
+function getAiMove(
+  currentBoard,
+  difficulty = 'normal',
+  config = classicBoard,
+  variant = 'standard'
+) {
+  return getAiPlay(currentBoard, difficulty, config, variant)?.index ?? null;
 }
 
-export { evaluateBoard, getAiMove, getBestMove, minimax, winningCombos };
+/**
+ * Replays a move log. Outside Wild the marks follow from the sides; Wild logs need `marks`, the
+ * mark placed by each move.
+ */
+function replayGame(
+  moves,
+  starter = 'player',
+  config = classicBoard,
+  { variant = 'standard', marks = [] } = {}
+) {
+  const board = createBoard(config);
+  let outcome = null;
+
+  for (let turn = 0; turn < moves.length; turn += 1) {
+    if (outcome) {
+      return { error: 'Move played after the game ended', board, outcome };
+    }
+
+    const index = moves[turn];
+    const side = (turn % 2 === 0) === (starter !== 'computer') ? 'X' : 'O';
+    const allowed = getMarks(variant, side);
+    const mark = variant === 'wild' ? marks[turn] : allowed[0];
+    if (
+      !Number.isInteger(index) ||
+      index < 0 ||
+      index >= board.length ||
+      board[index] ||
+      !allowed.includes(mark)
+    ) {
+      return { error: `Illegal move at turn ${turn + 1}`, board, outcome };
+    }
+
+    board[index] = mark;
+    outcome = evaluateBoard(board, config, { variant, mover: side });
+  }
+
+  return { error: null, board, outcome };
+}
+
+export {
+  WIN_SCORE,
+  boardConfigs,
+  createBoard,
+  evaluateBoard,
+  getAdaptiveSettings,
+  getAiMove,
+  getAiPlay,
+  getBestMove,
+  getBestPlay,
+  getBoardConfig,
+  getMarks,
+  getOtherSide,
+  getWinningLines,
+  minimax,
+  replayGame,
+  variants,
+  winningCombos,
+};
@@ -0,0 +1,335 @@
+const DEFAULT_LOCALE = 'ru';
+
+const messages = {
+  ru: {
+    'page.title': 'Крестики-нолики — промо-игра',
+    'header.eyebrow': 'Игра для приятного вечера',
+    'header.title': 'Крестики-нолики',
+    'header.subtitle': 'Соберите линию и получите мягкий бонус — промокод на скидку.',
+    'controls.language': 'Язык',
+    'controls.difficulty': 'Сложность',
+    'difficulty.easy': 'Лёгкая',
+    'difficulty.normal': 'Нормальная',
+    'difficulty.hard': 'Сложная',
+    'difficulty.auto': 'Авто — под ваш уровень',
+    'difficulty.pvp': 'С другом',
+    'controls.variant': 'Правила',
+    'variant.standard': 'Обычные',
+    'variant.misere': 'Поддавки',
+    'variant.wild': 'Wild — любой знак',
+    'variant.notakto': 'Notakto — только крестики',
+    'variantHint.misere': 'Поддавки: кто первым соберёт линию, тот проиграл.',
+    'variantHint.wild': 'Wild: каждым ходом ставьте X или O. Кто соберёт линию, тот победил.',
+    'variantHint.notakto': 'Notakto: оба ставят крестики. Кто соберёт линию, тот проиграл.',
+    'controls.mark': 'Ваш знак',
+    'controls.series': 'Матч',
+    'series.single': 'Одна партия',
+    'series.bestOf3': 'Лучший из трёх',
+    'series.bestOf5': 'Лучший из пяти',
+    'series.score': 'Матч: вы {win} — {loss} компьютер · партия {game} из {length}',
+    'series.scoreOver': 'Матч: вы {win} — {loss} компьютер · матч окончен',
+    'series.gameText': 'Счёт матча {win} — {loss}. Промокод получит победитель матча.',
+    'series.nextGame': 'Следующая партия',
+    'series.newMatch': 'Новый матч',
+    'series.wonTitle': 'Матч ваш!',
+    'series.wonText': 'Вы выиграли матч со счётом {win} — {loss}.',
+    'series.wonCode':
+      'Вы выиграли матч со счётом {win} — {loss}. Ваш промокод на скидку {discount}%:',
+    'series.lostTitle': 'Матч за компьютером',
+    'series.lostText': 'Компьютер выиграл матч со счётом {loss} — {win}. Сыграем ещё?',
+    'series.drawnTitle': 'Ничья в матче',
+    'series.drawnText': 'Счёт {win} — {loss}: матч остался без победителя.',
+    'controls.mode': 'Режим',
+    'mode.classic': 'Классика',
+    'mode.ultimate': 'Ультимейт — поле из девяти полей',
+    'mode.puzzle': 'Задача дня',
+    'controls.boardSize': 'Поле',
+    'boardSize.3': '3×3',
+    'boardSize.4': '4×4, четыре в ряд',
+    'boardSize.5': '5×5, четыре в ряд',
+    'boardSize.7': '7×7, четыре в ряд',
+    'controls.starter': 'Кто начинает',
+    'starter.player': 'Я',
+    'starter.computer': 'Компьютер',
+    'board.label': 'Игровое поле',
+    'board.cell': 'Клетка {number}',
+    'board.ultimateCell': 'Поле {board}, клетка {number}',
+    'actions.hint': 'Подсказка',
+    'actions.undo': 'Отменить ход',
+    'actions.reset': 'Начать заново',
+    'actions.invite': 'Сыграть с другом',
+    'actions.profile': 'Моя статистика',
+    'actions.leaderboard': 'Таблица лидеров',
+    'note.default': '*Промокоды выдаются при победе и действуют ограниченное время.',
+    'note.noCampaign': 'Сейчас акций нет — играем просто для удовольствия.',
+    'note.reward':
+      '*Победа на этой сложности — промокод на скидку {discount}%. Промокоды действуют ограниченное время.',
+    'note.noReward': '*На этой сложности промокоды не выдаются — попробуйте уровень посложнее.',
+    'note.assists': 'Подсказки и отмена ходов уменьшают скидку или лишают промокода.',
+    'note.seriesOnly':
+      '*Сейчас промокоды выдаются только за выигранный матч из {length} партий и больше.',
+    'status.playerTurn': 'Ваш ход',
+    'status.hint': 'Подсвечен самый сильный ход.',
+    'status.computerTurn': 'Ход компьютера...',
+    'status.win': 'Вы победили!',
+    'status.loss': 'Сегодня удача на стороне компьютера.',
+    'status.draw': 'Ничья.',
+    'status.offline': 'Нет связи с сервером. Начните заново.',
+    'level.current': 'Уровень компьютера: {level} из 10',
+    'room.waiting': 'Ждём соперника — отправьте ему приглашение',
+    'room.yourTurn': 'Ваш ход ({mark})',
+    'room.opponentTurn': 'Ход соперника...',
+    'room.opponentOffline': 'Соперник отключился — ждём его возвращения',
+    'room.lost': 'Победил соперник.',
+    'room.rematchWaiting': 'Ждём, пока соперник согласится на реванш',
+    'room.rematchOffered': 'Соперник предлагает реванш',
+    'room.unavailable': 'Комната недоступна. Играем с компьютером.',
+    'room.createFailed': 'Не удалось создать комнату. Попробуйте позже.',
+    'room.inviteText': 'Сыграем в крестики-нолики?',
+    'modal.close': 'Закрыть',
+    'modal.winTitle': 'Вы победили!',
+    'modal.winCode': 'Ваш промокод на скидку:',
+    'modal.winCodeDiscount': 'Ваш промокод на скидку {discount}%:',
+    'modal.winCodeFailed': 'Не удалось получить промокод. Попробуйте позже.',
+    'modal.winForFun': 'Сейчас акций нет, так что играем для удовольствия. Отличная партия!',
+    'modal.winAssisted':
+      'По правилам акции партия с подсказками или отменой ходов остаётся без промокода. Но победа есть победа!',
+    'modal.lossTitle': 'Почти получилось',
+    'modal.lossText': 'В этот раз победил компьютер. Хотите сыграть ещё раз?',
+    'modal.drawTitle': 'Ничья',
+    'modal.drawText': 'Сыграем ещё раз?',
+    'modal.playAgain': 'Сыграть ещё раз',
+    'modal.rematch': 'Реванш',
+    'modal.pvpWinText': 'Отличная партия! Сыграем ещё?',
+    'modal.pvpLossText': 'В этот раз победил соперник. Реванш?',
+    'modal.forfeitWinText': 'Соперник покинул игру — победа за вами.',
+    'modal.forfeitLossText': 'Вы долго не возвращались, и победа досталась сопернику.',
+    'profile.title': 'Моя статистика',
+    'profile.loading': 'Загружаем...',
+    'profile.failed': 'Не удалось загрузить статистику. Попробуйте позже.',
+    'profile.telegramOnly': 'Статистика ведётся для игроков в Telegram.',
+    'profile.empty': 'Сыграйте первую партию — здесь появится ваша статистика.',
+    'profile.played': 'Партий',
+    'profile.wins': 'Побед',
+    'profile.winRate': 'Доля побед',
+    'profile.streak': 'Побед подряд',
+    'profile.bestStreak': 'Лучшая серия',
+    'profile.byDifficulty': 'По сложности',
+    'profile.difficultyRow': '{difficulty}: {win} из {played} ({rate})',
+    'profile.codes': 'Промокоды',
+    'profile.noCodes': 'Промокодов пока нет — они выдаются за победы.',
+    'profile.codeValid': 'действует до {date}',
+    'profile.codeValidDiscount': '−{discount}%, действует до {date}',
+    'profile.codeExpired': 'срок истёк',
+    'profile.codeRedeemed': 'использован',
+    'profile.codeRevoked': 'отозван',
+    'leaderboard.title': 'Таблица лидеров',
+    'leaderboard.period': 'Период',
+    'leaderboard.day': 'Сегодня',
+    'leaderboard.week': 'Неделя',
+    'leaderboard.all': 'Всё время',
+    'leaderboard.loading': 'Загружаем...',
+    'leaderboard.failed': 'Не удалось загрузить таблицу. Попробуйте позже.',
+    'leaderboard.empty': 'Пока никто не набрал очков — станьте первым!',
+    'leaderboard.points': '{points} очк.',
+    'leaderboard.anonymous': 'Игрок',
+    'leaderboard.you': 'Ваше место: {rank} · {points} очк.',
+    'leaderboard.unranked': 'Победите в Telegram, чтобы попасть в таблицу.',
+    'leaderboard.rules':
+      'Очки за победы: лёгкая — 1, нормальная и авто — 2, сложная — 4. Если первым ходил компьютер, очков в полтора раза больше.',
+    'puzzle.note': 'Решите задачу дня — и получите отдельный промокод.',
+    'puzzle.loading': 'Загружаем задачу дня...',
+    'puzzle.status': 'Вы играете крестиками. Выиграйте за {moves} хода.',
+    'puzzle.solved': 'Задача решена!',
+    'puzzle.failed': 'Задача не решена.',
+    'puzzle.again': 'Попробовать снова',
+    'puzzle.solvedTitle': 'Задача решена!',
+    'puzzle.solvedCode': 'Ваш промокод на скидку {discount}% за задачу дня:',
+    'puzzle.solvedText':
+      'Отлично! Промокод за задачи уже выдан недавно — приходите за новой задачей.',
+    'puzzle.checkFailed': 'Не удалось проверить решение. Попробуйте ещё раз.',
+    'puzzle.failedTitle': 'Не получилось',
+    'puzzle.failedText': 'Компьютер защитился. Выигрыш есть — попробуйте найти его ещё раз.',
+    'promo.label': 'Промокод',
+    'promo.copy': 'Копировать',
+    'promo.copied': 'Скопировано ✓',
+    'promo.share': 'Отправить себе в Telegram',
+    'promo.hint': 'Вставь промокод на оплате — скидка применится автоматически.',
+    'promo.shareText':
+      'Мой промокод: {code}. Вставь промокод на оплате — скидка применится автоматически.',
+  },
+  en: {
+    'page.title': 'Tic-tac-toe — promo game',
+    'header.eyebrow': 'A game for a pleasant evening',
+    'header.title': 'Tic-tac-toe',
+    'header.subtitle': 'Complete a line and earn a little bonus — a discount code.',
+    'controls.language': 'Language',
+    'controls.difficulty': 'Difficulty',
+    'difficulty.easy': 'Easy',
+    'difficulty.normal': 'Normal',
+    'difficulty.hard': 'Hard',
+    'difficulty.auto': 'Auto — matches your skill',
+    'difficulty.pvp': 'With a friend',
+    'controls.variant': 'Rules',
+    'variant.standard': 'Standard',
+    'variant.misere': 'Misère',
+    'variant.wild': 'Wild — either mark',
+    'variant.notakto': 'Notakto — crosses only',
+    'variantHint.misere': 'Misère: whoever completes a line loses.',
+    'variantHint.wild': 'Wild: place X or O on every move. Whoever completes a line wins.',
+    'variantHint.notakto': 'Notakto: both players place crosses. Whoever completes a line loses.',
+    'controls.mark': 'Your mark',
+    'controls.series': 'Match',
+    'series.single': 'Single game',
+    'series.bestOf3': 'Best of 3',
+    'series.bestOf5': 'Best of 5',
+    'series.score': 'Match: you {win} — {loss} computer · game {game} of {length}',
+    'series.scoreOver': 'Match: you {win} — {loss} computer · match over',
+    'series.gameText': 'Match score {win} — {loss}. The promo code goes to the match winner.',
+    'series.nextGame': 'Next game',
+    'series.newMatch': 'New match',
+    'series.wonTitle': 'Match won!',
+    'series.wonText': 'You won the match {win} — {loss}.',
+    'series.wonCode': 'You won the match {win} — {loss}. Your {discount}% discount code:',
+    'series.lostTitle': 'Match lost',
+    'series.lostText': 'The computer took the match {loss} — {win}. Another one?',
+    'series.drawnTitle': 'Match drawn',
+    'series.drawnText': '{win} — {loss}: nobody took the match.',
+    'controls.mode': 'Mode',
+    'mode.classic': 'Classic',
+    'mode.ultimate': 'Ultimate — a board of nine boards',
+    'mode.puzzle': 'Puzzle of the day',
+    'controls.boardSize': 'Board',
+    'boardSize.3': '3×3',
+    'boardSize.4': '4×4, four in a row',
+    'boardSize.5': '5×5, four in a row',
+    'boardSize.7': '7×7, four in a row',
+    'controls.starter': 'Who starts',
+    'starter.player': 'Me',
+    'starter.computer': 'Computer',
+    'board.label': 'Game board',
+    'board.cell': 'Cell {number}',
+    'board.ultimateCell': 'Board {board}, cell {number}',
+    'actions.hint': 'Hint',
+    'actions.undo': 'Undo',
+    'actions.reset': 'Start over',
+    'actions.invite': 'Play with a friend',
+    'actions.profile': 'My stats',
+    'actions.leaderboard': 'Leaderboard',
+    'note.default': '*Promo codes are issued for wins and are valid for a limited time.',
+    'note.noCampaign': 'No promotions right now — we play just for fun.',
+    'note.reward':
+      '*A win on this difficulty earns a {discount}% discount code. Codes are valid for a limited time.',
+    'note.noReward': '*This difficulty earns no promo codes — try a harder one.',
+    'note.assists': 'Hints and undos lower the discount or cost you the code.',
+    'note.seriesOnly': '*Right now only a won match of {length} games or more earns a promo code.',
+    'status.playerTurn': 'Your move',
+    'status.hint': 'The strongest move is highlighted.',
+    'status.computerTurn': 'Computer is thinking...',
+    'status.win': 'You won!',
+    'status.loss': 'Luck is on the computer’s side today.',
+    'status.draw': 'Draw.',
+    'status.offline': 'No connection to the server. Start over.',
+    'level.current': 'Computer level: {level} of 10',
+    'room.waiting': 'Waiting for your friend — send them the invite',
+    'room.yourTurn': 'Your move ({mark})',
+    'room.opponentTurn': 'Your friend is thinking...',
+    'room.opponentOffline': 'Your friend disconnected — waiting for them to return',
+    'room.lost': 'Your friend won.',
+    'room.rematchWaiting': 'Waiting for your friend to accept the rematch',
+    'room.rematchOffered': 'Your friend wants a rematch',
+    'room.unavailable': 'This room is unavailable. Playing against the computer.',
+    'room.createFailed': 'Could not create a room. Please try again later.',
+    'room.inviteText': 'Fancy a game of tic-tac-toe?',
+    'modal.close': 'Close',
+    'modal.winTitle': 'You won!',
+    'modal.winCode': 'Your discount code:',
+    'modal.winCodeDiscount': 'Your {discount}% discount code:',
+    'modal.winCodeFailed': 'Could not get a promo code. Please try again later.',
+    'modal.winForFun': 'No promotions right now, so this one was just for fun. Great game!',
+    'modal.winAssisted':
+      'Under the promotion rules, a game with hints or undos earns no promo code. A win is still a win!',
+    'modal.lossTitle': 'So close',
+    'modal.lossText': 'The computer won this time. Want to play again?',
+    'modal.drawTitle': 'Draw',
+    'modal.drawText': 'Play again?',
+    'modal.playAgain': 'Play again',
+    'modal.rematch': 'Rematch',
+    'modal.pvpWinText': 'Great game! Another one?',
+    'modal.pvpLossText': 'Your friend won this time. Rematch?',
+    'modal.forfeitWinText': 'Your friend left the game — the win is yours.',
+    'modal.forfeitLossText': 'You were away too long, so your friend won.',
+    'profile.title': 'My stats',
+    'profile.loading': 'Loading...',
+    'profile.failed': 'Could not load your stats. Please try again later.',
+    'profile.telegramOnly': 'Stats are kept for players in Telegram.',
+    'profile.empty': 'Play your first game and your stats will show up here.',
+    'profile.played': 'Games',
+    'profile.wins': 'Wins',
+    'profile.winRate': 'Win rate',
+    'profile.streak': 'Wins in a row',
+    'profile.bestStreak': 'Best streak',
+    'profile.byDifficulty': 'By difficulty',
+    'profile.difficultyRow': '{difficulty}: {win} of {played} ({rate})',
+    'profile.codes': 'Promo codes',
+    'profile.noCodes': 'No promo codes yet — wins earn them.',
+    'profile.codeValid': 'valid until {date}',
+    'profile.codeValidDiscount': '{discount}% off, valid until {date}',
+    'profile.codeExpired': 'expired',
+    'profile.codeRedeemed': 'redeemed',
+    'profile.codeRevoked': 'revoked',
+    'leaderboard.title': 'Leaderboard',
+    'leaderboard.period': 'Period',
+    'leaderboard.day': 'Today',
+    'leaderboard.week': 'This week',
+    'leaderboard.all': 'All time',
+    'leaderboard.loading': 'Loading...',
+    'leaderboard.failed': 'Could not load the leaderboard. Please try again later.',
+    'leaderboard.empty': 'No points yet — be the first!',
+    'leaderboard.points': '{points} pts',
+    'leaderboard.anonymous': 'Player',
+    'leaderboard.you': 'Your place: {rank} · {points} pts',
+    'leaderboard.unranked': 'Win a game in Telegram to get on the board.',
+    'leaderboard.rules':
+      'Points per win: easy 1, normal and auto 2, hard 4. Half as much again when the computer moved first.',
+    'puzzle.note': 'Solve the puzzle of the day for a promo code of its own.',
+    'puzzle.loading': 'Loading the puzzle of the day...',
+    'puzzle.status': 'You play X. Win in {moves} moves.',
+    'puzzle.solved': 'Puzzle solved!',
+    'puzzle.failed': 'Puzzle not solved.',
+    'puzzle.again': 'Try again',
+    'puzzle.solvedTitle': 'Puzzle solved!',
+    'puzzle.solvedCode': 'Your {discount}% discount code for the puzzle of the day:',
+    'puzzle.solvedText':
+      'Well done! A puzzle code was issued recently, so come back for the next puzzle.',
+    'puzzle.checkFailed': 'Could not check the solution. Please try again.',
+    'puzzle.failedTitle': 'Not this time',
+    'puzzle.failedText': 'The computer held out. There is a win here — try to find it again.',
+    'promo.label': 'Promo code',
+    'promo.copy': 'Copy',
+    'promo.copied': 'Copied ✓',
+    'promo.share': 'Send to myself in Telegram',
+    'promo.hint': 'Enter the code at checkout — the discount applies automatically.',
+    'promo.shareText':
+      'My promo code: {code}. Enter it at checkout — the discount applies automatically.',
+  },
+};
+
+const supportedLocales = Object.keys(messages);
+
+/** Maps a language code such as `en`, `en-US` or `pt_BR` to a supported locale, or null. */
+function matchLocale(languageCode) {
+  const base = String(languageCode || '')
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return messages[base] ? base : null;
+}
+
+function translate(locale, key, params = {}) {
+  const template = messages[locale]?.[key] ?? messages[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match
+  );
+}
+
+export { DEFAULT_LOCALE, matchLocale, messages, supportedLocales, translate };
@@ -0,0 +1,66 @@
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{6,32}$/;
+
+function isRoomId(value) {
+  return ROOM_ID_PATTERN.test(value || '');
+}
+
+/**
+ * Talks to the player-vs-player room API. `getHeaders()` supplies the same headers as the other
+ * game requests. Failed requests reject with an error carrying the HTTP `status`.
+ */
+function createRoomClient({ getHeaders }) {
+  async function post(url, payload = {}) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: getHeaders(),
+      body: JSON.stringify(payload),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(data.message || 'Room request failed');
+      error.status = response.status;
+      throw error;
+    }
+
+    return data;
+  }
+
+  function roomUrl(roomId, action) {
+    return `/api/rooms/${encodeURIComponent(roomId)}/${action}`;
+  }
+
+  return {
+    create(boardSize) {
+      return post('/api/rooms', { boardSize });
+    },
+
+    join(roomId) {
+      return post(roomUrl(roomId, 'join'));
+    },
+
+    move(roomId, token, index) {
+      return post(roomUrl(roomId, 'move'), { token, index });
+    },
+
+    rematch(roomId, token) {
+      return post(roomUrl(roomId, 'rematch'), { token });
+    },
+
+    /**
+     * Streams the room state to `onState`. EventSource reconnects by itself after network drops;
+     * the returned function closes the stream.
+     */
+    connect(roomId, token, onState) {
+      const source = new EventSource(
+        `${roomUrl(roomId, 'events')}?token=${encodeURIComponent(token)}`
+      );
+      source.addEventListener('message', (event) => {
+        onState(JSON.parse(event.data));
+      });
+      return () => source.close();
+    },
+  };
+}
+
+export { createRoomClient, isRoomId };
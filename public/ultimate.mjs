@@ -0,0 +1,332 @@
+import { evaluateBoard, getOtherSide, winningCombos } from './game.mjs';
+
+// Ultimate tic-tac-toe: nine classic boards in a 3×3 grid. Cell `index` lies on small board
+// `Math.floor(index / 9)`, at position `index % 9` within it; both count row by row.
+// Full minimax is out of reach here, so the search always runs under a node budget.
+const ultimateConfig = { mode: 'ultimate', size: 9, maxNodes: 20000 };
+
+const SMALL_CELLS = 9;
+const WIN_SCORE = 1000000;
+// Won small boards count more in the middle of the big board, where they sit on more lines.
+const SMALL_WIN_SCORES = [30, 20, 30, 20, 40, 20, 30, 20, 30];
+const CENTER_FIRST = [4, 0, 2, 6, 8, 1, 3, 5, 7];
+const CELL_LINES = Array.from({ length: SMALL_CELLS }, (_, cell) =>
+  winningCombos.filter((combo) => combo.includes(cell))
+);
+
+const difficultySettings = {
+  easy: {
+    blunderRate: 0.25,
+    maxDepth: 2,
+  },
+  normal: {
+    blunderRate: 0,
+    maxDepth: 2,
+  },
+  hard: {
+    blunderRate: 0,
+    maxDepth: null,
+  },
+};
+
+function createUltimateBoard() {
+  return Array(SMALL_CELLS * SMALL_CELLS).fill(null);
+}
+
+function getSmallBoard(board, boardIndex) {
+  return board.slice(boardIndex * SMALL_CELLS, (boardIndex + 1) * SMALL_CELLS);
+}
+
+/** evaluateBoard's outcome for each small board, null while it is still open. */
+function getSmallBoardOutcomes(board) {
+  return Array.from({ length: SMALL_CELLS }, (_, boardIndex) =>
+    evaluateBoard(getSmallBoard(board, boardIndex))
+  );
+}
+
+/**
+ * The game's outcome in evaluateBoard's shape; `combo` lists the small boards that form the
+ * winning line. Drawn small boards belong to nobody, so the game is a draw once every small board
+ * is decided without a line.
+ */
+function evaluateUltimateBoard(board) {
+  const outcomes = getSmallBoardOutcomes(board);
+  const outcome = evaluateBoard(outcomes.map((small) => small?.winner || null));
+  if (outcome && !outcome.isDraw) return outcome;
+
+  if (outcomes.every(Boolean)) {
+    return { winner: null, combo: null, isDraw: true };
+  }
+
+  return null;
+}
+
+// The previous move's cell picks the small board to play in; a decided board frees the choice.
+function pickActiveBoards(isOpen, lastMove) {
+  const target = lastMove === null ? null : lastMove % SMALL_CELLS;
+  if (target !== null && isOpen(target)) return [target];
+
+  return Array.from({ length: SMALL_CELLS }, (_, boardIndex) => boardIndex).filter(isOpen);
+}
+
+/** The small boards the next move may go to, given the cell of the previous move (or null). */
+function getActiveBoards(board, lastMove = null) {
+  const outcomes = getSmallBoardOutcomes(board);
+  return pickActiveBoards((boardIndex) => !outcomes[boardIndex], lastMove);
+}
+
+function getLegalMoves(board, lastMove = null) {
+  return getActiveBoards(board, lastMove).flatMap((boardIndex) =>
+    Array.from({ length: SMALL_CELLS }, (_, cell) => boardIndex * SMALL_CELLS + cell).filter(
+      (index) => !board[index]
+    )
+  );
+}
+
+// The search keeps each small board's owner ('X', 'O', '-' for a draw, null while open) next to
+// the cells, so a move only rechecks its own small board.
+function createPosition(board) {
+  return {
+    board: [...board],
+    owners: getSmallBoardOutcomes(board).map((outcome) => {
+      if (!outcome) return null;
+      return outcome.winner || '-';
+    }),
+    filled: Array.from(
+      { length: SMALL_CELLS },
+      (_, boardIndex) => getSmallBoard(board, boardIndex).filter(Boolean).length
+    ),
+  };
+}
+
+function playMove(position, index, mark) {
+  const boardIndex = Math.floor(index / SMALL_CELLS);
+  const offset = boardIndex * SMALL_CELLS;
+  const previousOwner = position.owners[boardIndex];
+
+  position.board[index] = mark;
+  position.filled[boardIndex] += 1;
+  const won = CELL_LINES[index % SMALL_CELLS].some((combo) =>
+    combo.every((cell) => position.board[offset + cell] === mark)
+  );
+  if (won) {
+    position.owners[boardIndex] = mark;
+  } else if (position.filled[boardIndex] === SMALL_CELLS) {
+    position.owners[boardIndex] = '-';
+  }
+
+  return previousOwner;
+}
+
+function undoMove(position, index, previousOwner) {
+  const boardIndex = Math.floor(index / SMALL_CELLS);
+  position.board[index] = null;
+  position.filled[boardIndex] -= 1;
+  position.owners[boardIndex] = previousOwner;
+}
+
+function getPositionMoves(position, lastMove) {
+  const boards = pickActiveBoards(
+    (boardIndex) => position.owners[boardIndex] === null,
+    lastMove
+  ).sort((a, b) => CENTER_FIRST.indexOf(a) - CENTER_FIRST.indexOf(b));
+  const moves = [];
+
+  for (const boardIndex of boards) {
+    for (const cell of CENTER_FIRST) {
+      const index = boardIndex * SMALL_CELLS + cell;
+      if (!position.board[index]) moves.push(index);
+    }
+  }
+
+  return moves;
+}
+
+function scoreLine(cells, combo, owns) {
+  let oCount = 0;
+  let xCount = 0;
+  for (const index of combo) {
+    const owner = owns(cells[index]);
+    if (owner === 'O') oCount += 1;
+    else if (owner === 'X') xCount += 1;
+    else if (owner) return 0;
+  }
+
+  if (oCount > 0 && xCount > 0) return 0;
+  if (oCount > 0) return 3 ** (oCount - 1);
+  if (xCount > 0) return -(3 ** (xCount - 1));
+  return 0;
+}
+
+// Won small boards, open lines on the big board and open lines inside the open small boards.
+function scorePosition({ board, owners }) {
+  let score = 0;
+
+  owners.forEach((owner, boardIndex) => {
+    if (owner === 'O') score += SMALL_WIN_SCORES[boardIndex];
+    else if (owner === 'X') score -= SMALL_WIN_SCORES[boardIndex];
+    if (owner !== null) return;
+
+    const cells = getSmallBoard(board, boardIndex);
+    for (const combo of winningCombos) {
+      score += scoreLine(cells, combo, (value) => value);
+    }
+  });
+
+  for (const combo of winningCombos) {
+    score += 15 * scoreLine(owners, combo, (owner) => owner);
+  }
+
+  return score;
+}
+
+function createSearch(maxDepth, maxNodes) {
+  return { maxDepth, maxNodes, nodes: 0, canAbort: false, aborted: false };
+}
+
+function alphaBeta(position, lastMove, depth, isMaximizing, alpha, beta, search) {
+  search.nodes += 1;
+  if (search.canAbort && search.nodes > search.maxNodes) {
+    search.aborted = true;
+    return 0;
+  }
+
+  const boardIndex = Math.floor(lastMove / SMALL_CELLS);
+  const mark = position.board[lastMove];
+  if (position.owners[boardIndex] === mark) {
+    const won = CELL_LINES[boardIndex].some((combo) =>
+      combo.every((index) => position.owners[index] === mark)
+    );
+    if (won) return mark === 'O' ? WIN_SCORE - depth : depth - WIN_SCORE;
+  }
+  if (position.owners.every(Boolean)) return 0;
+
+  if (depth >= search.maxDepth) {
+    return scorePosition(position);
+  }
+
+  let bestScore = isMaximizing ? -Infinity : Infinity;
+  for (const index of getPositionMoves(position, lastMove)) {
+    const previousOwner = playMove(position, index, isMaximizing ? 'O' : 'X');
+    const score = alphaBeta(position, index, depth + 1, !isMaximizing, alpha, beta, search);
+    undoMove(position, index, previousOwner);
+    if (search.aborted) return 0;
+
+    if (isMaximizing) {
+      bestScore = Math.max(bestScore, score);
+      alpha = Math.max(alpha, bestScore);
+    } else {
+      bestScore = Math.min(bestScore, score);
+      beta = Math.min(beta, bestScore);
+    }
+    if (alpha >= beta) break;
+  }
+
+  return Number.isFinite(bestScore) ? bestScore : 0;
+}
+
+// Like searchRoot in game.mjs: ties go to the earlier move in `order`.
+function searchRoot(position, order, search) {
+  let bestScore = -Infinity;
+  let move = null;
+  const scores = new Map();
+
+  for (const index of order) {
+    const previousOwner = playMove(position, index, 'O');
+    const score = alphaBeta(position, index, 0, false, bestScore, Infinity, search);
+    undoMove(position, index, previousOwner);
+    if (search.aborted) return null;
+
+    scores.set(index, score);
+    if (score > bestScore) {
+      bestScore = score;
+      move = index;
+    }
+  }
+
+  return { move, scores };
+}
+
+// The rules treat both marks alike, so X's best move is O's best move with the marks swapped.
+function swapMarks(board) {
+  return board.map((value) => (value ? getOtherSide(value) : value));
+}
+
+/**
+ * Picks the move for `side` (O, the computer, by default). The search deepens one ply at a time
+ * up to `maxDepth` (null for no limit) until `maxNodes` runs out, so, as on the larger classic
+ * boards, the move depends only on the position and the server can re-check it.
+ */
+function getUltimateBestMove(board, lastMove = null, maxDepth = null, budget = {}, side = 'O') {
+  const maxNodes = budget.maxNodes ?? ultimateConfig.maxNodes;
+  const position = createPosition(side === 'O' ? board : swapMarks(board));
+  let order = getPositionMoves(position, lastMove);
+  if (!order.length) return null;
+
+  const search = createSearch(0, maxNodes);
+  const finalDepth = maxDepth ?? board.filter((value) => !value).length - 1;
+  let move = null;
+
+  for (let depth = 0; depth <= finalDepth; depth += 1) {
+    search.maxDepth = depth;
+    search.canAbort = depth > 0;
+    const result = searchRoot(position, order, search);
+    if (!result) break;
+
+    move = result.move;
+    if (result.scores.get(move) > WIN_SCORE / 2) break;
+    order = [...order].sort((a, b) => result.scores.get(b) - result.scores.get(a));
+  }
+
+  return move;
+}
+
+// `difficulty` is a preset name or a settings object such as getAdaptiveSettings() returns.
+function getUltimateAiMove(board, lastMove = null, difficulty = 'normal', side = 'O') {
+  const settings =
+    typeof difficulty === 'object'
+      ? difficulty
+      : difficultySettings[difficulty] || difficultySettings.normal;
+
+  if (settings.blunderRate > 0 && Math.random() < settings.blunderRate) {
+    const moves = getLegalMoves(board, lastMove);
+    return moves.length ? moves[Math.floor(Math.random() * moves.length)] : null;
+  }
+
+  return getUltimateBestMove(board, lastMove, settings.maxDepth, {}, side);
+}
+
+function replayUltimateGame(moves, starter = 'player') {
+  const board = createUltimateBoard();
+  let outcome = null;
+
+  for (let turn = 0; turn < moves.length; turn += 1) {
+    if (outcome) {
+      return { error: 'Move played after the game ended', board, outcome };
+    }
+
+    const index = moves[turn];
+    const lastMove = turn > 0 ? moves[turn - 1] : null;
+    if (!getLegalMoves(board, lastMove).includes(index)) {
+      return { error: `Illegal move at turn ${turn + 1}`, board, outcome };
+    }
+
+    const playerTurn = (turn % 2 === 0) === (starter !== 'computer');
+    board[index] = playerTurn ? 'X' : 'O';
+    outcome = evaluateUltimateBoard(board);
+  }
+
+  return { error: null, board, outcome };
+}
+
+export {
+  createUltimateBoard,
+  evaluateUltimateBoard,
+  getActiveBoards,
+  getLegalMoves,
+  getSmallBoardOutcomes,
+  getUltimateAiMove,
+  getUltimateBestMove,
+  replayUltimateGame,
+  ultimateConfig,
+};
@@ -0,0 +1,103 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { computeMove, createAiClient } from '../public/ai-client.mjs';
+import { boardConfigs } from '../public/game.mjs';
+import { createUltimateBoard, ultimateConfig } from '../public/ultimate.mjs';
+
+const board = ['O', 'O', null, 'X', 'X', null, null, null, null];
+
+// Answers like ai-worker.mjs, asynchronously; `failToLoad` mimics a browser without module workers.
+function installFakeWorker({ failToLoad = false } = {}) {
+  const workers = [];
+
+  globalThis.Worker = class {
+    constructor() {
+      this.listeners = { message: [], error: [] };
+      this.terminated = false;
+      workers.push(this);
+      if (failToLoad) {
+        setTimeout(() => this.listeners.error.forEach((listener) => listener(new Event('error'))));
+      }
+    }
+
+    addEventListener(type, listener) {
+      this.listeners[type].push(listener);
+    }
+
+    postMessage(request) {
+      if (failToLoad) return;
+      setTimeout(() => {
+        if (this.terminated) return;
+        const move = computeMove(request);
+        this.listeners.message.forEach((listener) => listener({ data: { id: request.id, move } }));
+      });
+    }
+
+    terminate() {
+      this.terminated = true;
+    }
+  };
+
+  return workers;
+}
+
+afterEach(() => {
+  delete globalThis.Worker;
+});
+
+describe('createAiClient', () => {
+  it('searches on the main thread without workers', async () => {
+    const ai = createAiClient();
+
+    await expect(ai.getMove(board, 'hard', boardConfigs[3])).resolves.toBe(2);
+  });
+
+  it('keeps Ultimate moves on the board picked by the last move', async () => {
+    const ai = createAiClient();
+    const ultimateBoard = createUltimateBoard();
+    ultimateBoard[40] = 'X';
+
+    const move = await ai.getMove(ultimateBoard, 'normal', ultimateConfig, 40);
+    expect(Math.floor(move / 9)).toBe(4);
+  });
+
+  it('returns the mark along with the cell in Wild', async () => {
+    const ai = createAiClient();
+
+    await expect(
+      ai.getPlay(['X', 'X', null, null, 'O', null, null, null, null], 'hard', boardConfigs[3], {
+        variant: 'wild',
+      })
+    ).resolves.toEqual({ index: 2, mark: 'X' });
+  });
+
+  it('searches in a worker when available', async () => {
+    const workers = installFakeWorker();
+    const ai = createAiClient();
+
+    await expect(ai.getMove(board, 'hard', boardConfigs[3])).resolves.toBe(2);
+    expect(workers).toHaveLength(1);
+  });
+
+  it('cancels pending searches and replaces the busy worker', async () => {
+    const workers = installFakeWorker();
+    const ai = createAiClient();
+
+    const move = ai.getMove(board, 'hard', boardConfigs[3]);
+    ai.cancel();
+
+    await expect(move).rejects.toMatchObject({ name: 'AbortError' });
+    expect(workers[0].terminated).toBe(true);
+
+    await expect(ai.getMove(board, 'hard', boardConfigs[3])).resolves.toBe(2);
+    expect(workers).toHaveLength(2);
+  });
+
+  it('falls back to the main thread when the worker fails to load', async () => {
+    installFakeWorker({ failToLoad: true });
+    const ai = createAiClient();
+
+    const move = await ai.getMove(board, 'hard', boardConfigs[3]);
+
+    expect(move).toBe(2);
+  });
+});
@@ -0,0 +1,175 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { EVENT_BATCH_SCHEMA, createAnalytics } from '../lib/analytics.js';
+import { createAnalytics as createClientAnalytics } from '../public/analytics.mjs';
+import { createStore } from '../lib/storage.js';
+
+// 1 May 2024, noon UTC.
+const NOW = Date.UTC(2024, 4, 1, 12);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const open = { type: 'app_open', hasTelegram: true, hasInitData: true, locale: 'ru' };
+const start = {
+  type: 'game_start',
+  mode: 'classic',
+  difficulty: 'hard',
+  variant: 'standard',
+  boardSize: 3,
+};
+const win = { type: 'game_end', mode: 'classic', result: 'win', moves: 7 };
+const copy = { type: 'promo_copied' };
+
+function createReport() {
+  const store = createStore();
+  const batches = store.collection('analyticsEvents');
+  const sessions = store.collection('analyticsSessions');
+  const report = createAnalytics({ days: store.collection('analytics'), sessions, batches });
+  return { report, batches, sessions };
+}
+
+describe('EVENT_BATCH_SCHEMA', () => {
+  it('accepts known events and rejects unknown or malformed ones', () => {
+    expect(EVENT_BATCH_SCHEMA.safeParse({ events: [open, start, win, copy] }).success).toBe(true);
+    expect(EVENT_BATCH_SCHEMA.safeParse({ events: [] }).success).toBe(false);
+    expect(EVENT_BATCH_SCHEMA.safeParse({ events: [{ type: 'boot' }] }).success).toBe(false);
+    expect(EVENT_BATCH_SCHEMA.safeParse({ sessionId: 'launch-1', events: [open] }).success).toBe(
+      true
+    );
+    expect(EVENT_BATCH_SCHEMA.safeParse({ sessionId: 'x', events: [open] }).success).toBe(false);
+    expect(EVENT_BATCH_SCHEMA.safeParse({ events: [{ ...win, result: 'forfeit' }] }).success).toBe(
+      false
+    );
+  });
+});
+
+describe('createAnalytics', () => {
+  it('counts each funnel step once per session', () => {
+    const { report } = createReport();
+    report.record('a', [open, start, win, start, win, copy], NOW);
+    report.record('b', [open, start], NOW);
+    report.record('b', [{ ...win, result: 'loss' }], NOW);
+
+    const { days, funnel } = report.describeFunnel({ days: 1 }, NOW);
+    expect(funnel).toEqual([
+      { step: 'opens', sessions: 2, rate: 1 },
+      { step: 'games', sessions: 2, rate: 1 },
+      { step: 'wins', sessions: 1, rate: 0.5 },
+      { step: 'copies', sessions: 1, rate: 0.5 },
+      { step: 'shares', sessions: 0, rate: 0 },
+    ]);
+    expect(days[0].events).toEqual({ app_open: 2, game_start: 3, game_end: 3, promo_copied: 1 });
+  });
+
+  it('stores a session again only when it reaches a new funnel step', () => {
+    const { report, sessions } = createReport();
+    const set = vi.spyOn(sessions, 'set');
+    report.record('a', [open, start], NOW);
+    report.record('b', [open], NOW);
+    report.record('a', [start, { ...win, result: 'loss' }], NOW);
+    report.record('a', [win], NOW + 1);
+
+    expect(set.mock.calls.map(([key]) => key)).toEqual([
+      '2024-05-01:a',
+      '2024-05-01:b',
+      '2024-05-01:a',
+    ]);
+    expect(sessions.get('2024-05-01:a').steps).toEqual(['opens', 'games', 'wins']);
+  });
+
+  it('keeps every batch as it came', () => {
+    const { report, batches } = createReport();
+    report.record('a', [open, start], NOW);
+    report.record('b', [copy], NOW + 1);
+
+    expect(Array.from(batches.values())).toEqual([
+      { createdAt: NOW, sessionId: 'a', events: [open, start] },
+      { createdAt: NOW + 1, sessionId: 'b', events: [copy] },
+    ]);
+  });
+
+  it('reports every day of the range, oldest first', () => {
+    const { report } = createReport();
+    report.record('a', [open], NOW - DAY_MS);
+    report.record('a', [open, start], NOW);
+
+    const { days, funnel } = report.describeFunnel({ days: 3 }, NOW);
+    expect(days.map(({ date, opens, games }) => [date, opens, games])).toEqual([
+      ['2024-04-29', 0, 0],
+      ['2024-04-30', 1, 0],
+      ['2024-05-01', 1, 1],
+    ]);
+    expect(funnel[0]).toEqual({ step: 'opens', sessions: 2, rate: 1 });
+    expect(report.describeFunnel({ days: 1 }, NOW - 5 * DAY_MS).funnel[0].rate).toBe(null);
+  });
+});
+
+describe('the client queue', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('sends full batches and the rest when flushed', async () => {
+    const sendBeacon = vi.fn(() => true);
+    vi.stubGlobal('navigator', { sendBeacon });
+    const analytics = createClientAnalytics({ maxBatch: 2, sessionId: 'launch-1' });
+
+    analytics.track('promo_copied');
+    expect(sendBeacon).not.toHaveBeenCalled();
+    analytics.track('share_clicked', { target: 'promo' });
+    analytics.track('promo_copied');
+    analytics.flush();
+    analytics.flush();
+
+    expect(sendBeacon).toHaveBeenCalledTimes(2);
+    const [url, blob] = sendBeacon.mock.calls[0];
+    expect(url).toBe('/api/events');
+    expect(JSON.parse(await blob.text())).toEqual({
+      sessionId: 'launch-1',
+      events: [{ type: 'promo_copied' }, { type: 'share_clicked', target: 'promo' }],
+    });
+  });
+
+  it('names the same made-up session in every batch', async () => {
+    const sendBeacon = vi.fn(() => true);
+    vi.stubGlobal('navigator', { sendBeacon });
+    const analytics = createClientAnalytics({ maxBatch: 1 });
+
+    analytics.track('promo_copied');
+    analytics.track('promo_copied');
+
+    const [first, second] = await Promise.all(
+      sendBeacon.mock.calls.map(async ([, blob]) => JSON.parse(await blob.text()))
+    );
+    expect(first.sessionId).toEqual(expect.any(String));
+    expect(first.sessionId.length).toBeGreaterThanOrEqual(8);
+    expect(second.sessionId).toBe(first.sessionId);
+  });
+
+  it('falls back to a keepalive fetch without beacons', () => {
+    const fetch = vi.fn(() => Promise.resolve());
+    vi.stubGlobal('navigator', {});
+    vi.stubGlobal('fetch', fetch);
+    const analytics = createClientAnalytics();
+
+    analytics.track('promo_copied');
+    analytics.flush();
+
+    expect(fetch).toHaveBeenCalledWith('/api/events', expect.objectContaining({ keepalive: true }));
+  });
+
+  it('flushes when the page is hidden', () => {
+    const sendBeacon = vi.fn(() => true);
+    vi.stubGlobal('navigator', { sendBeacon });
+    const page = new EventTarget();
+    page.visibilityState = 'visible';
+    const analytics = createClientAnalytics();
+    analytics.listen(page);
+
+    analytics.track('promo_copied');
+    page.dispatchEvent(new Event('visibilitychange'));
+    expect(sendBeacon).not.toHaveBeenCalled();
+
+    page.visibilityState = 'hidden';
+    page.dispatchEvent(new Event('visibilitychange'));
+    expect(sendBeacon).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,721 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import fetch from 'node-fetch';
+import { sign } from '@tma.js/init-data-node';
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import { createApp } from '../app.js';
+import { loadConfig } from '../lib/config.js';
+import { createLogger } from '../lib/logger.js';
+import { createTelegramClient } from '../lib/telegram.js';
+
+// 1 May 2024, noon UTC.
+const NOW = Date.UTC(2024, 4, 1, 12);
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const BOT_TOKEN = '123:test';
+
+const campaigns = [
+  {
+    id: 'test',
+    name: 'Test campaign',
+    startsAt: '2024-01-01T00:00:00Z',
+    endsAt: null,
+    totalCap: null,
+    dailyCap: null,
+    rewards: { easy: 5, normal: 10, hard: 15 },
+  },
+];
+
+// A Bot API stand-in on localhost: it records every call and answers like Telegram would.
+function startFakeTelegram() {
+  const calls = [];
+  const api = express();
+  api.use(express.json());
+  api.post('/bot:token/:method', (req, res) => {
+    calls.push({ method: req.params.method, params: req.body });
+    const result = req.params.method === 'getMe' ? { id: 1, username: 'test_bot' } : true;
+    res.json({ ok: true, result });
+  });
+
+  return new Promise((resolve) => {
+    const server = api.listen(0, '127.0.0.1', () => {
+      resolve({ server, calls, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+let telegramApi;
+let campaignsDir;
+const running = [];
+
+beforeAll(async () => {
+  telegramApi = await startFakeTelegram();
+  campaignsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ttt-app-'));
+  fs.writeFileSync(path.join(campaignsDir, 'campaigns.json'), JSON.stringify(campaigns));
+  fs.writeFileSync(
+    path.join(campaignsDir, 'match-campaigns.json'),
+    JSON.stringify([{ ...campaigns[0], minSeriesLength: 3 }])
+  );
+});
+
+afterAll(() => {
+  telegramApi.server.close();
+  fs.rmSync(campaignsDir, { recursive: true, force: true });
+});
+
+afterEach(async () => {
+  vi.restoreAllMocks();
+  await Promise.all(
+    running.splice(0).map(({ server, stop }) => {
+      server.close();
+      return stop();
+    })
+  );
+  telegramApi.calls.splice(0);
+});
+
+// A running app with its own memory store and a clock the test moves by hand.
+async function startApp(env = {}) {
+  const clock = { now: NOW };
+  const config = loadConfig({
+    CAMPAIGNS_FILE: path.join(campaignsDir, 'campaigns.json'),
+    TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+    TELEGRAM_CHAT_ID: '1000',
+    PROMO_API_KEY: 'promo-key',
+    ADMIN_TOKEN: 'admin-token',
+    ...env,
+  });
+  const { app, telegramQueue, stop } = createApp({
+    config,
+    now: () => clock.now,
+    logger: createLogger({ stream: { write() {} } }),
+    telegram: createTelegramClient({ token: BOT_TOKEN, baseUrl: telegramApi.baseUrl }),
+  });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  running.push({ server, stop });
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return {
+    clock,
+    server,
+    baseUrl,
+    stop,
+    async request(method, urlPath, { headers = {}, body } = {}) {
+      const response = await fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body && JSON.stringify(body),
+      });
+      return { status: response.status, body: await response.json() };
+    },
+    // The messages the queue got through to the fake Bot API.
+    async sentMessages() {
+      await telegramQueue.drain();
+      return telegramApi.calls
+        .filter(({ method }) => method === 'sendMessage')
+        .map(({ params }) => params);
+    },
+  };
+}
+
+function asPlayer(id) {
+  return { 'X-TG-USER-ID': String(id), 'X-Locale': 'en' };
+}
+
+function signedAs(id, authDate = new Date(NOW)) {
+  const initData = sign(
+    { user: { id, first_name: 'Ann', language_code: 'en' } },
+    BOT_TOKEN,
+    authDate
+  );
+  return { 'X-TG-INIT-DATA': initData };
+}
+
+// Plays a game on the server to its end; `pickMove(game)` chooses each of the player's cells.
+async function playServerGame(request, headers, settings, pickMove) {
+  let game = (await request('POST', '/api/game', { headers, body: settings })).body;
+  while (!game.outcome) {
+    const index = await pickMove(game);
+    const path = `/api/game/${game.gameId}/move`;
+    game = (await request('POST', path, { headers, body: { index } })).body;
+  }
+  return game;
+}
+
+function firstEmptyCell(game) {
+  return game.board.indexOf(null);
+}
+
+// With Math.random pinned to 0 the easy computer's blunders take the first empty cell, 0 and then 1,
+// so the player wins on the 2-4-6 diagonal.
+function winEasyGame(request, headers = asPlayer(42)) {
+  vi.spyOn(Math, 'random').mockReturnValue(0);
+  const moves = [2, 4, 6];
+  return playServerGame(request, headers, { difficulty: 'easy' }, () => moves.shift());
+}
+
+describe('server games', () => {
+  it('issue a code for a win and send it through the bot', async () => {
+    const { request, sentMessages } = await startApp();
+
+    const game = await winEasyGame(request);
+
+    expect(game.outcome).toMatchObject({ result: 'win', combo: [2, 4, 6] });
+    expect(game).toMatchObject({ discount: 5, campaign: 'Test campaign' });
+    expect(await sentMessages()).toEqual([
+      { chat_id: '42', text: `You won! Your 5% discount code: ${game.code}` },
+    ]);
+  });
+
+  it('pay nothing outside a match while the campaign asks for matches', async () => {
+    const { request } = await startApp({
+      CAMPAIGNS_FILE: path.join(campaignsDir, 'match-campaigns.json'),
+    });
+
+    const game = await winEasyGame(request);
+    const { body } = await request('GET', '/api/campaign');
+
+    expect(game.outcome.result).toBe('win');
+    expect(game.code).toBeUndefined();
+    expect(body.campaign.minSeriesLength).toBe(3);
+  });
+
+  it('hand out the same code again until the 24-hour cooldown is over', async () => {
+    const { clock, request } = await startApp();
+
+    const first = await winEasyGame(request);
+    clock.now += 23 * HOUR_MS;
+    const again = await winEasyGame(request);
+    clock.now += 2 * HOUR_MS;
+    const next = await winEasyGame(request);
+
+    expect(again.code).toBe(first.code);
+    expect(next.code).toEqual(expect.any(String));
+    expect(next.code).not.toBe(first.code);
+  });
+
+  it('send a note for a loss', async () => {
+    const { request, sentMessages } = await startApp();
+
+    const game = await playServerGame(
+      request,
+      asPlayer(42),
+      { difficulty: 'hard' },
+      firstEmptyCell
+    );
+
+    expect(game.outcome.result).toBe('loss');
+    expect(game.code).toBeUndefined();
+    expect(await sentMessages()).toEqual([
+      { chat_id: '42', text: 'You lost this time. Play again?' },
+    ]);
+  });
+
+  it('end in a draw when the player follows the hints', async () => {
+    const { request, sentMessages } = await startApp();
+    const headers = asPlayer(42);
+
+    const game = await playServerGame(
+      request,
+      headers,
+      { difficulty: 'hard' },
+      async ({ gameId }) => {
+        const { body } = await request('POST', `/api/game/${gameId}/hint`, { headers });
+        return body.hint.index;
+      }
+    );
+
+    expect(game.outcome.result).toBe('draw');
+    expect(await sentMessages()).toEqual([]);
+  });
+
+  it('have a request budget of their own, apart from the rest of the API', async () => {
+    const { request } = await startApp();
+    const headers = asPlayer(42);
+    const { body } = await request('POST', '/api/game', { headers, body: { difficulty: 'hard' } });
+
+    const hints = [];
+    for (let i = 0; i < 150; i += 1) {
+      hints.push((await request('POST', `/api/game/${body.gameId}/hint`, { headers })).status);
+    }
+    const others = [];
+    for (let i = 0; i < 121; i += 1) {
+      others.push((await request('GET', '/api/campaign')).status);
+    }
+
+    expect(hints.every((status) => status === 200)).toBe(true);
+    expect(others.slice(0, 120).every((status) => status === 200)).toBe(true);
+    expect(others[120]).toBe(429);
+  });
+
+  it('belong to the player who started them', async () => {
+    const { request } = await startApp();
+    const { body } = await request('POST', '/api/game', {
+      headers: asPlayer(42),
+      body: { difficulty: 'hard' },
+    });
+    const asOther = (action, payload) =>
+      request('POST', `/api/game/${body.gameId}/${action}`, {
+        headers: asPlayer(43),
+        body: payload,
+      });
+
+    const move = await asOther('move', { index: 0 });
+    const hint = await asOther('hint');
+    const undo = await asOther('undo');
+    const own = await request('POST', `/api/game/${body.gameId}/move`, {
+      headers: asPlayer(42),
+      body: { index: 0 },
+    });
+
+    expect([move.status, hint.status, undo.status]).toEqual([404, 404, 404]);
+    expect(move.body).toEqual({ status: 'error', message: 'Game not found' });
+    expect(own.status).toBe(200);
+  });
+});
+
+describe('POST /api/result', () => {
+  it('pays nothing for a win whose computer moves cannot be checked', async () => {
+    const { request, sentMessages } = await startApp();
+    // X takes the top row while O answers on the middle row, as no real computer would.
+    const moves = [0, 3, 1, 4, 2];
+
+    const easy = await request('POST', '/api/result', {
+      headers: asPlayer(42),
+      body: { result: 'win', difficulty: 'easy', moves },
+    });
+    const normal = await request('POST', '/api/result', {
+      headers: asPlayer(42),
+      body: { result: 'win', difficulty: 'normal', moves },
+    });
+
+    expect(easy).toEqual({ status: 200, body: { status: 'ok' } });
+    expect(normal.status).toBe(422);
+    expect(await sentMessages()).toEqual([]);
+  });
+
+  it('leaves leaderboard points to wins whose computer moves were checked', async () => {
+    const { request } = await startApp();
+    const headers = signedAs(42);
+
+    await request('POST', '/api/result', {
+      headers,
+      body: { result: 'win', difficulty: 'easy', moves: [0, 3, 1, 4, 2] },
+    });
+    const afterReplay = await request('GET', '/api/leaderboard?period=day', { headers });
+    await winEasyGame(request, headers);
+    const afterGame = await request('GET', '/api/leaderboard?period=day', { headers });
+
+    expect(afterReplay.body.you).toBe(null);
+    expect(afterGame.body.you).toMatchObject({ rank: 1, points: 1, wins: 1 });
+  });
+
+  it('give no leaderboard points for a win with a hint', async () => {
+    const { request } = await startApp();
+    const headers = signedAs(42);
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    const moves = [2, 4, 6];
+
+    const game = await playServerGame(request, headers, { difficulty: 'easy' }, async (current) => {
+      if (moves.length === 3) {
+        await request('POST', `/api/game/${current.gameId}/hint`, { headers });
+      }
+      return moves.shift();
+    });
+    const board = await request('GET', '/api/leaderboard?period=day', { headers });
+
+    expect(game).toMatchObject({ outcome: { winner: 'X' }, assists: { hint: 1, undo: 0 } });
+    expect(board.body.you).toBe(null);
+  });
+
+  it('leaves the auto level and rewards to server-run games', async () => {
+    const { request, sentMessages } = await startApp();
+    const report = (body) =>
+      request('POST', '/api/result', {
+        headers: asPlayer(42),
+        body: { difficulty: 'auto', ...body },
+      });
+
+    const losses = [await report({ result: 'loss' }), await report({ result: 'loss' })];
+    const win = await report({ result: 'win', moves: [0, 3, 1, 4, 2] });
+
+    expect(losses.map(({ body }) => body.level)).toEqual([5, 5]);
+    expect(win.body).toEqual({ status: 'ok', level: 5 });
+    expect((await sentMessages()).map(({ text }) => text)).not.toContain(
+      expect.stringContaining('discount code')
+    );
+  });
+
+  it('refuses a series win whose computer moves cannot be checked', async () => {
+    const { request } = await startApp();
+    const { body } = await request('POST', '/api/series', {
+      headers: asPlayer(42),
+      body: { difficulty: 'easy' },
+    });
+
+    const { status } = await request('POST', '/api/result', {
+      headers: asPlayer(42),
+      body: {
+        result: 'win',
+        difficulty: 'easy',
+        moves: [0, 3, 1, 4, 2],
+        seriesId: body.series.seriesId,
+      },
+    });
+
+    expect(status).toBe(403);
+  });
+
+  it('sends a note for a loss and nothing for a draw', async () => {
+    const { request, sentMessages } = await startApp();
+
+    const loss = await request('POST', '/api/result', {
+      headers: asPlayer(42),
+      body: { result: 'loss' },
+    });
+    const draw = await request('POST', '/api/result', {
+      headers: asPlayer(43),
+      body: { result: 'draw' },
+    });
+
+    expect(loss.body).toEqual({ status: 'ok' });
+    expect(draw.body).toEqual({ status: 'ok' });
+    expect(await sentMessages()).toEqual([
+      { chat_id: '42', text: 'You lost this time. Play again?' },
+    ]);
+  });
+
+  it('refuses a win without a move log', async () => {
+    const { request } = await startApp();
+
+    const { status } = await request('POST', '/api/result', {
+      headers: asPlayer(42),
+      body: { result: 'win' },
+    });
+
+    expect(status).toBe(403);
+  });
+
+  it('answers a repeated eventId from the first response and counts it once', async () => {
+    const { request, sentMessages } = await startApp();
+    const body = { result: 'loss', eventId: 'event-1' };
+
+    const first = await request('POST', '/api/result', { headers: asPlayer(42), body });
+    const repeat = await request('POST', '/api/result', { headers: asPlayer(42), body });
+    const stats = await request('GET', '/admin/api/stats?days=1', {
+      headers: { Authorization: 'Bearer admin-token' },
+    });
+
+    expect(repeat.body).toEqual(first.body);
+    expect(stats.body.days[0]).toMatchObject({ win: 0, loss: 1, draw: 0 });
+    expect(await sentMessages()).toHaveLength(1);
+  });
+});
+
+describe('promo codes', () => {
+  const promoApi = { 'X-API-Key': 'promo-key' };
+
+  it('can be looked up by checkout', async () => {
+    const { request } = await startApp();
+    const { code } = await winEasyGame(request);
+
+    const { status, body } = await request('GET', `/api/promo/${code.toLowerCase()}`, {
+      headers: promoApi,
+    });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      code,
+      valid: true,
+      reason: null,
+      issuedTo: { sessionId: 'tg:42', telegramUserId: '42' },
+      issuedAt: new Date(NOW).toISOString(),
+      discount: 5,
+      campaignId: 'test',
+    });
+  });
+
+  it('expire seven days after they were issued', async () => {
+    const { clock, request } = await startApp();
+    const { code } = await winEasyGame(request);
+    const lookUp = () => request('GET', `/api/promo/${code}`, { headers: promoApi });
+    const redeem = () =>
+      request('POST', `/api/promo/${code}/redeem`, {
+        headers: promoApi,
+        body: { orderId: 'order-1' },
+      });
+
+    clock.now += 7 * DAY_MS - HOUR_MS;
+    const lastDay = await lookUp();
+    clock.now += 2 * HOUR_MS;
+    const expired = await lookUp();
+    const late = await redeem();
+    clock.now += 90 * DAY_MS;
+    const forgotten = await lookUp();
+
+    expect(lastDay.body).toMatchObject({
+      valid: true,
+      expiresAt: new Date(NOW + 7 * DAY_MS).toISOString(),
+    });
+    expect(expired.body).toMatchObject({ valid: false, reason: 'expired' });
+    expect(late).toEqual({ status: 410, body: { status: 'error', message: 'Promo code expired' } });
+    expect(forgotten.status).toBe(404);
+  });
+
+  it('can be redeemed once', async () => {
+    const { request } = await startApp();
+    const { code } = await winEasyGame(request);
+    const redeem = (orderId) =>
+      request('POST', `/api/promo/${code}/redeem`, { headers: promoApi, body: { orderId } });
+
+    expect((await redeem('order-1')).body).toMatchObject({ valid: false, reason: 'redeemed' });
+    expect((await redeem('order-1')).status).toBe(200);
+    expect((await redeem('order-2')).status).toBe(409);
+  });
+
+  it('answer a retried redemption after they would have expired', async () => {
+    const { clock, request } = await startApp();
+    const { code } = await winEasyGame(request);
+    const redeem = () =>
+      request('POST', `/api/promo/${code}/redeem`, {
+        headers: promoApi,
+        body: { orderId: 'order-1' },
+      });
+
+    const first = await redeem();
+    clock.now += 8 * DAY_MS;
+    const retry = await redeem();
+
+    expect(retry.status).toBe(200);
+    expect(retry.body).toEqual(first.body);
+  });
+});
+
+describe('admin API', () => {
+  const admin = { Authorization: 'Bearer admin-token' };
+
+  it('lists codes newest first and searches them by code or session', async () => {
+    const { clock, request } = await startApp();
+    const first = await winEasyGame(request, asPlayer(42));
+    clock.now += HOUR_MS;
+    const second = await winEasyGame(request, asPlayer(43));
+
+    const all = await request('GET', '/admin/api/codes', { headers: admin });
+    const bySession = await request('GET', '/admin/api/codes?q=tg:43', { headers: admin });
+    const byCode = await request('GET', `/admin/api/codes?q=${first.code.toLowerCase()}`, {
+      headers: admin,
+    });
+
+    expect(all.body.total).toBe(2);
+    expect(all.body.codes.map(({ code }) => code)).toEqual([second.code, first.code]);
+    expect(bySession.body.codes.map(({ code }) => code)).toEqual([second.code]);
+    expect(byCode.body.codes.map(({ code }) => code)).toEqual([first.code]);
+  });
+
+  it('revokes a code so it can no longer be redeemed or handed out again', async () => {
+    const { request } = await startApp();
+    const { code } = await winEasyGame(request);
+
+    const revoked = await request('POST', `/admin/api/codes/${code}/revoke`, { headers: admin });
+    const redeem = await request('POST', `/api/promo/${code}/redeem`, {
+      headers: { 'X-API-Key': 'promo-key' },
+      body: { orderId: 'order-1' },
+    });
+    const next = await winEasyGame(request);
+
+    expect(revoked.body).toMatchObject({ valid: false, reason: 'revoked' });
+    expect(redeem).toEqual({
+      status: 410,
+      body: { status: 'error', message: 'Promo code revoked' },
+    });
+    expect(next.code).toEqual(expect.any(String));
+    expect(next.code).not.toBe(code);
+  });
+
+  it('resets the cooldown of a player', async () => {
+    const { request } = await startApp();
+    const first = await winEasyGame(request);
+
+    const reset = await request('POST', '/admin/api/users/42/reset-cooldown', { headers: admin });
+    const again = await request('POST', '/admin/api/users/42/reset-cooldown', { headers: admin });
+    const next = await winEasyGame(request);
+
+    expect(reset.body).toEqual({ status: 'ok', sessionId: 'tg:42', reset: true });
+    expect(again.body.reset).toBe(false);
+    expect(next.code).not.toBe(first.code);
+  });
+
+  it('counts results per day and difficulty', async () => {
+    const { clock, request } = await startApp();
+    await winEasyGame(request);
+    clock.now += DAY_MS;
+    await request('POST', '/api/result', {
+      headers: asPlayer(42),
+      body: { result: 'loss', difficulty: 'hard' },
+    });
+
+    const { body } = await request('GET', '/admin/api/stats?days=2', { headers: admin });
+
+    expect(body.days).toEqual([
+      {
+        date: '2024-05-01',
+        win: 1,
+        loss: 0,
+        draw: 0,
+        byDifficulty: { easy: { win: 1, loss: 0, draw: 0 } },
+      },
+      {
+        date: '2024-05-02',
+        win: 0,
+        loss: 1,
+        draw: 0,
+        byDifficulty: { hard: { win: 0, loss: 1, draw: 0 } },
+      },
+    ]);
+    expect(body.byDifficulty).toEqual({
+      easy: { win: 1, loss: 0, draw: 0 },
+      hard: { win: 0, loss: 1, draw: 0 },
+    });
+  });
+});
+
+describe('POST /api/events', () => {
+  it('counts batches without the cookie by the session the client names', async () => {
+    const { request } = await startApp();
+    const open = { type: 'app_open', hasTelegram: true, hasInitData: false, locale: 'en' };
+    const start = {
+      type: 'game_start',
+      mode: 'classic',
+      difficulty: 'easy',
+      variant: 'standard',
+      boardSize: 3,
+    };
+
+    await request('POST', '/api/events', { body: { sessionId: 'launch-1', events: [open] } });
+    await request('POST', '/api/events', { body: { sessionId: 'launch-1', events: [start] } });
+    const { body } = await request('GET', '/admin/api/funnel?days=1', {
+      headers: { Authorization: 'Bearer admin-token' },
+    });
+
+    expect(body.days[0]).toMatchObject({ opens: 1, games: 1 });
+    expect(body.funnel[1]).toEqual({ step: 'games', sessions: 1, rate: 1 });
+  });
+});
+
+describe('player resolution', () => {
+  it('takes the X-TG-USER-ID fallback outside production', async () => {
+    const { request, sentMessages } = await startApp();
+
+    await request('POST', '/api/result', { headers: asPlayer(42), body: { result: 'loss' } });
+    await request('POST', '/api/result', { body: { result: 'loss' } });
+
+    // Without any user the message goes to TELEGRAM_CHAT_ID.
+    expect((await sentMessages()).map(({ chat_id: chatId }) => chatId)).toEqual(['42', '1000']);
+  });
+
+  it('requires signed init data in production', async () => {
+    const { request, sentMessages } = await startApp({ NODE_ENV: 'production' });
+    const loss = { result: 'loss' };
+
+    const fallback = await request('POST', '/api/result', { headers: asPlayer(42), body: loss });
+    const forged = await request('POST', '/api/result', {
+      headers: { 'X-TG-INIT-DATA': `${signedAs(42)['X-TG-INIT-DATA']}0` },
+      body: loss,
+    });
+    const signed = await request('POST', '/api/result', { headers: signedAs(42), body: loss });
+
+    expect(fallback).toEqual({
+      status: 401,
+      body: { status: 'error', message: 'Telegram init data required' },
+    });
+    expect(forged).toEqual({
+      status: 401,
+      body: { status: 'error', message: 'Invalid Telegram init data' },
+    });
+    expect(signed.status).toBe(200);
+    expect((await sentMessages()).map(({ chat_id: chatId }) => chatId)).toEqual(['42']);
+  });
+
+  it('rejects init data older than a day by the app clock', async () => {
+    const { clock, request } = await startApp({ NODE_ENV: 'production' });
+    const headers = signedAs(42);
+
+    clock.now += DAY_MS + 1000;
+    const { status } = await request('POST', '/api/result', { headers, body: { result: 'loss' } });
+
+    expect(status).toBe(401);
+  });
+
+  it('keeps the fallback in production with ALLOW_FALLBACK_CHAT_ID', async () => {
+    const { request } = await startApp({ NODE_ENV: 'production', ALLOW_FALLBACK_CHAT_ID: 'true' });
+
+    const { status } = await request('POST', '/api/result', {
+      headers: asPlayer(42),
+      body: { result: 'loss' },
+    });
+
+    expect(status).toBe(200);
+  });
+});
+
+describe('stop()', () => {
+  it('sends what the Telegram queue has due before it closes the store', async () => {
+    const { request, stop } = await startApp();
+    await request('POST', '/api/result', { headers: asPlayer(42), body: { result: 'loss' } });
+
+    await stop();
+
+    expect(telegramApi.calls.filter(({ method }) => method === 'sendMessage')).toEqual([
+      { method: 'sendMessage', params: { chat_id: '42', text: 'You lost this time. Play again?' } },
+    ]);
+  });
+});
+
+describe('shutdown', () => {
+  it('ends the open room event streams, so the server can close', async () => {
+    const { request, server, baseUrl, stop } = await startApp();
+    const seat = (await request('POST', '/api/rooms', { headers: asPlayer(42), body: {} })).body;
+    const stream = await fetch(`${baseUrl}/api/rooms/${seat.roomId}/events?token=${seat.token}`);
+    const events = stream.text();
+    const closed = new Promise((resolve) => {
+      server.close(resolve);
+    });
+
+    await stop();
+    await closed;
+
+    expect(await events).toMatch(/^data: \{"roomId":/);
+  });
+});
+
+describe('secret-guarded endpoints', () => {
+  it('answer 401 without the right credentials', async () => {
+    const { request } = await startApp();
+
+    const noToken = await request('GET', '/admin/api/codes');
+    const wrongToken = await request('GET', '/admin/api/codes', {
+      headers: { Authorization: 'Bearer nope' },
+    });
+    const wrongKey = await request('GET', '/api/promo/TTT-1234', {
+      headers: { 'X-API-Key': 'nope' },
+    });
+
+    expect([noToken.status, wrongToken.status, wrongKey.status]).toEqual([401, 401, 401]);
+    expect(wrongKey.body).toEqual({ status: 'error', message: 'Invalid credentials' });
+  });
+
+  it('answer 503 while their secret is unset', async () => {
+    const { request } = await startApp({ ADMIN_TOKEN: '' });
+
+    const { status, body } = await request('GET', '/admin/api/codes', {
+      headers: { Authorization: 'Bearer admin-token' },
+    });
+
+    expect(status).toBe(503);
+    expect(body.message).toBe('ADMIN_TOKEN is not configured');
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { createCampaignBook } from '../lib/campaigns.js';
+import { createStore } from '../lib/storage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = Date.parse('2024-05-01T00:00:00Z');
+
+function createCampaign(overrides = {}) {
+  return {
+    id: 'spring',
+    name: 'Spring',
+    startsAt: new Date(start),
+    endsAt: new Date(start + 10 * DAY_MS),
+    totalCap: null,
+    dailyCap: null,
+    rewards: { easy: 5, hard: 15 },
+    variantRewards: {},
+    assistRules: { hint: 'forfeit', undo: 'forfeit' },
+    minSeriesLength: 1,
+    ...overrides,
+  };
+}
+
+function createBook(overrides = {}) {
+  const usage = createStore().collection('campaignUsage');
+  return createCampaignBook({ campaigns: [createCampaign(overrides)], usage });
+}
+
+describe('createCampaignBook', () => {
+  it('rewards a win by difficulty tier', () => {
+    const book = createBook();
+
+    expect(book.claim('hard', start + 1000).discount).toBe(15);
+    expect(book.claim('normal', start + 1000)).toBe(null);
+  });
+
+  it('uses the tiers of a variant that has its own', () => {
+    const book = createBook({ variantRewards: { misere: { hard: 20 } } });
+
+    expect(book.claim('hard', start + 1000, { variant: 'misere' }).discount).toBe(20);
+    expect(book.claim('easy', start + 1000, { variant: 'misere' })).toBe(null);
+    expect(book.claim('easy', start + 1000, { variant: 'wild' }).discount).toBe(5);
+  });
+
+  it('applies the assist rules to wins that used hints or undos', () => {
+    const book = createBook({ assistRules: { hint: 'forfeit', undo: 4 } });
+
+    expect(book.claim('hard', start + 1000, { assists: { hint: 1, undo: 0 } })).toBe(null);
+    expect(book.claim('hard', start + 1000, { assists: { hint: 0, undo: 2 } }).discount).toBe(7);
+    expect(book.claim('easy', start + 1000, { assists: { undo: 2 } })).toBe(null);
+    expect(book.claim('hard', start + 1000, { assists: { hint: 0, undo: 0 } }).discount).toBe(15);
+  });
+
+  it('falls back to no reward outside the validity window', () => {
+    const book = createBook();
+
+    expect(book.claim('easy', start - 1)).toBe(null);
+    expect(book.claim('easy', start + 10 * DAY_MS)).toBe(null);
+  });
+
+  it('pays only for won matches long enough while the campaign asks for matches', () => {
+    const book = createBook({ minSeriesLength: 3, rewards: { easy: 5, pvp: 5 } });
+
+    expect(book.claim('easy', start + 1000)).toBe(null);
+    expect(book.claim('easy', start + 1000, { seriesLength: 3 }).discount).toBe(5);
+    expect(book.claim('pvp', start + 1000).discount).toBe(5);
+  });
+
+  it('enforces the daily cap per UTC day', () => {
+    const book = createBook({ dailyCap: 1 });
+
+    expect(book.claim('easy', start + 1000)).not.toBe(null);
+    expect(book.claim('easy', start + 2000)).toBe(null);
+    expect(book.claim('easy', start + DAY_MS)).not.toBe(null);
+  });
+
+  it('keeps a count for the current day only', () => {
+    const usage = createStore().collection('campaignUsage');
+    const book = createCampaignBook({ campaigns: [createCampaign()], usage });
+
+    book.claim('easy', start + 1000);
+    book.claim('easy', start + DAY_MS);
+
+    expect(usage.get('spring')).toMatchObject({ issued: 2, issuedByDay: { '2024-05-02': 1 } });
+  });
+
+  it('enforces the total cap', () => {
+    const book = createBook({ totalCap: 1 });
+
+    expect(book.claim('easy', start + 1000)).not.toBe(null);
+    expect(book.claim('easy', start + 3 * DAY_MS)).toBe(null);
+  });
+});
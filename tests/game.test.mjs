@@ -1,5 +1,17 @@
 import { describe, expect, it } from 'vitest';
-import { evaluateBoard, getAiMove, getBestMove } from '../public/game.mjs';
+import {
+  boardConfigs,
+  createBoard,
+  evaluateBoard,
+  getAdaptiveSettings,
+  getAiMove,
+  getAiPlay,
+  getBestMove,
+  getMarks,
+  getWinningLines,
+  minimax,
+  replayGame,
+} from '../public/game.mjs';
 
 describe('evaluateBoard', () => {
   it('detects a winner', () => {
@@ -18,6 +30,46 @@ describe('evaluateBoard', () => {
   });
 });
 
+describe('larger boards', () => {
+  it('computes the winning lines from the board configuration', () => {
+    expect(getWinningLines(boardConfigs[3])).toHaveLength(8);
+    expect(getWinningLines(boardConfigs[4])).toHaveLength(10);
+    expect(getWinningLines(boardConfigs[5])).toHaveLength(28);
+  });
+
+  it('needs the configured number in a row', () => {
+    const config = boardConfigs[5];
+    const board = createBoard(config);
+    [1, 7, 13].forEach((index) => {
+      board[index] = 'X';
+    });
+
+    expect(evaluateBoard(board, config)).toBe(null);
+
+    board[19] = 'X';
+    expect(evaluateBoard(board, config)).toMatchObject({ winner: 'X', combo: [1, 7, 13, 19] });
+  });
+
+  it('blocks an immediate loss on a 4×4 board', () => {
+    const config = boardConfigs[4];
+    const board = createBoard(config);
+    [0, 1, 2].forEach((index) => {
+      board[index] = 'X';
+    });
+    board[5] = 'O';
+    board[6] = 'O';
+
+    expect(getAiMove(board, 'hard', config)).toBe(3);
+  });
+
+  it('replays a game on a 7×7 board', () => {
+    const { error, outcome } = replayGame([0, 10, 8, 11, 16, 12, 24], 'player', boardConfigs[7]);
+
+    expect(error).toBe(null);
+    expect(outcome.winner).toBe('X');
+  });
+});
+
 describe('AI moves', () => {
   it('takes a winning move when available', () => {
     const board = ['O', 'O', null, 'X', 'X', null, null, null, null];
@@ -33,6 +85,14 @@ describe('AI moves', () => {
     expect(move).toBe(2);
   });
 
+  it('finds the best move for X as well', () => {
+    const winning = ['O', 'O', null, 'X', 'X', null, null, null, null];
+    const blocking = ['O', 'O', null, null, 'X', null, null, null, null];
+
+    expect(getBestMove(winning, null, boardConfigs[3], {}, 'standard', 'X')).toBe(5);
+    expect(getBestMove(blocking, null, boardConfigs[3], {}, 'standard', 'X')).toBe(2);
+  });
+
   it('returns a valid move on easy difficulty', () => {
     const board = ['O', 'O', null, 'X', 'X', null, null, null, null];
     const originalRandom = Math.random;
@@ -44,3 +104,169 @@ describe('AI moves', () => {
     expect(move).toBe(2);
   });
 });
+
+describe('replayGame', () => {
+  it('replays a finished game', () => {
+    const { error, outcome } = replayGame([0, 4, 1, 8, 2]);
+
+    expect(error).toBe(null);
+    expect(outcome.winner).toBe('X');
+  });
+
+  it('gives the first move to O when the computer starts', () => {
+    const { board } = replayGame([4, 0], 'computer');
+
+    expect(board[4]).toBe('O');
+    expect(board[0]).toBe('X');
+  });
+
+  it('rejects a move on a taken cell', () => {
+    const { error } = replayGame([0, 0]);
+
+    expect(error).toMatch(/Illegal move/);
+  });
+
+  it('rejects moves after the game ended', () => {
+    const { error } = replayGame([0, 4, 1, 8, 2, 5]);
+
+    expect(error).toMatch(/after the game ended/);
+  });
+});
+
+describe('search', () => {
+  function findPlayerWin(board, playerTurn) {
+    const outcome = evaluateBoard(board);
+    if (outcome) return outcome.winner === 'X';
+
+    if (!playerTurn) {
+      const next = [...board];
+      next[getAiMove([...board], 'hard')] = 'O';
+      return findPlayerWin(next, true);
+    }
+
+    return board.some((value, index) => {
+      if (value) return false;
+      const next = [...board];
+      next[index] = 'X';
+      return findPlayerWin(next, false);
+    });
+  }
+
+  it('never loses on hard on the classic board', () => {
+    expect(findPlayerWin(createBoard(), true)).toBe(false);
+    expect(findPlayerWin(createBoard(), false)).toBe(false);
+  });
+
+  it('scores the empty classic board as a draw', () => {
+    expect(minimax(createBoard(), 0, true, null)).toBe(0);
+  });
+
+  it('answers within a node budget', () => {
+    const config = boardConfigs[7];
+    const board = createBoard(config);
+    board[24] = 'X';
+
+    const move = getBestMove(board, null, config, { maxNodes: 500 });
+
+    expect(board[move]).toBe(null);
+    expect(getBestMove(board, null, config, { maxNodes: 500 })).toBe(move);
+  });
+
+  it('answers within a time budget', () => {
+    const config = boardConfigs[7];
+    const board = createBoard(config);
+    const startedAt = Date.now();
+
+    const move = getBestMove(board, null, config, { timeLimitMs: 50 });
+
+    expect(move).not.toBe(null);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+});
+
+describe('variants', () => {
+  // Like findPlayerWin above, under `variant`: can the player force a win against hard?
+  function playerCanWin(board, playerTurn, variant) {
+    const outcome = evaluateBoard(board, undefined, { variant, mover: playerTurn ? 'O' : 'X' });
+    if (outcome) return outcome.winner === 'X';
+
+    if (!playerTurn) {
+      const next = [...board];
+      const { index, mark } = getAiPlay([...board], 'hard', undefined, variant);
+      next[index] = mark;
+      return playerCanWin(next, true, variant);
+    }
+
+    return board.some((value, index) =>
+      getMarks(variant, 'X').some((mark) => {
+        if (value) return false;
+        const next = [...board];
+        next[index] = mark;
+        return playerCanWin(next, false, variant);
+      })
+    );
+  }
+
+  it('makes whoever completes a line lose in misère and Notakto', () => {
+    const board = ['X', 'X', 'X', 'O', 'O', null, null, null, null];
+
+    expect(evaluateBoard(board, undefined, { variant: 'misere' }).winner).toBe('O');
+    expect(evaluateBoard(board, undefined, { variant: 'notakto', mover: 'O' }).winner).toBe('X');
+    expect(evaluateBoard(board, undefined, { variant: 'wild', mover: 'O' }).winner).toBe('O');
+    expect(() => evaluateBoard(board, undefined, { variant: 'wild' })).toThrow(/last mover/);
+  });
+
+  it('never loses misère on hard', () => {
+    expect(playerCanWin(createBoard(), true, 'misere')).toBe(false);
+    expect(playerCanWin(createBoard(), false, 'misere')).toBe(false);
+  });
+
+  it('wins Notakto and Wild on hard when it starts', () => {
+    expect(playerCanWin(createBoard(), false, 'notakto')).toBe(false);
+    expect(playerCanWin(createBoard(), false, 'wild')).toBe(false);
+  });
+
+  it('avoids completing a line in misère', () => {
+    const board = ['O', 'O', null, 'X', null, null, 'X', null, null];
+
+    expect(getAiMove(board, 'hard', undefined, 'misere')).not.toBe(2);
+  });
+
+  it('completes a line with either mark in Wild', () => {
+    const board = ['X', 'X', null, null, 'O', null, null, null, null];
+
+    expect(getAiPlay(board, 'hard', undefined, 'wild')).toEqual({ index: 2, mark: 'X' });
+  });
+
+  it('replays Wild logs with their marks', () => {
+    const moves = [0, 4, 1, 2];
+    const marks = ['X', 'O', 'O', 'X'];
+
+    expect(replayGame(moves, 'player', undefined, { variant: 'wild' }).error).toMatch(/Illegal/);
+    expect(replayGame(moves, 'player', undefined, { variant: 'wild', marks })).toMatchObject({
+      error: null,
+      outcome: null,
+    });
+    expect(replayGame([0, 4, 1, 8, 2], 'player', undefined, { variant: 'misere' })).toMatchObject({
+      outcome: { winner: 'O' },
+    });
+  });
+});
+
+describe('getAdaptiveSettings', () => {
+  it('plays stronger as the level rises', () => {
+    const weakest = getAdaptiveSettings(1);
+    const middle = getAdaptiveSettings(5);
+    const strongest = getAdaptiveSettings(10);
+
+    expect(weakest.blunderRate).toBeGreaterThan(middle.blunderRate);
+    expect(middle.maxDepth).toBeGreaterThan(weakest.maxDepth);
+    expect(strongest).toEqual({ blunderRate: 0, maxDepth: null });
+  });
+
+  it('is accepted by getAiMove', () => {
+    const board = ['X', 'X', null, null, 'O', null, null, null, null];
+
+    expect(getAiMove(board, getAdaptiveSettings(10))).toBe(2);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import * as serverI18n from '../lib/i18n.js';
+import * as clientI18n from '../public/i18n.mjs';
+
+function getPlaceholders(template) {
+  return (template.match(/\{\w+\}/g) || []).sort();
+}
+
+describe('lib/i18n', () => {
+  it('resolves Telegram language codes to a supported locale', () => {
+    expect(serverI18n.resolveLocale('en')).toBe('en');
+    expect(serverI18n.resolveLocale('en-US')).toBe('en');
+    expect(serverI18n.resolveLocale('RU')).toBe('ru');
+    expect(serverI18n.resolveLocale('pt-br')).toBe('ru');
+    expect(serverI18n.resolveLocale(undefined)).toBe('ru');
+  });
+
+  it('fills in parameters and leaves unknown ones as they are', () => {
+    expect(serverI18n.translate('en', 'result.win', { code: 'TTT-1', discount: 5 })).toBe(
+      'You won! Your 5% discount code: TTT-1'
+    );
+    expect(serverI18n.translate('en', 'result.win', { code: 'TTT-1' })).toBe(
+      'You won! Your {discount}% discount code: TTT-1'
+    );
+  });
+
+  it('falls back to Russian, then to the key itself', () => {
+    expect(serverI18n.translate('de', 'bot.play')).toBe('Играть');
+    expect(serverI18n.translate('en', 'no.such.key')).toBe('no.such.key');
+  });
+
+  it('formats dates for the locale, in UTC', () => {
+    const timestamp = Date.UTC(2024, 4, 8, 23, 30);
+
+    expect(serverI18n.formatDate('en', timestamp)).toBe('08/05/2024');
+    expect(serverI18n.formatDate('ru', timestamp)).toBe('08.05.2024');
+  });
+});
+
+describe('public/i18n', () => {
+  it('matches language codes to a supported locale or null', () => {
+    expect(clientI18n.matchLocale('en_GB')).toBe('en');
+    expect(clientI18n.matchLocale('ru')).toBe('ru');
+    expect(clientI18n.matchLocale('fr')).toBe(null);
+    expect(clientI18n.supportedLocales).toEqual(['ru', 'en']);
+  });
+
+  it('translates with parameters and the Russian fallback', () => {
+    expect(clientI18n.translate('en', 'puzzle.status', { moves: 3 })).toBe(
+      'You play X. Win in 3 moves.'
+    );
+    expect(clientI18n.translate('fr', 'promo.copy')).toBe(clientI18n.translate('ru', 'promo.copy'));
+  });
+});
+
+describe.each([
+  ['lib/i18n', serverI18n.messages],
+  ['public/i18n', clientI18n.messages],
+])('%s catalog', (name, messages) => {
+  it('has the same keys in every locale', () => {
+    const [reference, ...others] = Object.values(messages).map((texts) =>
+      Object.keys(texts).sort()
+    );
+
+    others.forEach((keys) => expect(keys).toEqual(reference));
+  });
+
+  it('uses the same placeholders in every locale', () => {
+    const { ru, ...others } = messages;
+
+    Object.values(others).forEach((texts) => {
+      Object.entries(ru).forEach(([key, template]) => {
+        expect([key, getPlaceholders(texts[key])]).toEqual([key, getPlaceholders(template)]);
+      });
+    });
+  });
+});
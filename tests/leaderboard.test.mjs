@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import { createLeaderboard, getWeekKey, getWinPoints } from '../lib/leaderboard.js';
+import { createStore } from '../lib/storage.js';
+
+// Monday, 29 April 2024, noon UTC.
+const MONDAY = Date.UTC(2024, 3, 29, 12);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const alice = { id: '1', firstName: 'Alice', username: 'alice', locale: 'en' };
+const boris = { id: '2', firstName: 'Борис', username: null, locale: 'ru' };
+
+function createBoard(onWeekEnd, options = {}) {
+  const store = createStore();
+  return createLeaderboard({
+    boards: store.collection('leaderboards'),
+    archive: store.collection('leaderboardArchive'),
+    onWeekEnd,
+    ...options,
+  });
+}
+
+describe('getWinPoints', () => {
+  it('weighs wins by difficulty and by who started', () => {
+    expect(getWinPoints({ difficulty: 'easy', starter: 'player' })).toBe(1);
+    expect(getWinPoints({ difficulty: 'hard', starter: 'player' })).toBe(4);
+    expect(getWinPoints({ difficulty: 'hard', starter: 'computer' })).toBe(6);
+    expect(getWinPoints({ difficulty: 'pvp', starter: 'player' })).toBe(0);
+  });
+});
+
+describe('getWeekKey', () => {
+  it('keys a week by its Monday', () => {
+    expect(getWeekKey(MONDAY)).toBe('2024-04-29');
+    expect(getWeekKey(MONDAY + 6 * DAY_MS)).toBe('2024-04-29');
+    expect(getWeekKey(MONDAY + 7 * DAY_MS)).toBe('2024-05-06');
+  });
+});
+
+describe('createLeaderboard', () => {
+  it('ranks players by points and shows the caller their place', () => {
+    const board = createBoard();
+    board.recordWin(alice, { difficulty: 'easy', starter: 'player' }, MONDAY);
+    board.recordWin(boris, { difficulty: 'hard', starter: 'player' }, MONDAY + 1);
+    board.recordWin(alice, { difficulty: 'normal', starter: 'player' }, MONDAY + 2);
+
+    const week = board.describe('week', '1', { limit: 1 }, MONDAY + 3);
+    expect(week.players).toBe(2);
+    expect(week.top).toEqual([
+      { rank: 1, firstName: 'Борис', username: null, points: 4, wins: 1, isYou: false },
+    ]);
+    expect(week.you).toMatchObject({ rank: 2, points: 3, wins: 2, isYou: true });
+    expect(board.describe('week', null, {}, MONDAY + 3).you).toBe(null);
+  });
+
+  it('starts each day and week afresh but keeps the all-time board', () => {
+    const board = createBoard();
+    board.recordWin(alice, { difficulty: 'hard', starter: 'player' }, MONDAY);
+
+    const nextDay = MONDAY + DAY_MS;
+    expect(board.describe('day', '1', {}, nextDay).you).toBe(null);
+    expect(board.describe('week', '1', {}, nextDay).you.points).toBe(4);
+
+    const nextWeek = MONDAY + 7 * DAY_MS;
+    expect(board.describe('week', '1', {}, nextWeek).you).toBe(null);
+    expect(board.describe('all', '1', {}, nextWeek).you.points).toBe(4);
+  });
+
+  it('keeps only the best maxPlayers on a board', () => {
+    const board = createBoard(undefined, { maxPlayers: 1 });
+    board.recordWin(alice, { difficulty: 'easy', starter: 'player' }, MONDAY);
+    board.recordWin(boris, { difficulty: 'hard', starter: 'player' }, MONDAY + 1);
+    board.recordWin(alice, { difficulty: 'easy', starter: 'player' }, MONDAY + 2);
+
+    const all = board.describe('all', '1', {}, MONDAY + 3);
+    expect(all.players).toBe(1);
+    expect(all.top).toEqual([
+      { rank: 1, firstName: 'Борис', username: null, points: 4, wins: 1, isYou: false },
+    ]);
+  });
+
+  it('archives a finished week once and hands it to onWeekEnd', () => {
+    const ended = [];
+    const board = createBoard((week) => ended.push(week));
+    board.recordWin(alice, { difficulty: 'easy', starter: 'player' }, MONDAY);
+    board.recordWin(boris, { difficulty: 'hard', starter: 'player' }, MONDAY);
+
+    board.rollOver(MONDAY + 7 * DAY_MS);
+    board.rollOver(MONDAY + 7 * DAY_MS + 1);
+
+    expect(ended).toHaveLength(1);
+    expect(ended[0].week).toBe('2024-04-29');
+    expect(ended[0].standings.map(({ userId, rank }) => [userId, rank])).toEqual([
+      ['2', 1],
+      ['1', 2],
+    ]);
+    expect(board.getArchive()).toEqual([
+      {
+        week: '2024-04-29',
+        top: [
+          { rank: 1, firstName: 'Борис', username: null, points: 4, wins: 1 },
+          { rank: 2, firstName: 'Alice', username: 'alice', points: 1, wins: 1 },
+        ],
+      },
+    ]);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { createLogger } from '../lib/logger.js';
+
+// 1 May 2024, noon UTC.
+const NOW = Date.UTC(2024, 4, 1, 12);
+
+function createStream() {
+  const lines = [];
+  return {
+    write: (chunk) => lines.push(JSON.parse(chunk)),
+    lines,
+  };
+}
+
+describe('createLogger', () => {
+  it('writes one JSON object per line', () => {
+    const stream = createStream();
+    const logger = createLogger({ stream, now: () => NOW });
+
+    logger.info('Server running', { port: 3000 });
+
+    expect(stream.lines).toEqual([
+      { time: '2024-05-01T12:00:00.000Z', level: 'info', msg: 'Server running', port: 3000 },
+    ]);
+  });
+
+  it('drops lines below the level', () => {
+    const stream = createStream();
+    const logger = createLogger({ stream, level: 'warn' });
+
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error');
+
+    expect(stream.lines.map(({ level }) => level)).toEqual(['warn', 'error']);
+  });
+
+  it('adds the fields of a child logger to every line', () => {
+    const stream = createStream();
+    const child = createLogger({ stream, fields: { service: 'tictactoe' } }).child({
+      requestId: 'abc-123',
+    });
+
+    child.info('Request finished', { status: 200 });
+
+    expect(stream.lines[0]).toMatchObject({
+      msg: 'Request finished',
+      service: 'tictactoe',
+      requestId: 'abc-123',
+      status: 200,
+    });
+  });
+
+  it('writes errors out with their message, status and stack', () => {
+    const stream = createStream();
+    const error = Object.assign(new Error('Puzzle has changed'), { status: 409 });
+
+    createLogger({ stream }).error('Puzzle check failed', { error });
+
+    expect(stream.lines[0].error).toMatchObject({
+      name: 'Error',
+      message: 'Puzzle has changed',
+      status: 409,
+    });
+    expect(stream.lines[0].error.stack).toContain('Puzzle has changed');
+  });
+});
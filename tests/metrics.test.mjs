@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { createMetrics } from '../lib/metrics.js';
+
+describe('createMetrics', () => {
+  it('renders counters per label set', () => {
+    const metrics = createMetrics();
+    const results = metrics.counter('results_total', 'Finished games.', {
+      labelNames: ['result'],
+    });
+
+    results.inc({ result: 'win' });
+    results.inc({ result: 'win' });
+    results.inc({ result: 'loss' }, 3);
+
+    expect(metrics.render()).toBe(
+      [
+        '# HELP results_total Finished games.',
+        '# TYPE results_total counter',
+        'results_total{result="win"} 2',
+        'results_total{result="loss"} 3',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('takes collected series at render time', () => {
+    const metrics = createMetrics();
+    let size = 1;
+    metrics.gauge('entries', 'Entries.', {
+      labelNames: ['collection'],
+      collect: () => [{ labels: { collection: 'games' }, value: size }],
+    });
+
+    size = 4;
+
+    expect(metrics.render()).toContain('entries{collection="games"} 4');
+  });
+
+  it('counts histogram observations in cumulative buckets', () => {
+    const metrics = createMetrics();
+    const duration = metrics.histogram('duration_seconds', 'Durations.', {
+      labelNames: ['route'],
+      buckets: [1, 0.1],
+    });
+
+    duration.observe({ route: '/api/move' }, 0.05);
+    duration.observe({ route: '/api/move' }, 0.5);
+    duration.observe({ route: '/api/move' }, 2);
+
+    const lines = metrics.render().split('\n');
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        'duration_seconds_bucket{route="/api/move",le="0.1"} 1',
+        'duration_seconds_bucket{route="/api/move",le="1"} 2',
+        'duration_seconds_bucket{route="/api/move",le="+Inf"} 3',
+        'duration_seconds_sum{route="/api/move"} 2.55',
+        'duration_seconds_count{route="/api/move"} 3',
+      ])
+    );
+  });
+
+  it('escapes label values', () => {
+    const metrics = createMetrics();
+    metrics.counter('paths_total', 'Paths.', { labelNames: ['path'] }).inc({ path: 'a"b\\c\nd' });
+
+    expect(metrics.render()).toContain('paths_total{path="a\\"b\\\\c\\nd"} 1');
+  });
+
+  it('refuses to register a name twice', () => {
+    const metrics = createMetrics();
+    metrics.counter('results_total', 'Finished games.');
+
+    expect(() => metrics.gauge('results_total', 'Again.')).toThrow(/already registered/);
+  });
+});
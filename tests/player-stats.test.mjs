@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { createPlayerStats } from '../lib/player-stats.js';
+import { createStore } from '../lib/storage.js';
+
+function createStats(options = {}) {
+  return createPlayerStats({ players: createStore().collection('playerStats'), ...options });
+}
+
+function play(stats, results, difficulty = 'hard') {
+  results.forEach((result, index) =>
+    stats.record('tg:1', { result, difficulty, starter: 'player', durationMs: 1000 }, index)
+  );
+}
+
+describe('createPlayerStats', () => {
+  it('starts new players at zero', () => {
+    expect(createStats().describe('tg:1')).toEqual({
+      totals: { played: 0, win: 0, loss: 0, draw: 0, winRate: null },
+      byDifficulty: {},
+      streak: { current: 0, best: 0 },
+      games: [],
+    });
+  });
+
+  it('counts results overall and per difficulty', () => {
+    const stats = createStats();
+    play(stats, ['win', 'loss'], 'easy');
+    play(stats, ['win', 'draw', 'draw', 'win'], 'hard');
+
+    const { totals, byDifficulty } = stats.describe('tg:1');
+    expect(totals).toEqual({ played: 6, win: 3, loss: 1, draw: 2, winRate: 0.5 });
+    expect(byDifficulty.easy.winRate).toBe(0.5);
+    expect(byDifficulty.hard).toEqual({ played: 4, win: 2, loss: 0, draw: 2, winRate: 0.5 });
+    // The bot's /stats command reads the raw totals.
+    expect(stats.get('tg:1')).toMatchObject({ win: 3, loss: 1, draw: 2 });
+  });
+
+  it('tracks the current and best winning streaks', () => {
+    const stats = createStats();
+    play(stats, ['win', 'win', 'win', 'draw', 'win']);
+
+    expect(stats.describe('tg:1').streak).toEqual({ current: 1, best: 3 });
+  });
+
+  it('keeps only the most recent games, newest first, but counts them all', () => {
+    const stats = createStats({ maxGames: 2 });
+    play(stats, ['win', 'loss', 'draw']);
+
+    const { totals, games } = stats.describe('tg:1');
+    expect(totals.played).toBe(3);
+    expect(games.map((game) => game.result)).toEqual(['draw', 'loss']);
+    expect(games[0]).toEqual({
+      result: 'draw',
+      difficulty: 'hard',
+      starter: 'player',
+      durationMs: 1000,
+      playedAt: new Date(2).toISOString(),
+    });
+  });
+
+  it('picks up entries saved before the history existed', () => {
+    const players = createStore().collection('playerStats');
+    players.set('tg:1', { createdAt: 0, win: 2, loss: 1, draw: 0 });
+    const stats = createPlayerStats({ players });
+    stats.record('tg:1', { result: 'win', difficulty: 'easy', starter: 'computer' });
+
+    const described = stats.describe('tg:1');
+    expect(described.totals.win).toBe(3);
+    expect(described.streak).toEqual({ current: 1, best: 1 });
+    expect(described.games[0].durationMs).toBe(null);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { createPromoCodeFormat } from '../lib/promo-code.js';
+
+describe('createPromoCodeFormat', () => {
+  it('generates prefixed, grouped codes with a check character', () => {
+    const format = createPromoCodeFormat({ prefix: 'TTT-', length: 7, groupSize: 4 });
+    const code = format.generate();
+
+    expect(code).toMatch(/^TTT-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    expect(format.normalize(code)).toBe(code);
+  });
+
+  it('accepts lowercase input without prefix or separators', () => {
+    const format = createPromoCodeFormat({ prefix: 'TTT-' });
+    const code = format.generate();
+    const typed = code.slice(4).replace(/-/g, ' ').toLowerCase();
+
+    expect(format.normalize(typed)).toBe(code);
+  });
+
+  it('rejects a single mistyped character', () => {
+    const format = createPromoCodeFormat();
+    const code = format.generate(() => 0);
+    const typo = `B${code.slice(1)}`;
+
+    expect(format.normalize(typo)).toBe(null);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    const format = createPromoCodeFormat();
+
+    expect(format.normalize('O0I1-L0O0')).toBe(null);
+  });
+
+  it('refuses an alphabet with duplicates', () => {
+    expect(() => createPromoCodeFormat({ alphabet: 'AAB' })).toThrow(/alphabet/);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import * as engine from '../public/game.mjs';
+import { PUZZLE_MOVES, createDailyPuzzles } from '../lib/puzzles.js';
+
+const puzzles = createDailyPuzzles(engine);
+const config = engine.getBoardConfig(3);
+
+// Both sides play their best: X the quickest win, O the hard computer's defence.
+function solve(puzzle) {
+  const board = [...puzzle.board];
+  const moves = [];
+  let side = 'X';
+  while (!engine.evaluateBoard(board, config)) {
+    const { index } = engine.getBestPlay(board, null, config, {}, 'standard', side);
+    board[index] = side;
+    moves.push(index);
+    side = engine.getOtherSide(side);
+  }
+  return moves;
+}
+
+describe('createDailyPuzzles', () => {
+  it('gives everyone the same puzzle for a day', () => {
+    const puzzle = puzzles.getPuzzle('2024-05-01');
+
+    expect(puzzles.getPuzzle('2024-05-01')).toEqual(puzzle);
+    expect(puzzle.day).toBe('2024-05-01');
+    expect(PUZZLE_MOVES).toContain(puzzle.moves);
+    expect(puzzles.count).toBeGreaterThan(100);
+  });
+
+  it('only publishes positions with a forced win in the stated number of moves', () => {
+    ['2024-05-01', '2024-05-02', '2024-05-03'].forEach((day) => {
+      const puzzle = puzzles.getPuzzle(day);
+      const score = engine.minimax([...puzzle.board], 0, false, null, config);
+
+      expect(engine.WIN_SCORE + score).toBe(puzzle.moves * 2 - 1);
+    });
+  });
+
+  it('accepts a win against the perfect defence', () => {
+    const puzzle = puzzles.getPuzzle('2024-05-01');
+    const moves = solve(puzzle);
+
+    expect(moves).toHaveLength(puzzle.moves * 2 - 1);
+    expect(puzzles.checkSolution(puzzle, moves)).toBe(null);
+  });
+
+  it('rejects unfinished games, illegal moves and a weaker defence', () => {
+    const puzzle = puzzles.getPuzzle('2024-05-01');
+    const moves = solve(puzzle);
+    const taken = puzzle.board.findIndex(Boolean);
+    const otherDefence = puzzle.board.findIndex(
+      (value, index) => !value && !moves.slice(0, 2).includes(index)
+    );
+
+    expect(puzzles.checkSolution(puzzle, moves.slice(0, -1))).toBe('Not a solution');
+    expect(puzzles.checkSolution(puzzle, [taken])).toBe('Illegal move at turn 1');
+    expect(puzzles.checkSolution(puzzle, [moves[0], otherDefence])).toBe(
+      'Defender moves do not match'
+    );
+  });
+});
@@ -0,0 +1,134 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createRoomHub } from '../lib/rooms.js';
+import { createStore } from '../lib/storage.js';
+import { createBoard, evaluateBoard, getBoardConfig } from '../public/game.mjs';
+
+const engine = { createBoard, evaluateBoard, getBoardConfig };
+
+function createHub(options = {}) {
+  return createRoomHub({ rooms: createStore().collection('rooms'), ...options });
+}
+
+function openRoom(hub) {
+  const host = hub.create({
+    boardSize: 3,
+    board: createBoard(getBoardConfig(3)),
+    player: { sessionId: 'host', chatId: null },
+  });
+  const guest = hub.join(host.room.id, { sessionId: 'guest', chatId: null });
+  return { roomId: host.room.id, x: host.token, o: guest.token };
+}
+
+function play(hub, { roomId, x, o }, moves) {
+  return moves.map((index, turn) => hub.move(roomId, turn % 2 ? o : x, index, engine)).pop();
+}
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createRoomHub', () => {
+  it('seats the host at X and the first guest at O', () => {
+    const hub = createHub();
+    const { roomId, x } = openRoom(hub);
+
+    expect(hub.join(roomId, { sessionId: 'host' })).toMatchObject({ mark: 'X', token: x });
+    expect(() => hub.join(roomId, { sessionId: 'stranger' })).toThrow(
+      expect.objectContaining({ status: 409, message: 'Room is full' })
+    );
+    expect(() => hub.join('missing', { sessionId: 'guest' })).toThrow(
+      expect.objectContaining({ status: 404 })
+    );
+  });
+
+  it('enforces turns and empty cells', () => {
+    const hub = createHub();
+    const seats = openRoom(hub);
+
+    expect(() => hub.move(seats.roomId, seats.o, 0, engine)).toThrow('Not your turn');
+    hub.move(seats.roomId, seats.x, 0, engine);
+    expect(() => hub.move(seats.roomId, seats.o, 0, engine)).toThrow('Cell is already taken');
+    expect(() => hub.move(seats.roomId, 'forged', 1, engine)).toThrow(
+      expect.objectContaining({ status: 403 })
+    );
+  });
+
+  it('finishes the game once and shows each seat only its own reward', () => {
+    const onFinish = vi.fn((room) => {
+      room.rewards[room.outcome.winner] = { code: 'TTT-TEST' };
+    });
+    const hub = createHub({ onFinish });
+    const seats = openRoom(hub);
+    const subscriber = { send: vi.fn() };
+    hub.subscribe(hub.getRoom(seats.roomId), 'O', subscriber);
+
+    const state = play(hub, seats, [0, 3, 1, 4, 2]);
+
+    expect(onFinish).toHaveBeenCalledTimes(1);
+    expect(state).toMatchObject({ status: 'finished', outcome: { winner: 'X', forfeit: false } });
+    expect(state.reward).toEqual({ code: 'TTT-TEST' });
+    expect(subscriber.send).toHaveBeenLastCalledWith(
+      expect.objectContaining({ you: 'O', reward: null, score: { X: 1, O: 0, draw: 0 } })
+    );
+    expect(() => hub.move(seats.roomId, seats.o, 5, engine)).toThrow('Game is not in progress');
+  });
+
+  it('starts a rematch with the other starter once both seats agree', () => {
+    const hub = createHub();
+    const seats = openRoom(hub);
+    play(hub, seats, [0, 3, 1, 4, 2]);
+
+    expect(hub.rematch(seats.roomId, seats.x, engine)).toMatchObject({
+      status: 'finished',
+      rematch: ['X'],
+    });
+    expect(hub.rematch(seats.roomId, seats.o, engine)).toMatchObject({
+      status: 'playing',
+      round: 2,
+      turn: 'O',
+      board: Array(9).fill(null),
+    });
+  });
+
+  it('forfeits a player who stays disconnected', () => {
+    vi.useFakeTimers();
+    const onFinish = vi.fn();
+    const hub = createHub({ onFinish, disconnectGraceMs: 1000 });
+    const seats = openRoom(hub);
+    const room = hub.getRoom(seats.roomId);
+    hub.subscribe(room, 'X', { send: () => {} });
+    const leave = hub.subscribe(room, 'O', { send: () => {} });
+
+    leave();
+    vi.advanceTimersByTime(500);
+    const rejoin = hub.subscribe(room, 'O', { send: () => {} });
+    vi.advanceTimersByTime(1000);
+    expect(hub.getRoom(seats.roomId).status).toBe('playing');
+
+    rejoin();
+    vi.advanceTimersByTime(1000);
+    expect(hub.getRoom(seats.roomId)).toMatchObject({
+      status: 'finished',
+      outcome: { winner: 'X', forfeit: true },
+    });
+    expect(onFinish).toHaveBeenCalledTimes(1);
+  });
+
+  it('closes every stream at once without forfeiting anyone', () => {
+    vi.useFakeTimers();
+    const hub = createHub({ disconnectGraceMs: 1000 });
+    const seats = openRoom(hub);
+    const room = hub.getRoom(seats.roomId);
+    const x = { send: () => {}, close: vi.fn() };
+    const leaveX = hub.subscribe(room, 'X', x);
+    const leaveO = hub.subscribe(room, 'O', { send: () => {}, close: vi.fn() });
+    leaveO();
+
+    hub.closeAll();
+    leaveX();
+    vi.advanceTimersByTime(2000);
+
+    expect(x.close).toHaveBeenCalledTimes(1);
+    expect(hub.getRoom(seats.roomId).status).toBe('playing');
+  });
+});
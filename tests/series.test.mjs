@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { createSeriesBook } from '../lib/series.js';
+import { createStore } from '../lib/storage.js';
+
+const rules = { difficulty: 'hard', starter: 'player', mode: 'classic', variant: 'standard' };
+
+function createSeries(length = 3) {
+  const book = createSeriesBook({ series: createStore().collection('series') });
+  const series = book.create({ sessionId: 'tg:1', length, boardSize: 3, ...rules });
+  return { book, series };
+}
+
+function play(book, series, results) {
+  results.forEach((result) => book.finishGame(series.id, 'tg:1', { result }));
+  return book.get(series.id, 'tg:1');
+}
+
+describe('createSeriesBook', () => {
+  it('goes to the first side with a majority of wins', () => {
+    const { book, series } = createSeries(5);
+
+    expect(play(book, series, ['win', 'loss', 'win']).status).toBe('playing');
+    expect(play(book, series, ['draw', 'win']).status).toBe('won');
+    expect(book.describe(series).score).toEqual({ win: 3, loss: 1, draw: 1 });
+  });
+
+  it('settles on wins once every game is played', () => {
+    const won = createSeries();
+    expect(play(won.book, won.series, ['win', 'draw', 'draw']).status).toBe('won');
+
+    const drawn = createSeries();
+    expect(play(drawn.book, drawn.series, ['win', 'loss', 'draw']).status).toBe('drawn');
+  });
+
+  it('alternates the starter between games', () => {
+    const { book, series } = createSeries();
+
+    expect(book.getNextStarter(series)).toBe('player');
+    play(book, series, ['draw']);
+    expect(book.getNextStarter(series)).toBe('computer');
+  });
+
+  it('forfeits a game left unfinished for the next one', () => {
+    const { book, series } = createSeries();
+    book.startGame(series.id, 'tg:1', 'game-1');
+    book.startGame(series.id, 'tg:1', 'game-2');
+
+    expect(series.score.loss).toBe(1);
+    expect(book.finishGame(series.id, 'tg:1', { gameId: 'game-1', result: 'win' })).toBe(null);
+    expect(book.finishGame(series.id, 'tg:1', { gameId: 'game-2', result: 'win' })).toBe(series);
+  });
+
+  it('only shows a series to its owner and rejects games after the end', () => {
+    const { book, series } = createSeries();
+    play(book, series, ['loss', 'loss']);
+
+    expect(() => book.get(series.id, 'tg:2')).toThrow(expect.objectContaining({ status: 404 }));
+    expect(() => book.startGame(series.id, 'tg:1', 'game-3')).toThrow(
+      expect.objectContaining({ status: 409 })
+    );
+  });
+});
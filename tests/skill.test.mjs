@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { INITIAL_LEVEL, MAX_LEVEL, MIN_LEVEL, createSkillRatings } from '../lib/skill.js';
+import { createStore } from '../lib/storage.js';
+
+function createRatings(options = {}) {
+  return createSkillRatings({ ratings: createStore().collection('skillRatings'), ...options });
+}
+
+describe('createSkillRatings', () => {
+  it('starts new players in the middle', () => {
+    expect(createRatings().getLevel('tg:1')).toBe(INITIAL_LEVEL);
+  });
+
+  it('raises the level after a win and lowers it after a loss', () => {
+    const ratings = createRatings({ targetWinRate: 0.4, step: 1 });
+
+    expect(ratings.record('tg:1', 'win')).toBeCloseTo(INITIAL_LEVEL + 0.6);
+    expect(ratings.record('tg:1', 'loss')).toBeCloseTo(INITIAL_LEVEL + 0.2);
+    expect(ratings.record('tg:1', 'draw')).toBeCloseTo(INITIAL_LEVEL - 0.2);
+    expect(ratings.getLevel('tg:2')).toBe(INITIAL_LEVEL);
+  });
+
+  it('settles where the player wins the target share of games', () => {
+    const ratings = createRatings({ targetWinRate: 0.25, step: 1 });
+    const results = ['win', 'loss', 'loss', 'loss'];
+
+    for (let round = 0; round < 10; round += 1) {
+      results.forEach((result) => ratings.record('tg:1', result));
+    }
+
+    expect(ratings.getLevel('tg:1')).toBeCloseTo(INITIAL_LEVEL);
+  });
+
+  it('keeps the level within bounds', () => {
+    const ratings = createRatings();
+
+    for (let game = 0; game < 50; game += 1) ratings.record('tg:1', 'win');
+    expect(ratings.getLevel('tg:1')).toBe(MAX_LEVEL);
+
+    for (let game = 0; game < 50; game += 1) ratings.record('tg:1', 'loss');
+    expect(ratings.getLevel('tg:1')).toBe(MIN_LEVEL);
+  });
+
+  it('rejects a target win rate outside 0 to 1', () => {
+    expect(() => createRatings({ targetWinRate: 1.5 })).toThrow(/between 0 and 1/);
+  });
+});
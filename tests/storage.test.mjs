@@ -0,0 +1,134 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, describe, expect, it } from 'vitest';
+import { createStore } from '../lib/storage.js';
+
+const tempDirs = [];
+
+function createTempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ttt-store-'));
+  tempDirs.push(dir);
+  return path.join(dir, 'store.json');
+}
+
+afterEach(() => {
+  tempDirs.splice(0).forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+describe('createStore', () => {
+  it('prunes entries older than the collection TTL', () => {
+    const store = createStore({ collections: { codes: { ttlMs: 1000 } } });
+    const codes = store.collection('codes');
+    codes.set('old', { createdAt: 0 });
+    codes.set('fresh', { createdAt: 1500 });
+
+    store.prune(2000);
+
+    expect(codes.has('old')).toBe(false);
+    expect(codes.has('fresh')).toBe(true);
+  });
+
+  it('keeps file-backed collections across restarts', () => {
+    const filePath = createTempFile();
+    const first = createStore({ backend: 'file', filePath });
+    first.collection('codes').set('12345', { createdAt: 1 });
+    first.close();
+
+    const second = createStore({ backend: 'file', filePath });
+
+    expect(second.collection('codes').get('12345')).toEqual({ createdAt: 1 });
+    second.close();
+  });
+
+  it('appends changes to a journal and folds it into the file at startup', () => {
+    const filePath = createTempFile();
+    const first = createStore({ backend: 'file', filePath });
+    first.collection('codes').set('a', { createdAt: 1 });
+    first.close();
+    const second = createStore({ backend: 'file', filePath });
+    const snapshot = fs.readFileSync(filePath, 'utf8');
+
+    second.collection('codes').set('b', { createdAt: 2 });
+    second.collection('codes').delete('a');
+    second.close();
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(snapshot);
+    expect(fs.readFileSync(`${filePath}.journal`, 'utf8').trim().split('\n')).toEqual([
+      '["codes","b",{"createdAt":2}]',
+      '["codes","a"]',
+    ]);
+    const third = createStore({ backend: 'file', filePath });
+    expect(Array.from(third.collection('codes').entries())).toEqual([['b', { createdAt: 2 }]]);
+    third.close();
+  });
+
+  it('folds the journal into the file once it outgrows it in bytes, however few changes it holds', () => {
+    const filePath = createTempFile();
+    const store = createStore({ backend: 'file', filePath });
+    const boards = store.collection('boards');
+    const players = 'x'.repeat(300 * 1024);
+
+    for (let round = 1; round <= 3; round += 1) {
+      boards.set('week', { createdAt: round, players });
+      store.flush();
+    }
+    expect(fs.statSync(`${filePath}.journal`).size).toBeGreaterThan(900 * 1024);
+
+    boards.set('week', { createdAt: 4, players });
+    store.flush();
+
+    expect(fs.statSync(`${filePath}.journal`).size).toBe(0);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).collections.boards).toEqual([
+      ['week', { createdAt: 4, players }],
+    ]);
+    store.close();
+  });
+
+  it('skips a journal line cut short by a crash', () => {
+    const filePath = createTempFile();
+    fs.writeFileSync(`${filePath}.journal`, '["codes","a",{"createdAt":1}]\n["codes","b",{"crea');
+
+    const store = createStore({ backend: 'file', filePath });
+
+    expect(Array.from(store.collection('codes').entries())).toEqual([['a', { createdAt: 1 }]]);
+    store.close();
+  });
+
+  it('records a failed write whichever way the store was flushed', () => {
+    const filePath = createTempFile();
+    const store = createStore({ backend: 'file', filePath, logger: { error() {} } });
+    store.collection('codes').set('a', { createdAt: 1 });
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+
+    expect(() => store.flush()).toThrow();
+    expect(store.getStatus()).toMatchObject({
+      ok: false,
+      lastError: { message: expect.any(String) },
+    });
+    expect(() => store.close()).toThrow();
+  });
+
+  it('reports when the file was last written', () => {
+    const filePath = createTempFile();
+    const store = createStore({ backend: 'file', filePath });
+    expect(store.getStatus()).toEqual({
+      backend: 'file',
+      ok: true,
+      lastFlushAt: null,
+      lastError: null,
+    });
+
+    store.flush();
+
+    expect(store.getStatus().lastFlushAt).toEqual(expect.any(String));
+    store.close();
+  });
+
+  it('refuses a file locked by another live process', () => {
+    const filePath = createTempFile();
+    fs.writeFileSync(`${filePath}.lock`, String(process.ppid));
+
+    expect(() => createStore({ backend: 'file', filePath })).toThrow(/locked/);
+  });
+});
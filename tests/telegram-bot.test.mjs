@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { createBotHandler, parseCommand } from '../lib/telegram-bot.js';
+
+function createFakeTelegram() {
+  const sent = [];
+  return {
+    sent,
+    sendMessage: async (chatId, text, extra = {}) => {
+      sent.push({ chatId, text, ...extra });
+    },
+  };
+}
+
+function message(text) {
+  return { update_id: 1, message: { text, from: { id: 42 }, chat: { id: 42 } } };
+}
+
+describe('parseCommand', () => {
+  it('strips the bot username and arguments', () => {
+    expect(parseCommand('/MyCode@promo_bot please')).toBe('mycode');
+    expect(parseCommand('hello')).toBe(null);
+  });
+});
+
+describe('createBotHandler', () => {
+  it('opens the Web App from /start', async () => {
+    const telegram = createFakeTelegram();
+    const bot = createBotHandler({ telegram, webAppUrl: 'https://example.com' });
+
+    await bot.handleUpdate(message('/start'));
+
+    expect(telegram.sent[0].reply_markup.inline_keyboard[0][0].web_app.url).toBe(
+      'https://example.com'
+    );
+  });
+
+  it('resends the active code on /mycode', async () => {
+    const telegram = createFakeTelegram();
+    const bot = createBotHandler({
+      telegram,
+      getActivePromo: (userId) => (userId === 42 ? { code: 'TTT-AAAA', discount: 10 } : null),
+    });
+
+    await bot.handleUpdate(message('/mycode'));
+
+    expect(telegram.sent[0].text).toContain('TTT-AAAA');
+    expect(telegram.sent[0].text).toContain('10%');
+  });
+
+  it('ignores messages that are not commands', async () => {
+    const telegram = createFakeTelegram();
+    const bot = createBotHandler({ telegram });
+
+    await bot.handleUpdate(message('hi there'));
+
+    expect(telegram.sent).toHaveLength(0);
+  });
+});
@@ -0,0 +1,142 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createStore } from '../lib/storage.js';
+import { createTelegramQueue } from '../lib/telegram-queue.js';
+
+function apiError(status, retryAfter = null) {
+  const error = new Error(`Telegram API error: ${status}`);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+function createQueue({ responses = [], ...options } = {}) {
+  const clock = { now: 1000 };
+  const sent = [];
+  const telegram = {
+    sendMessage: async (chatId, text) => {
+      const response = responses.shift();
+      if (response) throw response;
+      sent.push({ chatId, text });
+    },
+  };
+  const store = createStore();
+  const outbox = store.collection('outbox');
+  const queue = createTelegramQueue({
+    telegram,
+    outbox,
+    blockedChats: store.collection('blockedChats'),
+    now: () => clock.now,
+    ...options,
+  });
+  return { clock, sent, outbox, queue };
+}
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createTelegramQueue', () => {
+  it('retries network failures with exponential backoff', async () => {
+    const { clock, sent, queue } = createQueue({
+      responses: [new Error('timeout'), new Error('timeout')],
+      baseDelayMs: 1000,
+    });
+    queue.enqueue(42, 'hello');
+
+    await queue.drain();
+    clock.now += 1000;
+    await queue.drain();
+    clock.now += 1000;
+    await queue.drain();
+    expect(sent).toHaveLength(0);
+
+    clock.now += 1000;
+    await queue.drain();
+    expect(sent).toEqual([{ chatId: '42', text: 'hello' }]);
+    expect(queue.getStats().totals.retried).toBe(2);
+  });
+
+  it('waits for retry_after on 429', async () => {
+    const { clock, sent, queue } = createQueue({ responses: [apiError(429, 5)] });
+    queue.enqueue(42, 'hello');
+
+    await queue.drain();
+    clock.now += 4000;
+    await queue.drain();
+    expect(sent).toHaveLength(0);
+
+    clock.now += 1000;
+    await queue.drain();
+    expect(sent).toHaveLength(1);
+  });
+
+  it('fails every pending message of a chat that blocked the bot', async () => {
+    const { clock, sent, queue } = createQueue({ responses: [apiError(403)] });
+    queue.enqueue(42, 'first');
+    queue.enqueue(42, 'second');
+    queue.enqueue(7, 'other chat');
+
+    await queue.drain();
+    clock.now += 2000;
+    await queue.drain();
+
+    expect(sent).toEqual([{ chatId: '7', text: 'other chat' }]);
+    expect(queue.getStats().failed).toBe(2);
+  });
+
+  it('fails messages queued later for a blocked chat until it is unblocked', async () => {
+    const { clock, sent, queue } = createQueue({ responses: [apiError(403)] });
+    queue.enqueue(42, 'first');
+    await queue.drain();
+
+    queue.enqueue(42, 'later');
+    clock.now += 2000;
+    await queue.drain();
+    expect(sent).toEqual([]);
+    expect(queue.getStats()).toMatchObject({ depth: 0, failed: 2, blockedChats: 1 });
+
+    queue.unblock(42);
+    queue.enqueue(42, 'welcome back');
+    await queue.drain();
+    expect(sent).toEqual([{ chatId: '42', text: 'welcome back' }]);
+  });
+
+  it('wakes up when the next message is due instead of polling', async () => {
+    vi.useFakeTimers({ now: 1000 });
+    const { sent, queue } = createQueue({
+      responses: [new Error('timeout')],
+      baseDelayMs: 1000,
+      now: Date.now,
+    });
+    queue.start();
+    expect(vi.getTimerCount()).toBe(0);
+
+    queue.enqueue(42, 'hello');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(sent).toHaveLength(0);
+    expect(vi.getTimerCount()).toBe(1);
+
+    await vi.advanceTimersByTimeAsync(999);
+    expect(sent).toHaveLength(0);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(sent).toHaveLength(1);
+    expect(vi.getTimerCount()).toBe(0);
+    queue.stop();
+  });
+
+  it('caps sends per chat and globally', async () => {
+    const { clock, sent, queue } = createQueue({ globalPerSecond: 2, perChatPerSecond: 1 });
+    queue.enqueue(1, 'a');
+    queue.enqueue(1, 'b');
+    queue.enqueue(2, 'c');
+    queue.enqueue(3, 'd');
+
+    await queue.drain();
+    expect(sent.map(({ text }) => text)).toEqual(['a', 'c']);
+    expect(queue.getStats().depth).toBe(2);
+
+    clock.now += 1000;
+    await queue.drain();
+    expect(sent.map(({ text }) => text)).toEqual(['a', 'c', 'b', 'd']);
+  });
+});
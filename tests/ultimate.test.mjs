@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createUltimateBoard,
+  evaluateUltimateBoard,
+  getActiveBoards,
+  getLegalMoves,
+  getUltimateAiMove,
+  getUltimateBestMove,
+  replayUltimateGame,
+} from '../public/ultimate.mjs';
+
+// Fills small board `boardIndex` with `cells`, a nine-character string such as 'XXX......'.
+function fillSmallBoard(board, boardIndex, cells) {
+  [...cells].forEach((value, cell) => {
+    board[boardIndex * 9 + cell] = value === '.' ? null : value;
+  });
+  return board;
+}
+
+describe('Ultimate rules', () => {
+  it('sends the next move to the small board matching the last cell', () => {
+    const board = createUltimateBoard();
+    board[4 * 9 + 2] = 'X';
+
+    expect(getActiveBoards(board, 4 * 9 + 2)).toEqual([2]);
+    expect(getLegalMoves(board, 4 * 9 + 2)).toEqual([18, 19, 20, 21, 22, 23, 24, 25, 26]);
+    expect(getLegalMoves(board, null)).toHaveLength(80);
+  });
+
+  it('frees the choice when the target board is decided', () => {
+    const board = fillSmallBoard(createUltimateBoard(), 2, 'XXXOO....');
+    board[4 * 9 + 2] = 'O';
+
+    expect(getActiveBoards(board, 4 * 9 + 2)).toEqual([0, 1, 3, 4, 5, 6, 7, 8]);
+    expect(getLegalMoves(board, 4 * 9 + 2)).not.toContain(2 * 9 + 5);
+  });
+
+  it('wins with a line of small boards', () => {
+    const board = createUltimateBoard();
+    [0, 4, 8].forEach((boardIndex) => fillSmallBoard(board, boardIndex, 'OOO......'));
+
+    expect(evaluateUltimateBoard(board)).toEqual({ winner: 'O', combo: [0, 4, 8], isDraw: false });
+  });
+
+  it('counts drawn small boards for nobody', () => {
+    const board = createUltimateBoard();
+    const pattern = ['XXX......', 'OOO......', 'XOXXOOOXX'];
+    // Rows of boards won by X, O and drawn leave no line on the big board.
+    [0, 1, 2, 3, 4, 5, 6, 7, 8].forEach((boardIndex) => {
+      fillSmallBoard(board, boardIndex, pattern[(boardIndex + Math.floor(boardIndex / 3)) % 3]);
+    });
+
+    expect(evaluateUltimateBoard(board)).toEqual({ winner: null, combo: null, isDraw: true });
+  });
+
+  it('replays legal games and rejects moves outside the active board', () => {
+    expect(replayUltimateGame([40, 36, 0], 'player')).toMatchObject({ error: null, outcome: null });
+    expect(replayUltimateGame([40, 36, 9], 'player').error).toBe('Illegal move at turn 3');
+  });
+});
+
+describe('Ultimate AI', () => {
+  it('completes the line that wins the game', () => {
+    const board = createUltimateBoard();
+    fillSmallBoard(board, 0, 'OOO......');
+    fillSmallBoard(board, 4, 'OOO......');
+    fillSmallBoard(board, 8, 'OO.X.X...');
+
+    expect(getUltimateAiMove(board, 8, 'normal')).toBe(8 * 9 + 2);
+  });
+
+  it('blocks a small board that would lose the game', () => {
+    const board = createUltimateBoard();
+    fillSmallBoard(board, 0, 'XXX......');
+    fillSmallBoard(board, 4, 'XXX......');
+    fillSmallBoard(board, 8, 'XX.O.....');
+
+    expect(getUltimateAiMove(board, 8, 'hard')).toBe(8 * 9 + 2);
+  });
+
+  it('searches for X when asked', () => {
+    const board = createUltimateBoard();
+    fillSmallBoard(board, 0, 'XXX......');
+    fillSmallBoard(board, 4, 'XXX......');
+    fillSmallBoard(board, 8, 'XX.O.....');
+
+    expect(getUltimateBestMove(board, 8, null, {}, 'X')).toBe(8 * 9 + 2);
+  });
+
+  it('plays the same legal move for the same position', () => {
+    const board = createUltimateBoard();
+    board[40] = 'X';
+
+    const move = getUltimateAiMove(board, 40, 'hard');
+    expect(getLegalMoves(board, 40)).toContain(move);
+    expect(getUltimateAiMove(board, 40, 'hard')).toBe(move);
+  });
+});